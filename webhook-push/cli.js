@@ -4,14 +4,25 @@
  * CLI for @paean-ai/webhook-push
  * 
  * Usage:
- *   webhook-push "Your message here"
- *   webhook-push --task "Build" --status "completed" --details "All tests passed"
- *   webhook-push -p slack "Your message for Slack"
+ *   webhook-push send "Your message here"
+ *   webhook-push progress Build completed "All tests passed"
+ *   webhook-push send -p slack "Your message for Slack"
+ *   webhook-push send -p wecom,slack --json "Your message for WeCom and Slack"
+ *   webhook-push send -c oncall "Your message for the oncall channel"
+ *   webhook-push route --explain -t Deploy -s failed
+ *   webhook-push check
+ * 
+ * The short forms `webhook-push "message"`, `webhook-push -t Build -s completed`,
+ * `--check` and `--version` keep working.
  * 
  * Run `webhook-push --help` for full documentation.
  */
 
+const fs = require('fs');
 const path = require('path');
+const { spawn } = require('child_process');
+const os = require('os');
+const readline = require('readline');
 
 // Load environment variables from .env file
 try {
@@ -20,24 +31,70 @@ try {
   // dotenv not installed
 }
 
+const webhookPush = require('./index');
 const { 
   push, 
   pushProgress, 
-  PLATFORMS, 
-  ENV_KEYS, 
+  flushDigest,
+  verifyPlatform,
+  flushOutbox,
+  listOutbox,
+  purgeOutbox,
+  ALL_PLATFORMS,
+  DEFAULT_PLATFORM,
+  RATE_LIMIT_POLICIES,
+  STATUS_STYLES,
+  registerPlatform,
+  getAdapter,
+  getPlatforms,
   getConfiguredPlatforms,
-  isConfigured 
-} = require('./index');
+  getChannels,
+  resolveRoute,
+  isConfigured,
+  isSecretField,
+  loadConfig,
+  resolveChannel,
+  renderPreview,
+  WebhookError,
+  PlatformError,
+  ConfigError,
+} = webhookPush;
 
 // ============================================================================
 // CLI Argument Parsing
 // ============================================================================
 
-const args = process.argv.slice(2);
+const argv = process.argv.slice(2);
+
+// Everything after "--" is the command for `webhook-push run`, or the rest of
+// the message for other commands
+const separator = argv.indexOf('--');
+const args = separator === -1 ? argv : argv.slice(0, separator);
+const command = separator === -1 ? [] : argv.slice(separator + 1);
+
+/**
+ * Flags that never take a value, so a following positional is not consumed
+ */
+const BOOLEAN_FLAGS = new Set([
+  'h', 'help', 'version', 'check', 'allow-partial', 'explain', 'raw', 'mention-all', 'failures-only',
+  'outbox', 'expired', 'dry-run', 'render', 'json', 'verify',
+]);
+
+/**
+ * Check whether an argument can be a flag's value rather than another flag
+ * 
+ * Negative numbers such as a Telegram chat ID (-100123) are values; other values
+ * starting with "-" can be passed as --flag=value.
+ */
+function isValue(arg) {
+  return arg === '-' || !arg.startsWith('-') || /^-\d/.test(arg);
+}
 
 /**
  * Parse command line arguments
  * Supports: --flag value, -f value, --flag=value, positional args
+ * A lone "-" (stdin) and negative numbers are taken as a flag's value or as
+ * positionals.
  */
 function parseArgs(args) {
   const result = {
@@ -49,25 +106,25 @@ function parseArgs(args) {
     const arg = args[i];
     
     if (arg.startsWith('--')) {
-      // Long flag
-      if (arg.includes('=')) {
-        const [key, value] = arg.slice(2).split('=');
-        result.flags[key] = value;
+      // Long flag; the value after the first "=" may contain more of them
+      const equals = arg.indexOf('=');
+      if (equals !== -1) {
+        result.flags[arg.slice(2, equals)] = arg.slice(equals + 1);
       } else {
         const key = arg.slice(2);
         const nextArg = args[i + 1];
-        if (nextArg && !nextArg.startsWith('-')) {
+        if (nextArg && isValue(nextArg) && !BOOLEAN_FLAGS.has(key)) {
           result.flags[key] = nextArg;
           i++;
         } else {
           result.flags[key] = true;
         }
       }
-    } else if (arg.startsWith('-') && arg.length === 2) {
+    } else if (arg.startsWith('-') && arg.length === 2 && !isValue(arg)) {
       // Short flag
       const key = arg.slice(1);
       const nextArg = args[i + 1];
-      if (nextArg && !nextArg.startsWith('-')) {
+      if (nextArg && isValue(nextArg) && !BOOLEAN_FLAGS.has(key)) {
         result.flags[key] = nextArg;
         i++;
       } else {
@@ -82,163 +139,1965 @@ function parseArgs(args) {
   return result;
 }
 
+// ============================================================================
+// Commands and Exit Codes
+// ============================================================================
+
+/**
+ * Subcommands; any other first positional is the message of the short form
+ * `webhook-push "message"`
+ */
+const COMMANDS = ['send', 'progress', 'check', 'config', 'init', 'version', 'route', 'run', 'outbox', 'digest'];
+
+/**
+ * Exit codes, so scripts can tell why a notification was not sent
+ * (`webhook-push run` exits with the wrapped command's code instead)
+ */
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,     // anything else, e.g. an unreadable message file
+  USAGE: 2,       // invalid arguments or options
+  CONFIG: 3,      // missing environment variable, invalid config file, unknown channel
+  NETWORK: 4,     // unreachable, timed out, or a retryable failure (HTTP 5xx, rate limit) after retries
+  REJECTED: 5,    // the platform refused the message (error code in the response, HTTP 4xx)
+};
+
+/**
+ * Error raised for invalid command line arguments
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Pick the exit code for an error
+ * @param {Error} error - Error thrown by the CLI or by a push
+ * @returns {number} One of EXIT_CODES
+ */
+function exitCodeFor(error) {
+  if (error instanceof UsageError) {
+    return EXIT_CODES.USAGE;
+  }
+  if (error instanceof ConfigError) {
+    return EXIT_CODES.CONFIG;
+  }
+  // Platforms report temporary failures as errors too, e.g. a 503 from Slack
+  if (error instanceof WebhookError && (error.retryable || error.statusCode >= 500)) {
+    return EXIT_CODES.NETWORK;
+  }
+  if (error instanceof PlatformError || (error instanceof WebhookError && error.statusCode < 500)) {
+    return EXIT_CODES.REJECTED;
+  }
+  if (error instanceof WebhookError) {
+    return EXIT_CODES.NETWORK;
+  }
+  return EXIT_CODES.FAILURE;
+}
+
+/**
+ * Describe an error for --json output
+ * @param {Error} error - Error thrown by the CLI or by a push
+ * @returns {object} `{ type, message, exitCode }` plus the error's codes and,
+ *   when it was saved to the outbox, the entry ID as `outbox`
+ */
+function describeError(error) {
+  return {
+    type: error.name,
+    message: error.message,
+    exitCode: exitCodeFor(error),
+    code: error.code,
+    statusCode: error.statusCode,
+    platformCode: error.platformCode,
+    attempts: error instanceof WebhookError ? error.attempts : undefined,
+    outbox: error.outbox,
+  };
+}
+
+/**
+ * Print a value as JSON on stdout
+ */
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
 // ============================================================================
 // Help Text
 // ============================================================================
 
-const HELP_TEXT = `
+/**
+ * Build the help text, listing every registered platform
+ * @returns {string} Help text
+ */
+function buildHelpText() {
+  const platforms = getPlatforms().map(getAdapter);
+  const envLines = [];
+  const setupLines = [];
+  for (const adapter of platforms) {
+    for (const field of adapter.config) {
+      envLines.push(`  ${field.env.padEnd(28)}${field.description || ''}`.trimEnd());
+    }
+    if (adapter.docs) {
+      setupLines.push(`  ${`${adapter.label}:`.padEnd(10)}${adapter.docs}`);
+    }
+  }
+
+  return `
 @vibe-coding-tools/webhook-push - Cross-platform webhook notification tool
 
 USAGE:
-  webhook-push [options] "message"
-  webhook-push --task <name> --status <status> [--details <details>]
+  webhook-push send [options] "message"
+  command | webhook-push send [options]
+  webhook-push progress [options] <task> <status> [details]
+  webhook-push check [--verify]       Show which platforms and channels are configured,
+                                      and with --verify whether their credentials work
+  webhook-push init                   Set up platforms interactively and save them to
+                                      .env or webhook-push.config.json
+  webhook-push config                 Show the config files, channels and routes in use
+  webhook-push version
+  webhook-push route --explain [--task <name>] [--status <status>] [--tags <tags>]
+  webhook-push run [options] -- <command> [args...]
+  webhook-push outbox list|flush|purge [--expired]
+  webhook-push digest flush
+
+  The short forms webhook-push "message", webhook-push --task <name> --status
+  <status>, --check and --version work as well. Values starting with "-" other
+  than numbers are passed as --flag=value, and a message after "--" is taken as is.
 
 OPTIONS:
   -p, --platform <platform>   Target platform (default: wecom)
-                              Supported: wecom, dingtalk, feishu, slack, telegram
+                              Supported: ${getPlatforms().join(', ')}
+                              Comma-separate several platforms (wecom,slack) or
+                              use "all" for every configured platform
+  --allow-partial             With several platforms, exit non-zero only if
+                              every platform failed
+  -c, --channel <name>        Named channel from the config file
+                              (default: the file's defaultChannel)
+  --config <path>             Config file to use instead of the nearest
+                              webhook-push.config.json/.js or .webhookpushrc
   
   -t, --task <name>           Task name (for progress notifications)
   -s, --status <status>       Task status: started, in_progress, completed, failed, cancelled
-  -d, --details <text>        Additional details for the notification
+  -d, --details <text>        Additional details for the notification (- for stdin)
+  --details-file <path>       Read the details from a file (- for stdin)
+  --duration <time>           Task duration in ms, or as text ("2m 5s")
+  --commit <sha>              Commit shown with the progress notification
+  --logs-url <url>            Link for the notification's "View logs" button
+  --digest [ms|manual]        Collect progress notifications into one digest per
+                              target, sent by the first one after this window
+                              (default: 60000) or by "webhook-push digest flush"
+  --digest-immediate <list>   Statuses also sent right away with --digest
+                              (default: failed, "none" to collect everything)
   
+  --file <path>               Read the message from a file (- for stdin). Without
+                              a message, piped input is read from stdin
+  --code [lang]               Wrap the message or details read from a file or
+                              stdin in a code block
   --title <title>             Message title (used by some platforms)
+  --tags <tags>               Comma-separated tags, matched by routing rules
+  --mention <names>           Comma-separated people to mention, by their names
+                              in the config file's "people" map
+  --mention-all               Mention everyone (@all, @channel, @everyone)
+  --attach <paths>            Comma-separated files to attach: uploaded on WeCom,
+                              Telegram and Discord, described elsewhere
+  --raw                       Send the message unchanged, already written in the
+                              platform's own format (default: standard markdown,
+                              converted for each platform). Progress
+                              notifications are always converted
+  --overflow <mode>           Content over the platform's size limit: truncate
+                              (keep head and tail, default) or split into
+                              numbered messages (at most 10, the last one
+                              truncated)
+  --on-rate-limit <policy>    Messages over the platform's rate limit: queue (wait,
+                              default), drop, or coalesce-latest (send only the
+                              newest waiting message)
+  --priority <1-5>            Notification priority for ntfy, Gotify and Bark
+                              (default: from --status, else 3)
+  --dedup-key <key>           Suppress repeats of messages with this key within
+                              the dedup window, then report how often they repeated
+  --dedup-window <ms>         Suppress repeats of the same message to the same
+                              target within this window (default with
+                              --dedup-key: 300000). The repeat count is sent by
+                              the first deduplicated message after the window
+
+  --outbox                    Save messages that still fail after retries to the
+                              outbox, for "webhook-push outbox flush"
+  --dry-run                   Print the request for each target (URL with secrets
+                              redacted, headers and JSON payload) without sending
+  --render                    Print an approximate preview of the message on each
+                              target without sending
+  --timeout <ms>              Per-attempt request timeout (default: 10000)
+  --attempts <n>              Total attempts for network errors, 5xx and
+                              rate limits (default: 3, 1 disables retries)
+  --retry-delay <ms>          Base delay for exponential backoff (default: 500)
+  --max-retry-delay <ms>      Longest wait between attempts (default: 30000)
+
+  --adapter <path>            Load custom platform adapters from a module
+                              (comma-separate several paths)
+  --json                      Print the result as JSON on stdout: each target's
+                              delivery status, message ID or error
+  --verify                    With check, test each configured channel's
+                              credentials: Telegram, Discord and email without
+                              posting, other platforms with a short test message
+
+RUN OPTIONS (webhook-push run -- <command>):
+  -t, --task <name>           Task name (default: the command)
+  --tail <n>                  Output lines included in the final notification
+                              (default: 20, 0 for none)
+  --heartbeat <ms>            Send an in_progress notification at this interval
+  --failures-only             Only notify when the command fails
   
   -h, --help                  Show this help message
-  --check                     Check which platforms are configured
-  --version                   Show version number
+  --check                     Same as webhook-push check
+  --version                   Same as webhook-push version
+
+EXIT CODES:
+  0  Sent (with --allow-partial: sent to at least one platform), or check
+     --verify found every channel working
+  1  Any other error, e.g. an unreadable message file
+  2  Invalid arguments or options
+  3  Configuration error: missing environment variable, invalid config file,
+     unknown channel
+  4  Network error: unreachable, timed out, or HTTP 5xx or rate limited
+     after retries
+  5  Rejected by the platform: error code in the response or HTTP 4xx
+  With several platforms, the code of the first failed one is used.
 
 EXAMPLES:
   # Simple message (uses default platform: WeCom)
-  webhook-push "Build completed successfully!"
+  webhook-push send "Build completed successfully!"
 
   # Message to a specific platform
-  webhook-push -p slack "Deployment started"
+  webhook-push send -p slack "Deployment started"
 
   # Progress notification
-  webhook-push -t "Build" -s "started"
+  webhook-push progress Build started
+  webhook-push progress Build completed "All 42 tests passed"
   webhook-push -t "Build" -s "completed" -d "All 42 tests passed"
+  webhook-push -t "Build" -s "failed" --duration 83000 --commit "$GITHUB_SHA" \
+    --logs-url "$RUN_URL"
 
   # Progress to Slack
   webhook-push -p slack -t "Deploy" -s "in_progress" -d "Deploying to production..."
 
+  # Send piped output or a file
+  git log --oneline -10 | webhook-push --title "Changelog"
+  npm test 2>&1 | tail -50 | webhook-push -p slack --code
+  webhook-push -t "Release" -s "completed" --details-file CHANGELOG.md
+
+  # Attach a screenshot and a log file
+  webhook-push -p telegram --attach diff.png,build.log "Visual regression failed"
+
+  # Run a command, notifying when it starts and when it completes or fails
+  webhook-push run -t "Build" -- npm test
+  webhook-push run --failures-only --heartbeat 600000 -- ./deploy.sh production
+
+  # Broadcast to several platforms
+  webhook-push -p wecom,slack "Release v2.0 published"
+  webhook-push -p all -t "Deploy" -s "failed" -d "Rollback in progress"
+
+  # Named channel from webhook-push.config.json
+  webhook-push -c oncall -t "Deploy" -s "failed" -d "Rollback in progress"
+
+  # Show which routing rule a notification matches and where it would go
+  webhook-push route --explain -t "Deploy" -s "failed"
+
+  # Keep failed messages and send them once the network is back
+  webhook-push --outbox -t "Backup" -s "completed"
+  webhook-push outbox list
+  webhook-push outbox flush
+
+  # Batch a script's progress notifications into one digest
+  webhook-push --digest manual -t "Lint" -s "completed"
+  webhook-push --digest manual -t "Tests" -s "completed" -d "412 passed"
+  webhook-push digest flush
+
+  # Send a retry loop's failure once, then how many times it repeated
+  webhook-push --dedup-window 600000 -t "Deploy" -s "failed"
+
+  # See what would be sent, without sending it
+  webhook-push -p slack,telegram --dry-run -t "Deploy" -s "failed" -d "Rollback in progress"
+  webhook-push -p wecom --render "**Release** v2.0 is out"
+
+  # Per-platform results for a script
+  webhook-push send -p wecom,slack --json "Release v2.0 published" | jq '.results'
+
+  # Set up a platform, then check that every configured channel works
+  webhook-push init
+  webhook-push check --verify
+
+  # Custom platform adapter
+  webhook-push --adapter ./mychat-adapter.js -p mychat "Hello"
+
 ENVIRONMENT VARIABLES:
-  WEBHOOK_WECOM_KEY           WeCom webhook key
-  WEBHOOK_DINGTALK_TOKEN      DingTalk robot access token
-  WEBHOOK_FEISHU_TOKEN        Feishu bot webhook token
-  WEBHOOK_SLACK_URL           Slack incoming webhook URL (full URL)
-  WEBHOOK_TELEGRAM_TOKEN      Telegram bot token
-  WEBHOOK_TELEGRAM_CHAT_ID    Telegram chat ID (required for Telegram)
+${envLines.join('\n')}
+  WEBHOOK_PUSH_ADAPTERS       Custom adapter module paths (comma-separated)
+  WEBHOOK_PUSH_CONFIG         Config file path (same as --config)
+  WEBHOOK_PUSH_RATE_FILE      Rate limit state shared between runs
+                              (default: ~/.webhook-push/rate-limits.json)
+  WEBHOOK_PUSH_OUTBOX         Outbox directory; setting it enables the outbox
+                              (default with --outbox: ~/.webhook-push/outbox)
+  WEBHOOK_PUSH_DIGEST_FILE    Digests collected with --digest
+                              (default: ~/.webhook-push/digest.json)
+  WEBHOOK_PUSH_DEDUP_FILE     Messages seen by --dedup-key and --dedup-window
+                              (default: ~/.webhook-push/dedup.json)
 
   Tip: Create a .env file in your project root with these variables.
 
+CONFIG FILE:
+  Named channels are read from the nearest webhook-push.config.js,
+  webhook-push.config.json or .webhookpushrc (searching up from the current
+  directory) and from ~/.webhookpushrc. Values may reference environment
+  variables as \${VAR}:
+
+  {
+    "defaultChannel": "ci",
+    "channels": {
+      "ci": { "platform": "wecom", "key": "\${WECOM_CI_KEY}" },
+      "oncall": { "platform": "slack", "key": "\${SLACK_ONCALL_URL}", "title": "On-call" }
+    },
+    "people": {
+      "alice": { "slack": "U024BE7LH", "wecom": "zhangsan", "dingtalk": "13800000000" }
+    },
+    "routes": [
+      { "status": "failed", "to": ["oncall", "ci"] },
+      { "task": "Release*", "tags": ["prod"], "severity": 3, "to": "oncall" }
+    ],
+    "defaultRoute": "ci",
+    "rateLimits": { "wecom": { "limit": 10, "interval": 60000 } }
+  }
+
+  Without --channel or --platform, the first matching route picks the
+  channels (a route with "continue": true lets later routes add more).
+  --mention names are looked up in "people" by channel name, then platform.
+
 PLATFORM WEBHOOK SETUP:
-  WeCom:    https://developer.work.weixin.qq.com/document/path/91770
-  DingTalk: https://open.dingtalk.com/document/robots/custom-robot-access
-  Feishu:   https://open.feishu.cn/document/client-docs/bot-v3/add-custom-bot
-  Slack:    https://api.slack.com/messaging/webhooks
-  Telegram: https://core.telegram.org/bots/api
+${setupLines.join('\n')}
 
 `;
+}
 
 const VERSION = require('./package.json').version;
 
 // ============================================================================
-// Main CLI Logic
+// Custom Adapters
 // ============================================================================
 
-async function main() {
-  const { flags, positional } = parseArgs(args);
+/**
+ * Load custom platform adapters from module paths
+ * 
+ * A module either exports a function, called with the webhook-push module so it
+ * can call registerPlatform() itself, or an adapter object with a `name` property.
+ * 
+ * @param {string[]} modulePaths - Paths relative to the current directory
+ * @throws {ConfigError} If a module cannot be loaded or has an unsupported shape
+ */
+function loadAdapters(modulePaths) {
+  for (const modulePath of modulePaths) {
+    const resolved = path.resolve(process.cwd(), modulePath);
+    let exported;
+    try {
+      exported = require(resolved);
+    } catch (error) {
+      throw new ConfigError(`Cannot load adapter module ${modulePath}: ${error.message}`);
+    }
 
-  // Help
-  if (flags.h || flags.help) {
-    console.log(HELP_TEXT);
-    process.exit(0);
+    if (typeof exported === 'function') {
+      exported(webhookPush);
+    } else if (exported && typeof exported.name === 'string') {
+      const { name, ...adapter } = exported;
+      registerPlatform(name, adapter);
+    } else {
+      throw new ConfigError(
+        `Invalid adapter module: ${modulePath}\n` +
+        'Export a function(webhookPush) or an adapter object with a "name" property.'
+      );
+    }
   }
+}
 
-  // Version
-  if (flags.version) {
-    console.log(`v${VERSION}`);
-    process.exit(0);
+/**
+ * Split a comma-separated list, dropping empty entries
+ */
+function splitList(value) {
+  if (!value || value === true) {
+    return [];
   }
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
 
-  // Check configuration
-  if (flags.check) {
-    console.log('\nWebhook Configuration Status:');
-    console.log('─'.repeat(40));
-    
-    for (const [platform, envKey] of Object.entries(ENV_KEYS)) {
-      const configured = isConfigured(platform);
-      const status = configured ? '✓ Configured' : '✗ Not configured';
-      const symbol = configured ? '✓' : '✗';
-      console.log(`  ${symbol} ${platform.padEnd(12)} ${envKey}`);
+// ============================================================================
+// Message Input
+// ============================================================================
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>} Input as UTF-8 text
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', (chunk) => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Read message content from a file, or from stdin for "-"
+ * @param {string} source - File path relative to the current directory, or "-"
+ * @param {string|boolean} [code] - Wrap the content in a fenced code block,
+ *   with this language when it is a string
+ * @returns {Promise<string>} Content without trailing line breaks
+ * @throws {Error} If the file cannot be read
+ */
+async function readContent(source, code) {
+  let content;
+  if (source === '-') {
+    content = await readStdin();
+  } else {
+    try {
+      content = fs.readFileSync(path.resolve(process.cwd(), source), 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read ${source}: ${error.message}`);
     }
-    
-    const configuredPlatforms = getConfiguredPlatforms();
-    console.log('─'.repeat(40));
-    if (configuredPlatforms.length > 0) {
-      console.log(`\nReady to use: ${configuredPlatforms.join(', ')}`);
+  }
+
+  content = content.replace(/\s+$/, '');
+  if (!code || !content) {
+    return content;
+  }
+  // A fence longer than any backtick run inside keeps the block intact
+  const longest = Math.max(2, ...(content.match(/`{3,}/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${code === true ? '' : code}\n${content}\n${fence}`;
+}
+
+/**
+ * Pick where a message or details come from
+ * @param {string|boolean} [flag] - Value of --file or --details-file
+ * @param {string|boolean} [value] - Inline value (positional message or --details)
+ * @param {string} name - Name used in error messages
+ * @returns {string|undefined} File path, "-" for stdin, or undefined for the inline value
+ * @throws {UsageError} If both are given
+ */
+function contentSource(flag, value, name) {
+  if (flag === true) {
+    throw new UsageError(`--${name} requires a path, or - for stdin`);
+  }
+  if (flag !== undefined && value) {
+    throw new UsageError(`Use either --${name} or an inline value, not both`);
+  }
+  if (flag !== undefined) {
+    return flag;
+  }
+  return value === '-' ? '-' : undefined;
+}
+
+// ============================================================================
+// Platform Selection
+// ============================================================================
+
+/**
+ * Parse the --platform flag into the form accepted by push()
+ * @param {string|boolean} [value] - Raw flag value, e.g. "slack", "wecom,slack" or "all"
+ * @returns {string|string[]|undefined} Single platform name, list of names, "all",
+ *   or undefined to use the default channel or platform
+ * @throws {UsageError} If a platform is not registered
+ */
+function parsePlatformFlag(value) {
+  if (!value || value === true) {
+    return undefined;
+  }
+
+  const platforms = splitList(value);
+  const unknown = platforms.find((name) => name !== ALL_PLATFORMS && !getAdapter(name));
+  if (unknown) {
+    throw new UsageError(`Unknown platform: ${unknown}. Supported platforms: ${getPlatforms().join(', ')}`);
+  }
+  if (platforms.length === 1) {
+    return platforms[0];
+  }
+  return platforms;
+}
+
+/**
+ * Parse a numeric flag
+ * @param {string} name - Flag name, used in the error message
+ * @param {string|boolean} [value] - Raw flag value
+ * @param {number} min - Smallest accepted value
+ * @returns {number|undefined} Parsed value, or undefined when the flag is absent
+ * @throws {UsageError} If the value is not an integer >= min
+ */
+function parseNumberFlag(name, value, min) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (value === true || !Number.isInteger(number) || number < min) {
+    throw new UsageError(`--${name} must be an integer >= ${min}`);
+  }
+  return number;
+}
+
+/**
+ * Parse the --digest flag
+ * @param {string|boolean} [value] - Raw flag value: true, a window in ms or "manual"
+ * @returns {boolean|number|undefined} Digest option for pushProgress()
+ */
+function parseDigestFlag(value) {
+  if (value === undefined || value === true) {
+    return value;
+  }
+  return value === 'manual' ? Infinity : parseNumberFlag('digest', value, 1);
+}
+
+/**
+ * Parse a comma-separated list of statuses
+ * @param {string} name - Flag name, used in the error message
+ * @param {string|boolean} [value] - Raw flag value; "none" for an empty list
+ * @returns {string[]|undefined} Statuses, or undefined when the flag is absent
+ * @throws {UsageError} If a status is unknown
+ */
+function parseStatusesFlag(name, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const statuses = value === 'none' ? [] : splitList(value);
+  const invalid = statuses.find((status) => !STATUS_STYLES[status]);
+  if (value === true || invalid) {
+    throw new UsageError(`--${name} takes statuses (${Object.keys(STATUS_STYLES).join(', ')}) or "none"`);
+  }
+  return statuses;
+}
+
+/**
+ * Describe the target of a push for progress messages
+ * @param {object} options - Parsed push options
+ * @returns {string} Human readable target description
+ */
+function describeTarget(options) {
+  const { platform } = options;
+  const channels = options.channel
+    ? [options.channel]
+    : platform ? [] : resolveRoute(options).targets;
+  if (channels.length > 0) {
+    return `${channels.length > 1 ? 'channels' : 'channel'} ${channels.join(', ')}`;
+  }
+  if (platform === ALL_PLATFORMS) {
+    return 'all configured platforms';
+  }
+  return Array.isArray(platform) ? platform.join(', ') : platform || DEFAULT_PLATFORM;
+}
+
+/**
+ * Print how a notification is routed: each rule's outcome and the final targets
+ * @param {object} route - Result of resolveRoute() for the notification
+ */
+function explainRoute(route) {
+  const { message } = route;
+  const subject = [
+    message.task ? `task "${message.task}"` : 'no task',
+    `status ${message.status || '(none)'}`,
+    `tags ${message.tags.length ? message.tags.join(',') : '(none)'}`,
+    `severity ${message.severity}`,
+  ];
+
+  console.log(`\nRouting ${subject.join(', ')}:`);
+  console.log('─'.repeat(40));
+  if (route.rules.length === 0) {
+    console.log('  No routes configured');
+  }
+  for (const rule of route.rules) {
+    const symbol = { matched: '✓', 'no match': '✗', 'not evaluated': '-' }[rule.result];
+    const label = `#${rule.index + 1}${rule.name ? ` ${rule.name}` : ''}`;
+    console.log(`  ${symbol} ${label.padEnd(14)} ${rule.conditions} → ${rule.to.join(', ')} (${rule.result})`);
+  }
+  console.log('─'.repeat(40));
+
+  const sources = {
+    route: 'matched route',
+    defaultRoute: 'defaultRoute',
+    defaultChannel: 'defaultChannel',
+  };
+  if (route.targets.length === 0) {
+    console.log(`\nTargets: ${DEFAULT_PLATFORM} (default platform)\n`);
+    return;
+  }
+  const channels = getChannels();
+  const targets = route.targets.map((name) => {
+    const channel = channels.find((item) => item.name === name);
+    return `${name} (${channel ? channel.platform : 'unknown channel'})`;
+  });
+  console.log(`\nTargets: ${targets.join(', ')} via ${sources[route.source]}\n`);
+}
+
+/**
+ * Check whether push() resolved with a broadcast result rather than a single one
+ */
+function isBroadcastResult(result) {
+  return Boolean(result) && Array.isArray(result.succeeded);
+}
+
+/**
+ * Describe a result that was not sent right away: collected into a digest, or
+ * skipped because of the rate limit
+ * @param {object} result - Single-target result
+ * @returns {string|null} Reason, or null if the message was sent
+ */
+function describeSkipped(result) {
+  if (result.digested) {
+    return result.digest ? 'added to the digest, digest sent' : 'added to the digest';
+  }
+  if (result.duplicate) {
+    const times = result.repeats === 1 ? 'time' : 'times';
+    return `suppressed as a duplicate (repeated ${result.repeats} ${times} so far)`;
+  }
+  if (result.dropped) {
+    return 'dropped, over the rate limit';
+  }
+  if (result.coalesced) {
+    return 'replaced by a newer message, over the rate limit';
+  }
+  return null;
+}
+
+/**
+ * Name of the target of a single-target push, as broadcasts key their results
+ * @param {object} options - Parsed push options
+ * @returns {string} Channel or platform name
+ */
+function targetName(options) {
+  if (options.channel) {
+    return options.channel;
+  }
+  if (typeof options.platform === 'string' && options.platform !== ALL_PLATFORMS) {
+    return options.platform;
+  }
+  return resolveRoute(options).targets[0] || DEFAULT_PLATFORM;
+}
+
+/**
+ * List a push result's outcomes by target
+ * @param {object} result - Single-target or broadcast result
+ * @param {object} options - Parsed push options, naming a single target
+ * @returns {Array} `[target, { ok, response } | { ok, error }]` pairs
+ */
+function listOutcomes(result, options) {
+  return isBroadcastResult(result)
+    ? Object.entries(result.results)
+    : [[targetName(options), { ok: true, response: result }]];
+}
+
+/**
+ * Flags that mark a result as not sent right away, in the order they are reported
+ */
+const SKIPPED_FLAGS = ['digested', 'duplicate', 'dropped', 'coalesced'];
+
+/**
+ * Describe one target's outcome for --json output
+ * @param {object} outcome - `{ ok, response }` or `{ ok, error }`
+ * @returns {object} `{ ok, status }` with status "sent", "failed", "dry-run" or
+ *   one of SKIPPED_FLAGS, plus the message ID, error or dry-run requests
+ */
+function describeOutcome(outcome) {
+  if (!outcome.ok) {
+    return { ok: false, status: 'failed', error: describeError(outcome.error) };
+  }
+
+  const { response } = outcome;
+  if (response.dryRun) {
+    return {
+      ok: true,
+      status: 'dry-run',
+      requests: response.parts ? response.parts.map((part) => part.request) : [response.request],
+      attachments: response.attachments,
+    };
+  }
+  return {
+    ok: true,
+    status: SKIPPED_FLAGS.find((flag) => response[flag]) || 'sent',
+    messageId: response.messageId,
+    parts: response.parts ? response.parts.length : undefined,
+    repeats: response.repeats,
+    digestSent: response.digest ? true : undefined,
+  };
+}
+
+/**
+ * Pick the exit code for a push result
+ * @param {object} result - Single-target or broadcast result
+ * @param {boolean} allowPartial - Only fail if every platform failed
+ * @returns {number} EXIT_CODES.OK, or the code for the first failed target's error
+ */
+function resultExitCode(result, allowPartial) {
+  if (!isBroadcastResult(result)) {
+    return EXIT_CODES.OK;
+  }
+  const failed = allowPartial ? result.succeeded.length === 0 : !result.ok;
+  return failed ? exitCodeFor(result.results[result.failed[0]].error) : EXIT_CODES.OK;
+}
+
+/**
+ * Print a push result as JSON and exit with the matching code
+ * @param {object} result - Single-target or broadcast result
+ * @param {object} options - Parsed push options
+ * @param {boolean} allowPartial - Only fail if every platform failed
+ */
+function reportJson(result, options, allowPartial) {
+  const results = {};
+  for (const [target, outcome] of listOutcomes(result, options)) {
+    results[target] = describeOutcome(outcome);
+  }
+  const targets = Object.keys(results);
+  const exitCode = resultExitCode(result, allowPartial);
+  printJson({
+    ok: exitCode === EXIT_CODES.OK,
+    dryRun: options.dryRun,
+    results,
+    succeeded: targets.filter((target) => results[target].ok),
+    failed: targets.filter((target) => !results[target].ok),
+  });
+  process.exit(exitCode);
+}
+
+/**
+ * Turn an error thrown by a single-target push into a broadcast-shaped result,
+ * so --json reports it per target like any other failure
+ * @param {Error} error - Error thrown by push() or pushProgress()
+ * @param {object} options - Parsed push options
+ * @returns {object} Broadcast result with one failed target
+ */
+function failedResult(error, options) {
+  const target = targetName(options);
+  return { ok: false, results: { [target]: { ok: false, error } }, succeeded: [], failed: [target] };
+}
+
+/**
+ * Print a per-platform delivery summary and exit with the matching code
+ * @param {object} result - Broadcast result from push() or pushProgress()
+ * @param {boolean} allowPartial - Only fail if every platform failed
+ */
+function reportBroadcast(result, allowPartial) {
+  console.log('\nDelivery summary:');
+  console.log('─'.repeat(40));
+  for (const [platform, outcome] of Object.entries(result.results)) {
+    if (outcome.ok) {
+      console.log(`  ✓ ${platform.padEnd(12)} ${describeSkipped(outcome.response) || 'sent'}`);
     } else {
-      console.log('\n⚠ No platforms configured. Set environment variables or create a .env file.');
+      const reason = outcome.error.message.split('\n')[0];
+      const saved = outcome.error.outbox ? ' (saved to the outbox)' : '';
+      console.log(`  ✗ ${platform.padEnd(12)} ${reason}${saved}`);
     }
-    console.log();
-    process.exit(0);
   }
+  console.log('─'.repeat(40));
+  console.log(`${result.succeeded.length} sent, ${result.failed.length} failed\n`);
+  process.exit(resultExitCode(result, allowPartial));
+}
 
-  // Build options
-  const options = {
-    platform: flags.p || flags.platform || 'wecom',
-    title: flags.title,
-  };
+// ============================================================================
+// Dry Run
+// ============================================================================
 
-  try {
-    // Progress notification mode
-    if (flags.t || flags.task) {
-      const taskName = flags.t || flags.task;
-      const status = flags.s || flags.status;
-      const details = flags.d || flags.details || '';
+/**
+ * Print what a dry run would send to each target and exit
+ * @param {object} result - Single-target or broadcast result of a push with `dryRun`
+ * @param {object} options - Parsed push options
+ * @param {boolean} render - Print message previews instead of requests
+ */
+function reportDryRun(result, options, render) {
+  for (const [target, outcome] of listOutcomes(result, options)) {
+    if (!outcome.ok) {
+      console.log(`\n✗ ${target}: ${outcome.error.message.split('\n')[0]}`);
+      continue;
+    }
+    const response = outcome.response;
+    if (render) {
+      console.log(`\n${renderPreview(response, { color: Boolean(process.stdout.isTTY) })}`);
+      continue;
+    }
 
-      if (!status) {
-        console.error('Error: --status (-s) is required for progress notifications');
-        console.error('Valid statuses: started, in_progress, completed, failed, cancelled');
-        process.exit(1);
+    const requests = response.parts ? response.parts.map((part) => part.request) : [response.request];
+    requests.forEach((request, index) => {
+      const part = requests.length > 1 ? ` (part ${index + 1}/${requests.length})` : '';
+      console.log(`\n── ${target}${part} ${'─'.repeat(Math.max(0, 36 - target.length - part.length))}`);
+      console.log(request.method ? `${request.method} ${request.url}` : request.url);
+      for (const [name, value] of Object.entries(request.headers)) {
+        console.log(`${name}: ${value}`);
       }
+      console.log(`\n${JSON.stringify(request.payload, null, 2)}`);
+      console.log(`(${request.size} bytes)`);
+    });
+    for (const attachment of response.attachments || []) {
+      console.log(`+ upload ${attachment.kind} ${attachment.name} (${attachment.size} bytes)`);
+    }
+  }
+  console.log('\nDry run: nothing was sent.');
+  process.exit(resultExitCode(result, false));
+}
 
-      const validStatuses = ['started', 'in_progress', 'completed', 'failed', 'cancelled'];
-      if (!validStatuses.includes(status)) {
-        console.error(`Error: Invalid status "${status}"`);
-        console.error(`Valid statuses: ${validStatuses.join(', ')}`);
-        process.exit(1);
-      }
+// ============================================================================
+// Outbox
+// ============================================================================
 
-      console.log(`Sending progress notification to ${options.platform}...`);
-      await pushProgress(taskName, status, details, options);
-      console.log('✓ Notification sent successfully');
-      process.exit(0);
+/**
+ * Run an outbox subcommand and exit
+ * @param {string} action - list, flush or purge
+ * @param {object} flags - Parsed flags (`--expired` limits purge to expired entries)
+ */
+async function runOutbox(action, flags) {
+  if (action === 'list') {
+    const entries = listOutbox();
+    console.log(`\nOutbox: ${entries.length} ${entries.length === 1 ? 'message' : 'messages'}`);
+    console.log('─'.repeat(40));
+    for (const entry of entries) {
+      const target = entry.channel ? `${entry.channel} (${entry.platform})` : entry.platform;
+      const expires = new Date(entry.expiresAt).toISOString();
+      const attempts = `${entry.attempts} ${entry.attempts === 1 ? 'attempt' : 'attempts'}`;
+      console.log(`  ${entry.id}  ${target}, ${attempts}, expires ${expires}`);
+      console.log(`    ${entry.lastError.split('\n')[0]}`);
     }
+    console.log();
+    process.exit(0);
+  }
 
-    // Simple message mode
-    const message = positional.join(' ');
-    if (!message) {
-      console.error('Error: No message provided');
-      console.error('Usage: webhook-push "Your message here"');
-      console.error('       webhook-push --help for more options');
-      process.exit(1);
+  if (action === 'flush') {
+    const result = await flushOutbox();
+    for (const { id, error } of result.failed) {
+      console.log(`  ✗ ${id} ${error.message.split('\n')[0]}`);
     }
+    const dropped = result.failed.length - result.remaining;
+    console.log(
+      `${result.sent.length} sent, ${result.remaining} still failing, ` +
+      `${dropped} rejected, ${result.expired.length} expired`
+    );
+    process.exit(result.failed.length > 0 ? 1 : 0);
+  }
 
-    console.log(`Sending message to ${options.platform}...`);
-    await push(message, options);
-    console.log('✓ Message sent successfully');
+  if (action === 'purge') {
+    const removed = purgeOutbox({ expired: Boolean(flags.expired) });
+    console.log(`Removed ${removed} ${removed === 1 ? 'message' : 'messages'} from the outbox`);
     process.exit(0);
+  }
 
-  } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+  throw new UsageError(`Unknown outbox command "${action || ''}". Use list, flush or purge.`);
+}
+
+// ============================================================================
+// Digest
+// ============================================================================
+
+/**
+ * Run a digest subcommand and exit
+ * @param {string} action - flush
+ * @param {object} options - Parsed push options, with `digestFile`
+ */
+async function runDigest(action, options) {
+  if (action !== 'flush') {
+    throw new UsageError(`Unknown digest command "${action || ''}". Use flush.`);
+  }
+
+  const result = await flushDigest({ digestFile: options.digestFile });
+  for (const target of result.sent) {
+    console.log(`  ✓ ${target}`);
+  }
+  for (const { target, error } of result.failed) {
+    const saved = error.outbox ? ' (saved to the outbox)' : '';
+    console.log(`  ✗ ${target.padEnd(12)} ${error.message.split('\n')[0]}${saved}`);
   }
+  console.log(`${result.sent.length} sent, ${result.failed.length} failed`);
+  process.exit(result.failed.length > 0 ? 1 : 0);
 }
 
-// Run CLI
-main().catch((error) => {
-  console.error('Unexpected error:', error.message);
-  process.exit(1);
-});
+// ============================================================================
+// Command Wrapper
+// ============================================================================
+
+/**
+ * Signals passed on to the wrapped command
+ */
+const FORWARDED_SIGNALS = ['SIGTERM', 'SIGHUP'];
 
+/**
+ * Signals caught but not passed on: Ctrl-C sends SIGINT to the terminal's whole
+ * foreground process group, so the command already has it, and a second one
+ * makes tools such as terraform force-quit. Catching it lets the command's exit
+ * be reported.
+ */
+const SHARED_SIGNALS = ['SIGINT'];
+
+/**
+ * Keep the last lines written to a stream
+ * 
+ * Escape sequences are dropped and carriage returns keep only the text after the
+ * last one, so progress bars leave their final state rather than every frame.
+ * 
+ * @param {number} limit - Number of lines to keep
+ * @returns {object} `{ write(chunk), lines() }`
+ */
+function createTail(limit) {
+  const lines = [];
+  let partial = '';
+
+  const keep = (line) => {
+    const text = line.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '').split('\r').pop();
+    lines.push(text);
+    if (lines.length > limit) {
+      lines.shift();
+    }
+  };
+
+  return {
+    write(chunk) {
+      const parts = (partial + chunk.toString()).split('\n');
+      partial = parts.pop();
+      parts.forEach(keep);
+    },
+    lines() {
+      const all = partial ? [...lines, partial] : lines;
+      return all.slice(Math.max(0, all.length - limit));
+    },
+  };
+}
+
+/**
+ * Run a command and send progress notifications for it
+ * 
+ * Sends "started", runs the command with its output passed through, then sends
+ * "completed" or "failed" with the exit code, duration and last lines of output.
+ * The process exits with the command's exit code; failed notifications are
+ * reported but never change it.
+ * 
+ * @param {string[]} commandArgs - Command and its arguments
+ * @param {object} options - Push options
+ * @param {object} runOptions - `{ task, tail, heartbeat, failuresOnly }`
+ */
+async function runCommand(commandArgs, options, runOptions) {
+  const { task, failuresOnly } = runOptions;
+  const commandLine = commandArgs.join(' ');
+  const tail = createTail(runOptions.tail);
+  const startedAt = Date.now();
+
+  // Notification problems go to stderr and never fail the wrapped command
+  const notify = async (status, details, extra = {}) => {
+    try {
+      const result = await pushProgress(task, status, details, { ...options, ...extra });
+      if (isBroadcastResult(result) && result.failed.length > 0) {
+        console.error(`⚠ ${status} notification failed for ${result.failed.join(', ')}`);
+      }
+    } catch (error) {
+      console.error(`⚠ Could not send ${status} notification: ${error.message}`);
+    }
+  };
+
+  if (!failuresOnly) {
+    await notify('started', `Running \`${commandLine}\``);
+  }
+
+  const child = spawn(commandArgs[0], commandArgs.slice(1), { stdio: ['inherit', 'pipe', 'pipe'] });
+  child.stdout.on('data', (chunk) => {
+    process.stdout.write(chunk);
+    tail.write(chunk);
+  });
+  child.stderr.on('data', (chunk) => {
+    process.stderr.write(chunk);
+    tail.write(chunk);
+  });
+
+  const forward = (signal) => child.kill(signal);
+  const wait = () => {};
+  for (const signal of FORWARDED_SIGNALS) {
+    process.on(signal, forward);
+  }
+  for (const signal of SHARED_SIGNALS) {
+    process.on(signal, wait);
+  }
+
+  const heartbeats = [];
+  const timer = runOptions.heartbeat && !failuresOnly
+    ? setInterval(() => {
+      heartbeats.push(notify('in_progress', `Still running \`${commandLine}\``, {
+        duration: Date.now() - startedAt,
+      }));
+    }, runOptions.heartbeat)
+    : null;
+
+  // Exit code, with 127 when the command cannot be started and 128 + n for signals
+  const { code, reason } = await new Promise((resolve) => {
+    child.on('error', (error) => resolve({ code: 127, reason: error.message }));
+    child.on('close', (exitCode, signal) => {
+      if (signal) {
+        resolve({ code: 128 + (os.constants.signals[signal] || 0), reason: `was terminated by ${signal}` });
+      } else {
+        resolve({ code: exitCode, reason: `exited with code ${exitCode}` });
+      }
+    });
+  });
+
+  clearInterval(timer);
+  for (const signal of FORWARDED_SIGNALS) {
+    process.removeListener(signal, forward);
+  }
+  for (const signal of SHARED_SIGNALS) {
+    process.removeListener(signal, wait);
+  }
+  await Promise.all(heartbeats);
+
+  const status = code === 0 ? 'completed' : 'failed';
+  if (status === 'completed' && failuresOnly) {
+    process.exit(code);
+  }
+
+  const output = tail.lines();
+  const details = [
+    child.pid === undefined ? `Could not run \`${commandLine}\`: ${reason}` : `\`${commandLine}\` ${reason}`,
+    ...(output.length > 0 ? ['', '```', ...output, '```'] : []),
+  ].join('\n');
+  await notify(status, details, { duration: Date.now() - startedAt });
+  process.exit(code);
+}
+
+// ============================================================================
+// Configuration Status
+// ============================================================================
+
+/**
+ * Show a config file path relative to the current directory
+ * @param {string} source - File path, or "env" for environment variables
+ */
+function describeSource(source) {
+  return source === 'env'
+    ? 'environment variables'
+    : path.relative(process.cwd(), source) || source;
+}
+
+/**
+ * Describe whether an additional platform setting, such as a chat ID or
+ * signing secret, is set
+ * @param {object} field - Adapter config field
+ * @returns {string} "signed"/"unsigned" for secrets, else "set", "missing" or "not set"
+ */
+function settingState(field) {
+  const isSet = Boolean(process.env[field.env]);
+  if (field.name === 'secret') {
+    return isSet ? 'signed' : 'unsigned';
+  }
+  if (field.required) {
+    return isSet ? 'set' : 'missing';
+  }
+  return isSet ? 'set' : 'not set';
+}
+
+/**
+ * Request options for verification, from --timeout and --attempts
+ * @param {object} flags - Parsed flags
+ * @returns {object} Options for verifyPlatform()
+ */
+function verifyOptions(flags) {
+  return {
+    timeout: parseNumberFlag('timeout', flags.timeout, 1),
+    attempts: parseNumberFlag('attempts', flags.attempts, 1),
+  };
+}
+
+/**
+ * Verify a channel, or a platform configured through environment variables
+ * @param {string} name - Channel or platform name
+ * @param {object} options - Options for verifyPlatform()
+ * @returns {Promise<object>} verifyPlatform() result; config errors are reported
+ *   as a failure that never reached the platform
+ */
+async function verifyTarget(name, options) {
+  try {
+    const channel = resolveChannel(name);
+    return await verifyPlatform(channel.platform, options, channel.config);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    return { ok: false, error };
+  }
+}
+
+/**
+ * Describe a verification result in one line
+ * @param {object} result - verifyPlatform() result
+ * @returns {string} What was checked, or why it failed, with the latency
+ */
+function describeVerification(result) {
+  const latency = result.latency === undefined ? '' : ` (${result.latency}ms)`;
+  if (result.ok) {
+    return `${result.details || 'test message sent'}${latency}`;
+  }
+  const reason = result.error.message.split('\n')[0];
+  if (result.authorized === false) {
+    return `rejected: ${reason}${latency}`;
+  }
+  if (result.reachable === false) {
+    return `unreachable: ${reason}${latency}`;
+  }
+  if (result.error.retryable) {
+    return `not verified, try again later: ${reason}${latency}`;
+  }
+  return `${reason}${latency}`;
+}
+
+/**
+ * Print which platforms and channels are configured and exit
+ * 
+ * With `verify`, every channel and configured platform is also checked against
+ * the platform (see verifyPlatform()), platforms that fail are left out of the
+ * ready list unless the failure is temporary, and the exit code is that of the
+ * first failure. Otherwise exits
+ * with EXIT_CODES.CONFIG if a config file is invalid.
+ * 
+ * @param {boolean} json - Print JSON instead of text
+ * @param {object} [verify] - Options for verifyPlatform(), to verify credentials
+ */
+async function runCheck(json, verify) {
+  const platforms = getPlatforms().map((platform) => {
+    const [primary, ...fields] = getAdapter(platform).config;
+    return {
+      name: platform,
+      configured: isConfigured(platform),
+      env: primary.env,
+      settings: fields.map((field) => ({ env: field.env, state: settingState(field) })),
+    };
+  });
+  const configured = getConfiguredPlatforms();
+
+  let channels = [];
+  let configError;
+  try {
+    channels = getChannels();
+  } catch (error) {
+    configError = error;
+  }
+
+  // One at a time, so each latency is the platform's own
+  const verified = {};
+  if (verify) {
+    if (!json) {
+      console.log(`\nVerifying ${channels.length} ${channels.length === 1 ? 'target' : 'targets'}...`);
+    }
+    for (const channel of channels) {
+      verified[channel.name] = await verifyTarget(channel.name, verify);
+    }
+  }
+
+  const failure = Object.values(verified).find((result) => !result.ok);
+  // A platform asking to try again later (e.g. rate limited) hasn't disproved its credentials
+  const failed = (platform) => {
+    const result = verified[platform];
+    return result !== undefined && !result.ok && !(result.reachable && result.error.retryable);
+  };
+  const ready = configured.filter((platform) => !failed(platform));
+  let exitCode = EXIT_CODES.OK;
+  if (configError) {
+    exitCode = exitCodeFor(configError);
+  } else if (failure) {
+    exitCode = exitCodeFor(failure.error);
+  }
+
+  if (json) {
+    const verification = {};
+    for (const [name, result] of Object.entries(verified)) {
+      verification[name] = { ...result, error: result.error && describeError(result.error) };
+    }
+    printJson({
+      platforms,
+      channels,
+      ready,
+      verified: verify ? verification : undefined,
+      error: configError && describeError(configError),
+    });
+    process.exit(exitCode);
+  }
+
+  console.log('\nWebhook Configuration Status:');
+  console.log('─'.repeat(40));
+  for (const platform of platforms) {
+    console.log(`  ${platform.configured ? '✓' : '✗'} ${platform.name.padEnd(12)} ${platform.env}`);
+
+    // Additional settings, e.g. chat IDs and signing secrets
+    for (const setting of platform.settings) {
+      console.log(`    ${' '.repeat(12)} ${setting.env} (${setting.state})`);
+    }
+  }
+  console.log('─'.repeat(40));
+
+  // Named channels and where each one is configured
+  if (configError) {
+    console.log(`\n⚠ ${configError.message}`);
+  }
+  if (channels.length > 0) {
+    console.log('\nChannels:');
+    for (const channel of channels) {
+      const name = `${channel.name}${channel.isDefault ? ' *' : ''}`;
+      console.log(`  ${name.padEnd(14)} ${channel.platform.padEnd(12)} ${describeSource(channel.source)}`);
+    }
+    if (channels.some((channel) => channel.isDefault)) {
+      console.log('  (* default channel)');
+    }
+  }
+
+  if (verify && channels.length > 0) {
+    console.log('\nVerification:');
+    for (const [name, result] of Object.entries(verified)) {
+      console.log(`  ${result.ok ? '✓' : '✗'} ${name.padEnd(14)} ${describeVerification(result)}`);
+    }
+  }
+
+  if (ready.length > 0) {
+    console.log(`\nReady to use: ${ready.join(', ')}`);
+  }
+  if (configured.some(failed)) {
+    console.log(`\n⚠ Configured, but failed verification: ${configured.filter(failed).join(', ')}`);
+  } else if (configured.length === 0) {
+    console.log('\n⚠ No platforms configured. Set environment variables or create a .env file.');
+  }
+  console.log();
+  process.exit(exitCode);
+}
+
+/**
+ * Print the config files in use and what they resolve to, then exit
+ * 
+ * Channels show the names of the settings they resolve, never the values, so
+ * the output is safe to share. Exits with the code for the first channel that
+ * cannot be resolved, e.g. EXIT_CODES.CONFIG for a missing environment variable.
+ * 
+ * @param {boolean} json - Print JSON instead of text
+ * @throws {ConfigError} If a config file is invalid
+ */
+function runConfig(json) {
+  const config = loadConfig();
+  const problems = [];
+  const channels = getChannels().map((channel) => {
+    try {
+      const resolved = resolveChannel(channel.name);
+      return { ...channel, settings: Object.keys(resolved.config), options: resolved.options };
+    } catch (error) {
+      problems.push(error);
+      return { ...channel, error: describeError(error) };
+    }
+  });
+  const routes = resolveRoute({}).rules.map(({ index, name, conditions, to }) => ({ index, name, conditions, to }));
+  const exitCode = problems.length > 0 ? exitCodeFor(problems[0]) : EXIT_CODES.OK;
+
+  if (json) {
+    printJson({
+      files: config.files,
+      defaultChannel: config.defaultChannel,
+      defaultRoute: config.defaultRoute,
+      channels,
+      routes,
+      people: Object.keys(config.people),
+      rateLimits: config.rateLimits,
+    });
+    process.exit(exitCode);
+  }
+
+  console.log('\nConfig files:');
+  console.log('─'.repeat(40));
+  if (config.files.length === 0) {
+    console.log('  None found; channels come from environment variables only');
+  }
+  for (const file of config.files) {
+    console.log(`  ${describeSource(file)}`);
+  }
+  console.log('─'.repeat(40));
+
+  console.log('\nChannels:');
+  for (const channel of channels) {
+    const name = `${channel.name}${channel.isDefault ? ' *' : ''}`;
+    const details = channel.error
+      ? `✗ ${channel.error.message.split('\n')[0]}`
+      : [...channel.settings, ...Object.keys(channel.options)].join(', ');
+    console.log(`  ${name.padEnd(14)} ${channel.platform.padEnd(12)} ${details}`);
+  }
+  if (channels.length === 0) {
+    console.log('  None');
+  }
+  if (config.defaultChannel) {
+    console.log(`  (* default channel)`);
+  }
+
+  if (routes.length > 0) {
+    console.log('\nRoutes:');
+    for (const route of routes) {
+      const label = `#${route.index + 1}${route.name ? ` ${route.name}` : ''}`;
+      console.log(`  ${label.padEnd(14)} ${route.conditions} → ${route.to.join(', ')}`);
+    }
+    if (config.defaultRoute) {
+      console.log(`  (otherwise → ${[].concat(config.defaultRoute).join(', ')})`);
+    }
+  }
+
+  const people = Object.keys(config.people);
+  if (people.length > 0) {
+    console.log(`\nPeople: ${people.join(', ')}`);
+  }
+  const rateLimits = Object.entries(config.rateLimits).map(([name, rateLimit]) => (
+    rateLimit ? `${name} ${rateLimit.limit} per ${rateLimit.interval}ms` : `${name} off`
+  ));
+  if (rateLimits.length > 0) {
+    console.log(`\nRate limits: ${rateLimits.join(', ')}`);
+  }
+  console.log();
+  process.exit(exitCode);
+}
+
+// ============================================================================
+// Sending
+// ============================================================================
+
+/**
+ * Statuses accepted by `webhook-push progress`
+ */
+const VALID_STATUSES = Object.keys(STATUS_STYLES);
+
+/**
+ * Directory for state shared between runs, per user so other users can neither
+ * read it nor block it (created only accessible to the current user)
+ */
+const STATE_DIR = path.join(os.homedir(), '.webhook-push');
+
+/**
+ * Build push options from the parsed flags
+ * @param {object} flags - Parsed flags
+ * @returns {object} Options for push() and pushProgress()
+ * @throws {UsageError} If a flag has an invalid value
+ */
+function buildOptions(flags) {
+  const options = {
+    platform: parsePlatformFlag(flags.p || flags.platform),
+    channel: typeof (flags.c || flags.channel) === 'string' ? flags.c || flags.channel : undefined,
+    tags: flags.tags ? splitList(flags.tags) : undefined,
+    mentions: flags.mention ? splitList(flags.mention) : undefined,
+    mentionAll: flags['mention-all'] ? true : undefined,
+    attachments: flags.attach ? splitList(flags.attach) : undefined,
+    raw: flags.raw ? true : undefined,
+    outbox: flags.outbox ? true : undefined,
+    overflow: flags.overflow,
+    onRateLimit: flags['on-rate-limit'],
+    rateLimitFile: process.env.WEBHOOK_PUSH_RATE_FILE || path.join(STATE_DIR, 'rate-limits.json'),
+    digest: parseDigestFlag(flags.digest),
+    digestImmediate: parseStatusesFlag('digest-immediate', flags['digest-immediate']),
+    digestFile: process.env.WEBHOOK_PUSH_DIGEST_FILE || path.join(STATE_DIR, 'digest.json'),
+    dedupKey: typeof flags['dedup-key'] === 'string' ? flags['dedup-key'] : undefined,
+    dedupWindow: parseNumberFlag('dedup-window', flags['dedup-window'], 1),
+    dedupFile: process.env.WEBHOOK_PUSH_DEDUP_FILE || path.join(STATE_DIR, 'dedup.json'),
+    dryRun: flags['dry-run'] || flags.render ? true : undefined,
+    title: flags.title,
+    priority: parseNumberFlag('priority', flags.priority, 1),
+    timeout: parseNumberFlag('timeout', flags.timeout, 1),
+    attempts: parseNumberFlag('attempts', flags.attempts, 1),
+    retryDelay: parseNumberFlag('retry-delay', flags['retry-delay'], 0),
+    maxRetryDelay: parseNumberFlag('max-retry-delay', flags['max-retry-delay'], 0),
+  };
+  if (options.channel && options.platform) {
+    throw new UsageError('Use either --channel or --platform, not both');
+  }
+  if (options.overflow !== undefined && !['truncate', 'split'].includes(options.overflow)) {
+    throw new UsageError(`Invalid overflow mode "${options.overflow}". Use truncate or split.`);
+  }
+  if (options.onRateLimit !== undefined && !RATE_LIMIT_POLICIES.includes(options.onRateLimit)) {
+    throw new UsageError(`Invalid rate limit policy "${options.onRateLimit}". Use ${RATE_LIMIT_POLICIES.join(', ')}.`);
+  }
+  return options;
+}
+
+/**
+ * Send a message or notification, report the result and exit
+ * 
+ * With --json, a single target that fails is reported like a failed broadcast
+ * target instead of as an error.
+ * 
+ * @param {function(): Promise<object>} send - Calls push() or pushProgress()
+ * @param {object} options - Parsed push options
+ * @param {object} flags - Parsed flags (`--json`, `--render`, `--allow-partial`)
+ * @param {string} noun - What is sent, e.g. "message"
+ */
+async function sendAndReport(send, options, flags, noun) {
+  const json = Boolean(flags.json);
+  const allowPartial = Boolean(flags['allow-partial']);
+  if (!json && !options.dryRun) {
+    console.log(`Sending ${noun} to ${describeTarget(options)}...`);
+  }
+
+  let result;
+  try {
+    result = await send();
+  } catch (error) {
+    if (!json) {
+      throw error;
+    }
+    result = failedResult(error, options);
+  }
+
+  if (json) {
+    reportJson(result, options, allowPartial);
+  }
+  if (options.dryRun) {
+    reportDryRun(result, options, Boolean(flags.render));
+  }
+  if (isBroadcastResult(result)) {
+    reportBroadcast(result, allowPartial);
+  }
+
+  const label = noun === 'message' ? 'Message' : 'Notification';
+  const skipped = describeSkipped(result);
+  if (!skipped) {
+    console.log(`✓ ${label} sent successfully`);
+  } else {
+    console.log(`${result.digested ? '✓' : '⚠'} ${label} ${skipped}`);
+  }
+  process.exit(EXIT_CODES.OK);
+}
+
+/**
+ * Send a progress notification and exit
+ * @param {object} flags - Parsed flags
+ * @param {string[]} values - Task, status and details given as positionals
+ * @param {object} options - Parsed push options
+ */
+async function runProgress(flags, values, options) {
+  const [taskValue, statusValue, ...detailsValue] = values;
+  const taskName = flags.t || flags.task || taskValue;
+  const status = flags.s || flags.status || statusValue;
+
+  if (!taskName || taskName === true) {
+    throw new UsageError('--task (-t) is required for progress notifications');
+  }
+  if (!status || status === true) {
+    throw new UsageError(
+      '--status (-s) is required for progress notifications\n' +
+      `Valid statuses: ${VALID_STATUSES.join(', ')}`
+    );
+  }
+  if (!VALID_STATUSES.includes(status)) {
+    throw new UsageError(`Invalid status "${status}"\nValid statuses: ${VALID_STATUSES.join(', ')}`);
+  }
+
+  const inline = flags.d || flags.details || detailsValue.join(' ');
+  const detailsSource = contentSource(flags['details-file'], inline, 'details-file');
+  const details = detailsSource ? await readContent(detailsSource, flags.code) : inline || '';
+
+  const duration = flags.duration;
+  await sendAndReport(() => pushProgress(taskName, status, details, {
+    ...options,
+    duration: /^\d+$/.test(duration) ? Number(duration) : duration,
+    commit: flags.commit,
+    logsUrl: flags['logs-url'],
+  }), options, flags, 'progress notification');
+}
+
+/**
+ * Send a message and exit; without a message, piped input is the message
+ * @param {object} flags - Parsed flags
+ * @param {string[]} words - Message given as positionals
+ * @param {object} options - Parsed push options
+ */
+async function runSend(flags, words, options) {
+  let source = contentSource(flags.file, words.join(' '), 'file');
+  if (!source && words.length === 0 && !process.stdin.isTTY) {
+    source = '-';
+  }
+  const message = source ? await readContent(source, flags.code) : words.join(' ');
+  if (!message) {
+    throw new UsageError(
+      'No message provided\n' +
+      'Usage: webhook-push send "Your message here"\n' +
+      '       webhook-push --help for more options'
+    );
+  }
+
+  await sendAndReport(() => push(message, options), options, flags, 'message');
+}
+
+// ============================================================================
+// Setup Wizard
+// ============================================================================
+
+/**
+ * Files `webhook-push init` can write settings to
+ */
+const INIT_TARGETS = ['.env', 'webhook-push.config.json'];
+
+/**
+ * Ask questions on stdout and read the answers from stdin, one line each
+ * 
+ * Lines are read through one iterator so answers piped in ahead of the
+ * questions are not lost.
+ * 
+ * @returns {object} `{ ask(question, fallback, shown), confirm(question, fallback), close() }`
+ */
+function createPrompter() {
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+  const lines = rl[Symbol.asyncIterator]();
+
+  const ask = async (question, fallback = '', shown = fallback) => {
+    process.stdout.write(shown ? `${question} [${shown}]: ` : `${question}: `);
+    const { value, done } = await lines.next();
+    if (done) {
+      throw new Error('Setup cancelled: no more input');
+    }
+    // Piped answers are not echoed, so end the prompt's line
+    if (!process.stdin.isTTY) {
+      process.stdout.write('\n');
+    }
+    return value.trim() || fallback;
+  };
+
+  return {
+    ask,
+    async confirm(question, fallback) {
+      const answer = await ask(`${question} ${fallback ? '[Y/n]' : '[y/N]'}`);
+      return answer ? /^y(es)?$/i.test(answer) : fallback;
+    },
+    close: () => rl.close(),
+  };
+}
+
+/**
+ * Ask for the platforms to set up until every answer names one
+ * @param {object} prompt - From createPrompter()
+ * @returns {Promise<string[]>} Platform names
+ */
+async function askPlatforms(prompt) {
+  const platforms = getPlatforms();
+  console.log('\nPlatforms:');
+  platforms.forEach((platform, index) => {
+    const configured = isConfigured(platform) ? ' (configured)' : '';
+    console.log(`  ${String(index + 1).padStart(2)}. ${platform.padEnd(12)} ${getAdapter(platform).label}${configured}`);
+  });
+
+  for (;;) {
+    const answer = await prompt.ask('\nPlatforms to set up (names or numbers, comma-separated)');
+    const chosen = splitList(answer).map((item) => (/^\d+$/.test(item) ? platforms[item - 1] : item));
+    const unknown = splitList(answer).filter((item, index) => !platforms.includes(chosen[index]));
+    if (chosen.length > 0 && unknown.length === 0) {
+      return [...new Set(chosen)];
+    }
+    console.log(unknown.length > 0 ? `✗ Unknown platform: ${unknown.join(', ')}` : '✗ Choose at least one platform');
+  }
+}
+
+/**
+ * Ask for a platform's settings, checking each against its field's pattern
+ * 
+ * Settings already in the environment are kept when the answer is empty.
+ * 
+ * @param {object} prompt - From createPrompter()
+ * @param {string} platform - Platform name
+ * @returns {Promise<object>} Config keyed by field name
+ */
+async function askSettings(prompt, platform) {
+  const config = {};
+  for (const field of getAdapter(platform).config) {
+    const current = process.env[field.env] || '';
+    const optional = field.required ? '' : ', Enter to skip';
+    const question = `  ${field.description || field.name} (${field.env}${optional})`;
+
+    for (;;) {
+      const value = await prompt.ask(question, current, current && 'keep current');
+      if (!value && field.required) {
+        console.log('  ✗ This setting is required');
+      } else if (value && field.pattern && !field.pattern.test(value)) {
+        console.log(`  ✗ That doesn't look right: expected ${field.pattern}`);
+      } else {
+        if (value) {
+          config[field.name] = value;
+        }
+        break;
+      }
+    }
+  }
+  return config;
+}
+
+/**
+ * Ask for a platform's settings and verify them, until they work or the user
+ * keeps them anyway
+ * @param {object} prompt - From createPrompter()
+ * @param {string} platform - Platform name
+ * @param {object} options - Options for verifyPlatform()
+ * @returns {Promise<object|null>} Config to save, or null to skip the platform
+ */
+async function setUpPlatform(prompt, platform, options) {
+  for (;;) {
+    const config = await askSettings(prompt, platform);
+    const result = await verifyPlatform(platform, options, config);
+    console.log(`  ${result.ok ? '✓' : '✗'} ${describeVerification(result)}`);
+    if (result.ok) {
+      return config;
+    }
+    if (await prompt.confirm('  Enter the settings again?', true)) {
+      continue;
+    }
+    return await prompt.confirm('  Save them anyway?', false) ? config : null;
+  }
+}
+
+/**
+ * Quote a .env value when dotenv would otherwise misread it
+ */
+function formatEnvValue(value) {
+  return /[\s#"'\\]/.test(value) ? JSON.stringify(value) : value;
+}
+
+/**
+ * Read a .env file's lines and variables
+ * @param {string} file - .env file path
+ * @returns {object} `{ lines, existing }` where existing maps each variable name
+ *   to `{ index, value }`
+ */
+function readEnvFile(file) {
+  const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n') : [];
+  const existing = new Map();
+  lines.forEach((line, index) => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (match) {
+      existing.set(match[1], { index, value: match[2].replace(/^(["'])(.*)\1$/, '$2') });
+    }
+  });
+  return { lines, existing };
+}
+
+/**
+ * Add variables to a .env file, asking before replacing a different value
+ * @param {object} prompt - From createPrompter()
+ * @param {string} file - .env file path
+ * @param {object} values - Values keyed by variable name
+ * @returns {Promise<object>} `{ added, replaced, kept }` variable names
+ */
+async function writeEnvFile(prompt, file, values) {
+  const { lines, existing } = readEnvFile(file);
+
+  const result = { added: [], replaced: [], kept: [] };
+  for (const [name, value] of Object.entries(values)) {
+    const line = `${name}=${formatEnvValue(value)}`;
+    if (!existing.has(name)) {
+      if (lines.length > 0 && lines[lines.length - 1] === '') {
+        lines.pop();
+      }
+      lines.push(line, '');
+      result.added.push(name);
+    } else if (existing.get(name).value === value) {
+      result.kept.push(name);
+    } else if (await prompt.confirm(`${name} is already set in ${path.basename(file)}. Replace it?`, false)) {
+      lines[existing.get(name).index] = line;
+      result.replaced.push(name);
+    } else {
+      result.kept.push(name);
+    }
+  }
+
+  // Only readable by the current user when it is created
+  fs.writeFileSync(file, lines.join('\n'), { mode: 0o600 });
+  return result;
+}
+
+/**
+ * Name of the variable holding a channel's secret in .env
+ * @param {object} field - Adapter config field
+ * @param {string} channel - Channel name
+ * @param {string} platform - Platform name; a channel named after it uses the
+ *   platform's own variable
+ */
+function channelVariable(field, channel, platform) {
+  return channel === platform ? field.env : `${field.env}_${channel.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Add channels to webhook-push.config.json, asking before replacing one
+ * 
+ * Secrets go to .env and the channel references them as ${VAR}, so the config
+ * file can be committed. A variable already set to another value, in .env or
+ * the environment, is left alone and a numbered one is used instead, so the
+ * channel never points at a secret that wasn't verified.
+ * 
+ * @param {object} prompt - From createPrompter()
+ * @param {string} file - Config file path
+ * @param {object[]} setups - `[{ channel, platform, config }]`
+ * @returns {Promise<object>} `{ added, replaced, kept, env }` where env is the
+ *   writeEnvFile() result for the secrets
+ * @throws {ConfigError} If the existing file is not valid JSON
+ */
+async function writeConfigFile(prompt, file, setups) {
+  let data = {};
+  if (fs.existsSync(file)) {
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`Cannot read config file ${file}: ${error.message}`);
+    }
+  }
+  data.channels = data.channels || {};
+
+  const envFile = path.join(path.dirname(file), '.env');
+  const { existing } = readEnvFile(envFile);
+  const secrets = {};
+  const isFree = (variable, value) => {
+    const current = existing.has(variable) ? existing.get(variable).value : process.env[variable];
+    return [current, secrets[variable]].every((other) => other === undefined || other === value);
+  };
+
+  const result = { added: [], replaced: [], kept: [] };
+  for (const { channel, platform, config } of setups) {
+    if (data.channels[channel]) {
+      if (!await prompt.confirm(`Channel "${channel}" is already in ${path.basename(file)}. Replace it?`, false)) {
+        result.kept.push(channel);
+        continue;
+      }
+      result.replaced.push(channel);
+    } else {
+      result.added.push(channel);
+    }
+
+    const entry = { platform };
+    for (const field of getAdapter(platform).config) {
+      if (config[field.name] === undefined) {
+        continue;
+      }
+      if (isSecretField(field)) {
+        const base = channelVariable(field, channel, platform);
+        let variable = base;
+        for (let n = 2; !isFree(variable, config[field.name]); n++) {
+          variable = `${base}_${n}`;
+        }
+        secrets[variable] = config[field.name];
+        entry[field.name] = `\${${variable}}`;
+      } else {
+        entry[field.name] = config[field.name];
+      }
+    }
+    data.channels[channel] = entry;
+  }
+  if (!data.defaultChannel && result.added.length > 0) {
+    data.defaultChannel = result.added[0];
+  }
+
+  // Secrets first, so the config file never refers to variables that aren't there
+  result.env = Object.keys(secrets).length > 0
+    ? await writeEnvFile(prompt, envFile, secrets)
+    : { added: [], replaced: [], kept: [] };
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+  return result;
+}
+
+/**
+ * Print what a write changed
+ * @param {string} file - File written
+ * @param {object} result - `{ added, replaced, kept }`
+ */
+function reportWrite(file, result) {
+  const parts = [
+    result.added.length > 0 && `added ${result.added.join(', ')}`,
+    result.replaced.length > 0 && `replaced ${result.replaced.join(', ')}`,
+    result.kept.length > 0 && `kept existing ${result.kept.join(', ')}`,
+  ].filter(Boolean);
+  console.log(`✓ ${file}: ${parts.join('; ') || 'nothing to change'}`);
+}
+
+/**
+ * Walk through setting up platforms: choose them, enter and verify their
+ * settings, then save them to .env or webhook-push.config.json. Existing values
+ * are only replaced after asking. Exits when done.
+ * @param {object} flags - Parsed flags (`--timeout`, `--attempts` for verification)
+ */
+async function runInit(flags) {
+  const options = verifyOptions(flags);
+  const prompt = createPrompter();
+  try {
+    console.log('\nwebhook-push setup');
+    console.log('─'.repeat(40));
+    const platforms = await askPlatforms(prompt);
+
+    let target;
+    for (;;) {
+      target = await prompt.ask(`Save settings to (${INIT_TARGETS.join(' or ')})`, INIT_TARGETS[0]);
+      if (INIT_TARGETS.includes(target)) {
+        break;
+      }
+      console.log(`✗ Choose ${INIT_TARGETS.join(' or ')}`);
+    }
+    const toConfig = target === INIT_TARGETS[1];
+
+    const setups = [];
+    for (const platform of platforms) {
+      console.log(`\n${getAdapter(platform).label}${getAdapter(platform).docs ? ` (${getAdapter(platform).docs})` : ''}`);
+      const channel = toConfig ? await prompt.ask('  Channel name', platform) : platform;
+      const config = await setUpPlatform(prompt, platform, options);
+      if (config) {
+        setups.push({ channel, platform, config });
+      } else {
+        console.log(`  Skipped ${platform}`);
+      }
+    }
+
+    console.log();
+    if (setups.length === 0) {
+      console.log('Nothing to save.');
+      process.exit(EXIT_CODES.OK);
+    }
+
+    const file = path.resolve(process.cwd(), target);
+    if (toConfig) {
+      const result = await writeConfigFile(prompt, file, setups);
+      reportWrite(target, result);
+      if (Object.values(result.env).some((names) => names.length > 0)) {
+        reportWrite('.env', result.env);
+      }
+    } else {
+      const values = {};
+      for (const { platform, config } of setups) {
+        for (const field of getAdapter(platform).config) {
+          if (config[field.name] !== undefined) {
+            values[field.env] = config[field.name];
+          }
+        }
+      }
+      reportWrite(target, await writeEnvFile(prompt, file, values));
+    }
+    console.log('\nCheck everything with: webhook-push check --verify\n');
+    process.exit(EXIT_CODES.OK);
+  } finally {
+    prompt.close();
+  }
+}
+
+// ============================================================================
+// Main CLI Logic
+// ============================================================================
+
+async function main() {
+  const { flags, positional } = parseArgs(args);
+  const json = Boolean(flags.json);
+
+  try {
+    if (typeof flags.config === 'string') {
+      process.env.WEBHOOK_PUSH_CONFIG = flags.config;
+    }
+
+    // Custom platform adapters, loaded first so help and check list them
+    loadAdapters([
+      ...splitList(process.env.WEBHOOK_PUSH_ADAPTERS),
+      ...splitList(flags.adapter),
+    ]);
+
+    // Help
+    if (flags.h || flags.help) {
+      console.log(buildHelpText());
+      process.exit(EXIT_CODES.OK);
+    }
+
+    // The subcommand, or the one the short form stands for
+    const explicit = COMMANDS.includes(positional[0]) ? positional[0] : undefined;
+    const rest = explicit ? positional.slice(1) : positional;
+    let name = explicit;
+    if (!name) {
+      if (flags.version) {
+        name = 'version';
+      } else if (flags.check) {
+        name = 'check';
+      } else {
+        name = flags.t || flags.task ? 'progress' : 'send';
+      }
+    }
+
+    if (name === 'version') {
+      if (json) {
+        printJson({ version: VERSION });
+      } else {
+        console.log(`v${VERSION}`);
+      }
+      process.exit(EXIT_CODES.OK);
+    }
+    if (name === 'check') {
+      await runCheck(json, flags.verify ? verifyOptions(flags) : undefined);
+    }
+    if (name === 'config') {
+      runConfig(json);
+    }
+    if (name === 'init') {
+      await runInit(flags);
+    }
+
+    const options = buildOptions(flags);
+
+    // Routing explanation
+    if (name === 'route') {
+      const route = resolveRoute({
+        ...options,
+        task: flags.t || flags.task,
+        status: flags.s || flags.status,
+      });
+      if (json) {
+        printJson(route);
+      } else {
+        explainRoute(route);
+      }
+      process.exit(EXIT_CODES.OK);
+    }
+
+    // Outbox management
+    if (name === 'outbox') {
+      await runOutbox(rest[0], flags);
+    }
+
+    // Digest management
+    if (name === 'digest') {
+      await runDigest(rest[0], options);
+    }
+
+    // Command wrapper mode
+    if (name === 'run') {
+      if (command.length === 0) {
+        throw new UsageError('No command provided\nUsage: webhook-push run [options] -- <command> [args...]');
+      }
+      const tail = parseNumberFlag('tail', flags.tail, 0);
+      await runCommand(command, {
+        ...options,
+        commit: flags.commit,
+        logsUrl: flags['logs-url'],
+      }, {
+        task: typeof (flags.t || flags.task) === 'string' ? flags.t || flags.task : command.join(' '),
+        tail: tail === undefined ? 20 : tail,
+        heartbeat: parseNumberFlag('heartbeat', flags.heartbeat, 1),
+        failuresOnly: Boolean(flags['failures-only']),
+      });
+    }
+
+    // Progress notification; the short form takes the task and status as flags only
+    if (name === 'progress') {
+      await runProgress(flags, explicit ? [...rest, ...command] : [], options);
+    }
+
+    // Simple message; everything after "--" is part of it
+    if (flags.t || flags.task) {
+      throw new UsageError('--task is for progress notifications: webhook-push progress --task <name> --status <status>');
+    }
+    await runSend(flags, [...rest, ...command], options);
+
+  } catch (error) {
+    if (json) {
+      printJson({ ok: false, error: describeError(error) });
+    } else {
+      console.error(`Error: ${error.message}`);
+      if (error.outbox) {
+        console.error('Saved to the outbox; send it later with: webhook-push outbox flush');
+      }
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run CLI
+main().catch((error) => {
+  console.error('Unexpected error:', error.message);
+  process.exit(1);
+});
@@ -12,6 +12,12 @@
  * - Feishu (Lark)
  * - Slack
  * - Telegram
+ * - Discord
+ * - Microsoft Teams
+ * - Mattermost (and Rocket.Chat-compatible incoming webhooks)
+ * - ntfy, Gotify and Bark push notifications
+ * - Email (SMTP)
+ * - Custom platforms via registerPlatform()
  * 
  * @example
  * // Programmatic usage
@@ -21,9 +27,14 @@
  * await pushProgress('Build', 'completed', 'All tests passed');
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
 const https = require('https');
 const http = require('http');
+const net = require('net');
+const os = require('os');
 const path = require('path');
+const tls = require('tls');
 
 // Load environment variables from .env file if exists
 try {
@@ -37,7 +48,8 @@ try {
 // ============================================================================
 
 /**
- * Supported webhook platforms
+ * Built-in webhook platforms
+ * Additional platforms can be added with registerPlatform().
  */
 const PLATFORMS = {
   WECOM: 'wecom',
@@ -45,174 +57,372 @@ const PLATFORMS = {
   FEISHU: 'feishu',
   SLACK: 'slack',
   TELEGRAM: 'telegram',
+  DISCORD: 'discord',
+  TEAMS: 'teams',
+  MATTERMOST: 'mattermost',
+  NTFY: 'ntfy',
+  GOTIFY: 'gotify',
+  BARK: 'bark',
+  EMAIL: 'email',
 };
 
 /**
  * Environment variable names for each platform's webhook key/token
+ * (the first required config field of each registered adapter)
  */
-const ENV_KEYS = {
-  [PLATFORMS.WECOM]: 'WEBHOOK_WECOM_KEY',
-  [PLATFORMS.DINGTALK]: 'WEBHOOK_DINGTALK_TOKEN',
-  [PLATFORMS.FEISHU]: 'WEBHOOK_FEISHU_TOKEN',
-  [PLATFORMS.SLACK]: 'WEBHOOK_SLACK_URL',
-  [PLATFORMS.TELEGRAM]: 'WEBHOOK_TELEGRAM_TOKEN',
-};
+const ENV_KEYS = {};
 
 /**
- * Additional environment variables for specific platforms
+ * Optional signing secrets for platforms with "sign" security settings
+ * (adapter config fields named `secret`)
  */
-const ENV_EXTRAS = {
-  [PLATFORMS.TELEGRAM]: 'WEBHOOK_TELEGRAM_CHAT_ID',
-};
+const ENV_SECRETS = {};
 
 /**
  * Default platform to use when not specified
  */
 const DEFAULT_PLATFORM = PLATFORMS.WECOM;
 
+/**
+ * Keyword accepted by `options.platform` to target every configured platform
+ */
+const ALL_PLATFORMS = 'all';
+
 // ============================================================================
-// Webhook URL Builders
+// Request Signing
 // ============================================================================
 
 /**
- * Build webhook URL for each platform
+ * Compute a DingTalk signature
+ * Base64(HMAC-SHA256(key: secret, data: "timestamp\nsecret"))
+ * @see https://open.dingtalk.com/document/robots/customize-robot-security-settings
+ * @param {string} secret - Robot signing secret (starts with "SEC")
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Base64 signature (not URL-encoded)
  */
-const buildWebhookUrl = {
-  [PLATFORMS.WECOM]: (key) => 
-    `https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=${key}`,
-  
-  [PLATFORMS.DINGTALK]: (token) => 
-    `https://oapi.dingtalk.com/robot/send?access_token=${token}`,
-  
-  [PLATFORMS.FEISHU]: (token) => 
-    `https://open.feishu.cn/open-apis/bot/v2/hook/${token}`,
-  
-  [PLATFORMS.SLACK]: (url) => url, // Slack uses full webhook URL
-  
-  [PLATFORMS.TELEGRAM]: (token, chatId) => 
-    `https://api.telegram.org/bot${token}/sendMessage?chat_id=${chatId}`,
-};
+function signDingTalk(secret, timestamp) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}\n${secret}`)
+    .digest('base64');
+}
+
+/**
+ * Compute a Feishu signature
+ * Base64(HMAC-SHA256(key: "timestamp\nsecret", data: empty))
+ * @see https://open.feishu.cn/document/client-docs/bot-v3/add-custom-bot
+ * @param {string} secret - Bot signing secret
+ * @param {number} timestamp - Seconds since epoch
+ * @returns {string} Base64 signature
+ */
+function signFeishu(secret, timestamp) {
+  return crypto
+    .createHmac('sha256', `${timestamp}\n${secret}`)
+    .update('')
+    .digest('base64');
+}
 
 // ============================================================================
-// Message Formatters
+// Response Interpreters
 // ============================================================================
 
 /**
- * Format message payload for each platform
+ * Build a normalized success result
+ * @param {string} platform - Platform name
+ * @param {*} raw - Response body as returned by the platform
+ * @param {string|number} [messageId] - Platform message ID, where available
+ * @returns {object} `{ ok, platform, messageId, raw }`
  */
-const formatMessage = {
-  /**
-   * WeCom (WeChat Work) markdown format
-   * @see https://developer.work.weixin.qq.com/document/path/91770
-   */
-  [PLATFORMS.WECOM]: (content, options = {}) => ({
-    msgtype: 'markdown',
-    markdown: {
-      content: content,
-    },
-  }),
+function successResult(platform, raw, messageId) {
+  return { ok: true, platform, messageId, raw };
+}
 
-  /**
-   * DingTalk markdown format
-   * @see https://open.dingtalk.com/document/robots/custom-robot-access
-   */
-  [PLATFORMS.DINGTALK]: (content, options = {}) => ({
-    msgtype: 'markdown',
-    markdown: {
-      title: options.title || 'Notification',
-      text: content,
-    },
-  }),
+/**
+ * Build a PlatformError carrying the HTTP details of the response
+ */
+function platformError(platform, code, message, response, retryable) {
+  return new PlatformError(platform, code, message, {
+    statusCode: response.statusCode,
+    retryable: retryable || RETRYABLE_STATUS_CODES.has(response.statusCode),
+    retryAfter: parseRetryAfter(response.headers, response.body),
+    response: response.body,
+  });
+}
+
+/**
+ * Create an interpreter for platforms reporting `{ <codeField>: 0, <messageField> }`
+ * @param {string} platform - Platform name
+ * @param {string} codeField - Body field holding the error code
+ * @param {string} messageField - Body field holding the error message
+ * @param {number[]} retryableCodes - Error codes worth retrying (rate limits, busy)
+ */
+function codedInterpreter(platform, codeField, messageField, retryableCodes) {
+  return (response) => {
+    const body = response.body || {};
+    const code = body[codeField];
+    if (code !== undefined && code !== 0) {
+      throw platformError(platform, code, body[messageField], response, retryableCodes.includes(code));
+    }
+    checkHttpStatus(response);
+    return successResult(platform, body);
+  };
+}
+
+/**
+ * Create the interpreter used by adapters that do not define one:
+ * any 2xx response is a success.
+ * @param {string} platform - Platform name
+ */
+function httpInterpreter(platform) {
+  return (response) => successResult(platform, checkHttpStatus(response));
+}
+
+// ============================================================================
+// Progress Status Styles
+// ============================================================================
+
+/**
+ * Status colors, emojis and priorities for different platforms
+ * `priority` uses the ntfy scale: 1 (min) to 5 (max/urgent), 3 is default.
+ * `ntfy` is the ntfy tag, shown as an emoji in front of the title.
+ */
+const STATUS_STYLES = {
+  started: { color: 'blue', emoji: '🚀', wecom: 'info', priority: 3, ntfy: 'rocket' },
+  in_progress: { color: 'yellow', emoji: '⏳', wecom: 'warning', priority: 2, ntfy: 'hourglass_flowing_sand' },
+  completed: { color: 'green', emoji: '✅', wecom: 'info', priority: 3, ntfy: 'white_check_mark' },
+  failed: { color: 'red', emoji: '❌', wecom: 'warning', priority: 4, ntfy: 'x' },
+  cancelled: { color: 'grey', emoji: '⏹️', wecom: 'comment', priority: 3, ntfy: 'stop_button' },
+};
+
+/**
+ * Default priority for messages without a status
+ */
+const DEFAULT_PRIORITY = 3;
+
+/**
+ * Resolve the priority of a message
+ * @param {object} options - Push options; `priority` (1-5) wins over the status priority
+ * @returns {number} Priority from 1 (min) to 5 (max)
+ */
+function getPriority(options) {
+  if (options.priority) {
+    return Math.min(5, Math.max(1, Number(options.priority)));
+  }
+  const style = STATUS_STYLES[options.status];
+  return style ? style.priority : DEFAULT_PRIORITY;
+}
 
+/**
+ * Hex values for the color names used by STATUS_STYLES and `options.color`
+ */
+const COLOR_HEX = {
+  blue: '#3498DB',
+  yellow: '#F1C40F',
+  green: '#2ECC71',
+  red: '#E74C3C',
+  grey: '#95A5A6',
+};
+
+/**
+ * Adaptive Card text colors for the color names used by STATUS_STYLES
+ */
+const TEAMS_COLORS = {
+  blue: 'Accent',
+  yellow: 'Warning',
+  green: 'Good',
+  red: 'Attention',
+  grey: 'Default',
+};
+
+/**
+ * Resolve a color name or hex string to a hex string
+ * @param {string} [color] - Color name (see COLOR_HEX) or "#RRGGBB"
+ * @returns {string|undefined} Hex color
+ */
+function toHexColor(color) {
+  if (!color) {
+    return undefined;
+  }
+  return COLOR_HEX[color] || (/^#[0-9a-f]{6}$/i.test(color) ? color : undefined);
+}
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Error raised when a webhook request fails.
+ * `retryable` tells sendRequest() whether another attempt may succeed.
+ */
+class WebhookError extends Error {
   /**
-   * Feishu (Lark) interactive card format
-   * @see https://open.feishu.cn/document/client-docs/bot-v3/add-custom-bot
+   * @param {string} message - Error message
+   * @param {object} [details] - Error details
+   * @param {number} [details.statusCode] - HTTP status code, if a response was received
+   * @param {string} [details.code] - Error code (e.g. ETIMEDOUT, ECONNRESET)
+   * @param {boolean} [details.retryable] - Whether the request may be retried
+   * @param {number} [details.retryAfter] - Server-requested delay before retrying (ms)
+   * @param {*} [details.response] - Parsed response body
    */
-  [PLATFORMS.FEISHU]: (content, options = {}) => ({
-    msg_type: 'interactive',
-    card: {
-      header: {
-        title: {
-          tag: 'plain_text',
-          content: options.title || 'Notification',
-        },
-        template: options.color || 'blue',
-      },
-      elements: [
-        {
-          tag: 'markdown',
-          content: content,
-        },
-      ],
-    },
-  }),
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WebhookError';
+    this.statusCode = details.statusCode;
+    this.code = details.code;
+    this.retryable = Boolean(details.retryable);
+    this.retryAfter = details.retryAfter;
+    this.response = details.response;
+    this.attempts = 1;
+  }
+}
 
+/**
+ * Error reported by a platform in its response body, often with HTTP 200
+ * (invalid key, keyword mismatch, message too long, rate limited, ...).
+ */
+class PlatformError extends WebhookError {
   /**
-   * Slack Block Kit format
-   * @see https://api.slack.com/messaging/webhooks
+   * @param {string} platform - Platform name
+   * @param {string|number} platformCode - Platform-specific error code
+   * @param {string} message - Platform error message
+   * @param {object} [details] - Same as WebhookError details
    */
-  [PLATFORMS.SLACK]: (content, options = {}) => ({
-    blocks: [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: content,
-        },
-      },
-    ],
-  }),
+  constructor(platform, platformCode, message, details = {}) {
+    super(`${platform} error ${platformCode}: ${message}`, details);
+    this.name = 'PlatformError';
+    this.platform = platform;
+    this.platformCode = platformCode;
+    this.platformMessage = message;
+  }
+}
 
+/**
+ * Error raised when configuration is missing or invalid: an unset environment
+ * variable, an unreadable config file, an unknown channel.
+ */
+class ConfigError extends Error {
   /**
-   * Telegram message format
-   * @see https://core.telegram.org/bots/api#sendmessage
+   * @param {string} message - Error message
    */
-  [PLATFORMS.TELEGRAM]: (content, options = {}) => ({
-    text: content,
-    parse_mode: 'Markdown',
-  }),
-};
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
 
 // ============================================================================
-// Progress Status Styles
+// HTTP Request Helper
 // ============================================================================
 
 /**
- * Status colors and emojis for different platforms
+ * Default request behaviour, overridable through push() options
  */
-const STATUS_STYLES = {
-  started: { color: 'blue', emoji: '🚀', wecom: 'info' },
-  in_progress: { color: 'yellow', emoji: '⏳', wecom: 'warning' },
-  completed: { color: 'green', emoji: '✅', wecom: 'info' },
-  failed: { color: 'red', emoji: '❌', wecom: 'warning' },
-  cancelled: { color: 'grey', emoji: '⏹️', wecom: 'comment' },
+const REQUEST_DEFAULTS = {
+  timeout: 10000,       // Per-attempt timeout (ms)
+  attempts: 3,          // Total attempts including the first one
+  retryDelay: 500,      // Base delay for exponential backoff (ms)
+  maxRetryDelay: 30000, // Longest single wait; a longer Retry-After gives up instead
 };
 
-// ============================================================================
-// HTTP Request Helper
-// ============================================================================
+/**
+ * HTTP status codes worth retrying
+ */
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+]);
+
+/**
+ * Read the server-requested retry delay from a response
+ * Supports the Retry-After header (seconds or HTTP date) and
+ * Telegram's `parameters.retry_after` (seconds).
+ * @param {object} headers - Response headers
+ * @param {*} body - Parsed response body
+ * @returns {number|undefined} Delay in milliseconds
+ */
+function parseRetryAfter(headers, body) {
+  const header = headers['retry-after'];
+  if (header !== undefined) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const retryAfter = body && body.parameters && body.parameters.retry_after;
+  if (typeof retryAfter === 'number') {
+    return retryAfter * 1000;
+  }
+
+  return undefined;
+}
+
+/**
+ * Compute the wait before the next attempt
+ * Uses exponential backoff with jitter unless the server asked for a delay.
+ * @param {WebhookError} error - Error from the failed attempt
+ * @param {number} attempt - Zero-based index of the failed attempt
+ * @param {object} options - Resolved request options
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, options) {
+  if (error.retryAfter !== undefined) {
+    return error.retryAfter;
+  }
+  const backoff = Math.min(options.maxRetryDelay, options.retryDelay * 2 ** attempt);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
 /**
- * Send HTTP POST request to webhook URL
+ * Send a single HTTP request
  * @param {string} url - Webhook URL
- * @param {object} data - Request payload
- * @returns {Promise<object>} Response data
+ * @param {object|Buffer} [data] - JSON payload, or a raw body with its Content-Type
+ *   in `headers` (see multipartForm()); undefined for requests without a body
+ * @param {number} timeout - Request timeout (ms)
+ * @param {object} [headers] - Additional request headers
+ * @param {string} [method] - HTTP method (default: POST)
+ * @returns {Promise<object>} Raw response: `{ statusCode, headers, body }`,
+ *   where body is parsed JSON or `{ raw }` for non-JSON bodies
+ * @throws {WebhookError} On network errors and timeouts
  */
-function sendRequest(url, data) {
+function requestOnce(url, data, timeout, headers = {}, method = 'POST') {
   return new Promise((resolve, reject) => {
     const urlObj = new URL(url);
     const protocol = urlObj.protocol === 'https:' ? https : http;
     
-    const postData = JSON.stringify(data);
+    let postData = '';
+    if (data !== undefined) {
+      postData = Buffer.isBuffer(data) ? data : JSON.stringify(data);
+    }
     
     const options = {
       hostname: urlObj.hostname,
       port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
       path: urlObj.pathname + urlObj.search,
-      method: 'POST',
+      method,
       headers: {
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(postData),
+        ...headers,
       },
     };
 
@@ -220,240 +430,5211 @@ function sendRequest(url, data) {
       let body = '';
       res.on('data', (chunk) => body += chunk);
       res.on('end', () => {
+        clearTimeout(timer);
+
+        let parsed;
         try {
-          const response = JSON.parse(body);
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve(response);
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${body}`));
-          }
+          parsed = JSON.parse(body);
         } catch (e) {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve({ raw: body });
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${body}`));
-          }
+          parsed = { raw: body };
         }
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: parsed });
       });
     });
 
-    req.on('error', reject);
+    const timer = setTimeout(() => {
+      req.destroy(new WebhookError(`Request timed out after ${timeout}ms`, {
+        code: 'ETIMEDOUT',
+        retryable: true,
+      }));
+    }, timeout);
+
+    req.on('error', (error) => {
+      clearTimeout(timer);
+      if (error instanceof WebhookError) {
+        reject(error);
+        return;
+      }
+      reject(new WebhookError(error.message, {
+        code: error.code,
+        retryable: RETRYABLE_ERROR_CODES.has(error.code),
+      }));
+    });
     req.write(postData);
     req.end();
   });
 }
 
-// ============================================================================
-// Configuration Validation
-// ============================================================================
-
 /**
- * Get configuration for a specific platform
- * @param {string} platform - Platform name
- * @returns {object} Configuration object with key/token and any extras
- * @throws {Error} If required configuration is missing
+ * Build a multipart/form-data body, e.g. for file uploads
+ * @param {object} fields - Field values: strings, or files as `{ name, contentType, data }`;
+ *   undefined fields are left out
+ * @returns {object} `{ body, contentType }`; send `body` with `contentType` as its
+ *   Content-Type header
  */
-function getConfig(platform) {
-  const envKey = ENV_KEYS[platform];
-  if (!envKey) {
-    throw new Error(
-      `Unknown platform: ${platform}. Supported platforms: ${Object.values(PLATFORMS).join(', ')}`
-    );
+function multipartForm(fields) {
+  const boundary = `----webhook-push-${crypto.randomBytes(12).toString('hex')}`;
+  const quote = (value) => value.replace(/["\r\n]/g, (char) => encodeURIComponent(char));
+  const chunks = [];
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined) {
+      continue;
+    }
+    const isFile = Buffer.isBuffer(value.data);
+    let header = `--${boundary}\r\nContent-Disposition: form-data; name="${quote(name)}"`;
+    if (isFile) {
+      header += `; filename="${quote(value.name)}"\r\nContent-Type: ${value.contentType}`;
+    }
+    chunks.push(Buffer.from(`${header}\r\n\r\n`), isFile ? value.data : Buffer.from(String(value)), Buffer.from('\r\n'));
   }
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+  return { body: Buffer.concat(chunks), contentType: `multipart/form-data; boundary=${boundary}` };
+}
 
-  const key = process.env[envKey];
-  if (!key) {
-    throw new Error(
-      `Missing environment variable: ${envKey}\n` +
-      `Please set it in your .env file or environment.\n` +
-      `Example: ${envKey}=your-webhook-key-or-token`
-    );
+/**
+ * Default response check: accept any 2xx response
+ * @param {object} response - Raw response from requestOnce()
+ * @returns {object} Response body
+ * @throws {WebhookError} For non-2xx responses
+ */
+function checkHttpStatus(response) {
+  const { statusCode, headers, body } = response;
+  if (statusCode >= 200 && statusCode < 300) {
+    return body;
   }
 
-  const config = { key };
+  const text = body && body.raw !== undefined ? body.raw : JSON.stringify(body);
+  throw new WebhookError(`HTTP ${statusCode}: ${text}`, {
+    statusCode,
+    retryable: RETRYABLE_STATUS_CODES.has(statusCode),
+    retryAfter: parseRetryAfter(headers, body),
+    response: body,
+  });
+}
 
-  // Check for additional required env vars
-  const extraEnv = ENV_EXTRAS[platform];
-  if (extraEnv) {
-    const extraValue = process.env[extraEnv];
-    if (!extraValue) {
-      throw new Error(
-        `Missing environment variable: ${extraEnv}\n` +
-        `This is required for ${platform} webhooks.`
-      );
+/**
+ * Merge request options over REQUEST_DEFAULTS
+ * @param {object} options - push() options
+ * @returns {object} `{ timeout, attempts, retryDelay, maxRetryDelay }`
+ */
+function resolveRequestOptions(options = {}) {
+  const settings = { ...REQUEST_DEFAULTS };
+  for (const key of Object.keys(REQUEST_DEFAULTS)) {
+    if (options[key] !== undefined) {
+      settings[key] = options[key];
     }
-    config.extra = extraValue;
   }
-
-  return config;
+  return settings;
 }
 
 /**
- * Check if a platform is configured
- * @param {string} platform - Platform name
- * @returns {boolean} True if platform is configured
+ * Run an operation, retrying retryable failures with backoff
+ * @param {function(number): Promise<object>} operation - (timeout) => result
+ * @param {object} [options] - Request options (see REQUEST_DEFAULTS)
+ * @returns {Promise<object>} The operation's result
+ * @throws {WebhookError} The last error, with `attempts` set to the number of tries
  */
-function isConfigured(platform) {
-  try {
-    getConfig(platform);
-    return true;
-  } catch (e) {
-    return false;
+async function withRetries(operation, options = {}) {
+  const settings = resolveRequestOptions(options);
+  const attempts = Math.max(1, settings.attempts);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(settings.timeout);
+    } catch (error) {
+      error.attempts = attempt + 1;
+      if (!error.retryable || attempt + 1 >= attempts) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, settings);
+      if (delay > settings.maxRetryDelay) {
+        throw error;
+      }
+      await sleep(delay);
+    }
   }
 }
 
 /**
- * Get all configured platforms
- * @returns {string[]} Array of configured platform names
+ * Send HTTP request to webhook URL, retrying retryable failures
+ * @param {string} url - Webhook URL
+ * @param {object|Buffer} data - JSON payload, or a raw body (see requestOnce())
+ * @param {object} [options] - Request options (see REQUEST_DEFAULTS)
+ * @param {number} [options.timeout] - Per-attempt timeout (ms)
+ * @param {number} [options.attempts] - Total attempts including the first one
+ * @param {number} [options.retryDelay] - Base delay for exponential backoff (ms)
+ * @param {number} [options.maxRetryDelay] - Longest single wait between attempts (ms)
+ * @param {object} [options.headers] - Additional request headers
+ * @param {string} [options.method] - HTTP method (default: POST)
+ * @param {function(object): object} [interpret] - Turns a raw response into a result,
+ *   throwing for failures (default: checkHttpStatus)
+ * @returns {Promise<object>} Interpreted response
+ * @throws {WebhookError} The last error, with `attempts` set to the number of tries
  */
-function getConfiguredPlatforms() {
-  return Object.values(PLATFORMS).filter(isConfigured);
+async function sendRequest(url, data, options = {}, interpret = checkHttpStatus) {
+  return withRetries(
+    async (timeout) => interpret(await requestOnce(url, data, timeout, options.headers, options.method)),
+    options
+  );
 }
 
 // ============================================================================
-// Main Push Functions
+// Markdown Conversion
 // ============================================================================
 
 /**
- * Push a message to a webhook platform
- * 
- * @param {string} content - Message content (supports markdown)
- * @param {object} options - Push options
- * @param {string} [options.platform] - Target platform (default: wecom)
- * @param {string} [options.title] - Message title (used by some platforms)
- * @param {string} [options.color] - Theme color (used by some platforms)
- * @returns {Promise<object>} API response
- * 
- * @example
- * // Simple message
- * await push('Build completed successfully!');
- * 
- * // With platform selection
- * await push('Deployment started', { platform: 'slack' });
- * 
- * // With title (for platforms that support it)
- * await push('All tests passed', { platform: 'dingtalk', title: 'CI/CD Update' });
+ * Escape text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
  */
-async function push(content, options = {}) {
-  const platform = options.platform || DEFAULT_PLATFORM;
-  const config = getConfig(platform);
-  
-  // Build webhook URL
-  const urlBuilder = buildWebhookUrl[platform];
-  const url = urlBuilder(config.key, config.extra);
-  
-  // Format message for platform
-  const formatter = formatMessage[platform];
-  const payload = formatter(content, options);
-  
-  // Send request
-  return sendRequest(url, payload);
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 /**
- * Push a progress notification with consistent formatting
- * 
- * @param {string} taskName - Name of the task
- * @param {string} status - Status: started, in_progress, completed, failed, cancelled
- * @param {string} [details] - Additional details (optional)
- * @param {object} [options] - Push options (same as push())
- * @returns {Promise<object>} API response
- * 
- * @example
- * await pushProgress('Build', 'started');
- * await pushProgress('Build', 'in_progress', 'Running tests...');
- * await pushProgress('Build', 'completed', 'All 42 tests passed');
- * await pushProgress('Build', 'failed', 'Test suite failed', { platform: 'slack' });
+ * Escape plain text (e.g. a task name) for use in canonical markdown
+ * @param {string} text - Plain text
+ * @returns {string} Markdown that renders as the original text
  */
-async function pushProgress(taskName, status, details = '', options = {}) {
-  const platform = options.platform || DEFAULT_PLATFORM;
-  const style = STATUS_STYLES[status] || STATUS_STYLES.in_progress;
-  
-  let content;
-  
-  // Format content based on platform
-  switch (platform) {
-    case PLATFORMS.WECOM:
-      content = formatWeComProgress(taskName, status, details, style);
-      break;
-    case PLATFORMS.DINGTALK:
-      content = formatDingTalkProgress(taskName, status, details, style);
-      break;
-    case PLATFORMS.FEISHU:
-      content = formatFeishuProgress(taskName, status, details, style);
-      options.color = style.color;
-      break;
-    case PLATFORMS.SLACK:
-      content = formatSlackProgress(taskName, status, details, style);
-      break;
-    case PLATFORMS.TELEGRAM:
-      content = formatTelegramProgress(taskName, status, details, style);
-      break;
-    default:
-      content = formatGenericProgress(taskName, status, details, style);
-  }
-  
-  return push(content, { ...options, title: `${taskName} - ${status}` });
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_~[\]]/g, '\\$&');
 }
 
-// ============================================================================
-// Platform-Specific Progress Formatters
-// ============================================================================
+/**
+ * Inline markdown syntax; when two start at the same position the first one wins
+ */
+const INLINE_SYNTAX = [
+  { type: 'escape', pattern: /\\([\\`*_{}[\]()#+\-.!~>|<])/ },
+  { type: 'code', pattern: /`([^`\n]+)`/ },
+  { type: 'link', pattern: /\[([^\]\n]+)\]\(([^)\s]+)\)/ },
+  { type: 'strong', pattern: /\*\*(?!\s)(.+?)\*\*|(?<!\w)__(?!\s)(.+?)__(?!\w)/ },
+  { type: 'del', pattern: /~~(?!\s)(.+?)~~/ },
+  { type: 'em', pattern: /(?<![\w*])\*(?![\s*])(.+?)(?<!\*)\*(?![\w*])|(?<!\w)_(?![\s_])(.+?)_(?!\w)/ },
+];
 
-function formatWeComProgress(taskName, status, details, style) {
-  let content = `**${taskName}** - <font color="${style.wecom}">${status.toUpperCase()}</font>`;
-  if (details) {
-    content += `\n> ${details}`;
-  }
-  content += `\n> Time: ${new Date().toISOString()}`;
-  return content;
-}
+/**
+ * Parse inline markdown into nodes
+ * @param {string} text - A single line of markdown
+ * @returns {object[]} Nodes: `{ type: 'text', text, raw }`, `{ type: 'code', text }`,
+ *   `{ type: 'link', url, children }` or `{ type: 'strong' | 'em' | 'del', children }`
+ */
+function parseInline(text) {
+  const nodes = [];
+  const addText = (value, raw = value) => nodes.push({ type: 'text', text: value, raw });
+  let rest = text;
 
-function formatDingTalkProgress(taskName, status, details, style) {
-  let content = `### ${style.emoji} ${taskName}\n\n`;
-  content += `**Status:** ${status.toUpperCase()}\n\n`;
-  if (details) {
-    content += `> ${details}\n\n`;
-  }
-  content += `---\n*${new Date().toISOString()}*`;
-  return content;
-}
+  while (rest) {
+    let next = null;
+    for (const syntax of INLINE_SYNTAX) {
+      const match = syntax.pattern.exec(rest);
+      if (match && (!next || match.index < next.match.index)) {
+        next = { type: syntax.type, match };
+      }
+    }
+    if (!next) {
+      addText(rest);
+      break;
+    }
 
-function formatFeishuProgress(taskName, status, details, style) {
-  let content = `**${taskName}**\n`;
-  content += `Status: ${status.toUpperCase()}\n`;
-  if (details) {
-    content += `\n${details}\n`;
+    const { type, match } = next;
+    if (match.index > 0) {
+      addText(rest.slice(0, match.index));
+    }
+    const inner = match[1] !== undefined ? match[1] : match[2];
+    if (type === 'escape') {
+      addText(inner, match[0]);
+    } else if (type === 'code') {
+      nodes.push({ type, text: inner });
+    } else if (type === 'link') {
+      nodes.push({ type, url: match[2], children: parseInline(match[1]) });
+    } else {
+      nodes.push({ type, children: parseInline(inner) });
+    }
+    rest = rest.slice(match.index + match[0].length);
   }
-  content += `\n---\n${new Date().toISOString()}`;
-  return content;
-}
 
-function formatSlackProgress(taskName, status, details, style) {
-  let content = `${style.emoji} *${taskName}* - \`${status.toUpperCase()}\``;
-  if (details) {
-    content += `\n> ${details}`;
-  }
-  content += `\n_${new Date().toISOString()}_`;
-  return content;
+  return nodes;
 }
 
-function formatTelegramProgress(taskName, status, details, style) {
-  let content = `${style.emoji} *${taskName}* - \`${status.toUpperCase()}\``;
-  if (details) {
-    content += `\n\n${details}`;
+/**
+ * Parse canonical markdown into blocks
+ * 
+ * Supports ATX headings, paragraphs (single line breaks are kept), block quotes,
+ * lists, fenced code blocks and horizontal rules, plus inline code, links,
+ * bold, italic, strikethrough and backslash escapes.
+ * 
+ * @param {string} markdown - Markdown text
+ * @returns {object[]} Blocks, each with `spaced` set when a blank line precedes it
+ */
+function parseMarkdown(markdown) {
+  const lines = String(markdown).replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let spaced = false;
+  let paragraph = null;
+  let quote = null;
+  let list = null;
+
+  const add = (block) => {
+    blocks.push({ ...block, spaced: spaced && blocks.length > 0 });
+    spaced = false;
+  };
+  const flush = () => {
+    if (paragraph) {
+      add({ type: 'paragraph', lines: paragraph.map(parseInline) });
+    }
+    if (quote) {
+      add({ type: 'quote', blocks: parseMarkdown(quote.join('\n')) });
+    }
+    if (list) {
+      add({ type: 'list', ordered: list.ordered, items: list.items.map(parseInline) });
+    }
+    paragraph = quote = list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if ((match = line.match(/^\s*```\s*([\w+-]*)\s*$/))) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+        code.push(lines[i]);
+      }
+      add({ type: 'code', lang: match[1], text: code.join('\n') });
+    } else if (/^\s*$/.test(line)) {
+      flush();
+      spaced = true;
+    } else if ((match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+      flush();
+      add({ type: 'heading', level: match[1].length, children: parseInline(match[2]) });
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      add({ type: 'hr' });
+    } else if ((match = line.match(/^\s*>\s?(.*)$/))) {
+      if (!quote) {
+        flush();
+        quote = [];
+      }
+      quote.push(match[1]);
+    } else if ((match = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/))) {
+      const ordered = !match[1];
+      if (!list || list.ordered !== ordered) {
+        flush();
+        list = { ordered, items: [] };
+      }
+      list.items.push(match[2]);
+    } else {
+      if (quote || list) {
+        flush();
+      }
+      paragraph = paragraph || [];
+      paragraph.push(line);
+    }
   }
-  content += `\n\n_${new Date().toISOString()}_`;
-  return content;
+  flush();
+
+  return blocks;
 }
 
-function formatGenericProgress(taskName, status, details, style) {
-  let content = `${style.emoji} ${taskName} - ${status.toUpperCase()}`;
-  if (details) {
-    content += `\n${details}`;
+/**
+ * Prefix every line of a block, e.g. for quotes
+ */
+function prefixLines(text, prefix) {
+  return text.split('\n').map((line) => (line ? `${prefix}${line}` : prefix.trimEnd())).join('\n');
+}
+
+/**
+ * Number or bullet list items
+ */
+function listItems(items, ordered, bullet) {
+  return items.map((item, index) => `${ordered ? `${index + 1}.` : bullet} ${item}`).join('\n');
+}
+
+/**
+ * Escape text for Slack mrkdwn
+ * @see https://api.slack.com/reference/surfaces/formatting#escaping
+ */
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Standard markdown, as understood by Discord, Mattermost, ntfy and Gotify
+ */
+const STANDARD_MARKDOWN = {
+  separator: { tight: '\n', spaced: '\n\n' },
+  text: (node) => node.raw,
+  strong: (text) => `**${text}**`,
+  em: (text) => `*${text}*`,
+  del: (text) => `~~${text}~~`,
+  code: (text) => `\`${text}\``,
+  link: (label, url) => `[${label}](${url})`,
+  heading: (text, level) => `${'#'.repeat(level)} ${text}`,
+  paragraph: (lines) => lines.join('\n'),
+  quote: (text) => prefixLines(text, '> '),
+  list: (items, ordered) => listItems(items, ordered, '-'),
+  codeBlock: (text, lang) => `\`\`\`${lang}\n${text}\n\`\`\``,
+  hr: () => '---',
+};
+
+/**
+ * Markdown dialects: how each piece of canonical markdown is written for a platform.
+ * Adapters pick one with their `dialect` property.
+ */
+const MARKDOWN_DIALECTS = {
+  markdown: STANDARD_MARKDOWN,
+
+  // Slack mrkdwn: single-character emphasis, <url|label> links, no headings
+  // @see https://api.slack.com/reference/surfaces/formatting
+  slack: {
+    ...STANDARD_MARKDOWN,
+    text: (node) => escapeSlack(node.text),
+    strong: (text) => `*${text}*`,
+    em: (text) => `_${text}_`,
+    del: (text) => `~${text}~`,
+    code: (text) => `\`${escapeSlack(text)}\``,
+    link: (label, url) => `<${url}|${label}>`,
+    heading: (text) => `*${text}*`,
+    list: (items, ordered) => listItems(items, ordered, '•'),
+    codeBlock: (text) => `\`\`\`\n${escapeSlack(text)}\n\`\`\``,
+    hr: () => '──────────',
+  },
+
+  // Telegram HTML parse mode, which only needs &, < and > escaped
+  // @see https://core.telegram.org/bots/api#html-style
+  telegram: {
+    ...STANDARD_MARKDOWN,
+    text: (node) => escapeHtml(node.text),
+    strong: (text) => `<b>${text}</b>`,
+    em: (text) => `<i>${text}</i>`,
+    del: (text) => `<s>${text}</s>`,
+    code: (text) => `<code>${escapeHtml(text)}</code>`,
+    link: (label, url) => `<a href="${escapeHtml(url)}">${label}</a>`,
+    heading: (text) => `<b>${text}</b>`,
+    quote: (text) => `<blockquote>${text}</blockquote>`,
+    list: (items, ordered) => listItems(items, ordered, '•'),
+    codeBlock: (text, lang) => (lang
+      ? `<pre><code class="language-${lang}">${escapeHtml(text)}</code></pre>`
+      : `<pre>${escapeHtml(text)}</pre>`),
+    hr: () => '──────────',
+  },
+
+  // WeCom: headings, bold, links, inline code and quotes; no escapes, italics or code blocks
+  // @see https://developer.work.weixin.qq.com/document/path/91770#markdown类型
+  wecom: {
+    ...STANDARD_MARKDOWN,
+    text: (node) => node.text,
+    em: (text) => text,
+    del: (text) => text,
+    codeBlock: (text) => prefixLines(text, '> '),
+    hr: () => '──────────',
+  },
+
+  // DingTalk: no code or strikethrough, and single line breaks need two trailing spaces
+  // @see https://open.dingtalk.com/document/orgapp/message-types-and-data-format
+  dingtalk: {
+    ...STANDARD_MARKDOWN,
+    text: (node) => node.text,
+    del: (text) => text,
+    code: (text) => text,
+    paragraph: (lines) => lines.join('  \n'),
+    codeBlock: (text) => prefixLines(text.split('\n').join('  \n'), '> '),
+  },
+
+  // Feishu card markdown: no headings or escapes
+  // @see https://open.feishu.cn/document/common-capabilities/message-card/message-cards-content/using-markdown-tags
+  feishu: {
+    ...STANDARD_MARKDOWN,
+    text: (node) => node.text,
+    heading: (text) => `**${text}**`,
+  },
+
+  // Adaptive Card TextBlock: bold, italic, lists and links only
+  // @see https://learn.microsoft.com/en-us/adaptive-cards/authoring-cards/text-features
+  teams: {
+    ...STANDARD_MARKDOWN,
+    text: (node) => node.text,
+    em: (text) => `_${text}_`,
+    del: (text) => text,
+    code: (text) => text,
+    heading: (text) => `**${text}**`,
+    quote: (text) => text,
+    codeBlock: (text) => text,
+    hr: () => '──────────',
+  },
+
+  // Plain text, e.g. for Bark and email text parts
+  text: {
+    ...STANDARD_MARKDOWN,
+    text: (node) => node.text,
+    strong: (text) => text,
+    em: (text) => text,
+    del: (text) => text,
+    code: (text) => text,
+    link: (label, url) => (label === url ? url : `${label} (${url})`),
+    heading: (text) => text,
+    list: (items, ordered) => listItems(items, ordered, '•'),
+    codeBlock: (text) => text,
+  },
+
+  // HTML fragment, e.g. for email
+  html: {
+    separator: { tight: '\n', spaced: '\n' },
+    text: (node) => escapeHtml(node.text),
+    strong: (text) => `<strong>${text}</strong>`,
+    em: (text) => `<em>${text}</em>`,
+    del: (text) => `<del>${text}</del>`,
+    code: (text) => `<code>${escapeHtml(text)}</code>`,
+    link: (label, url) => `<a href="${escapeHtml(url)}">${label}</a>`,
+    heading: (text, level) => `<h${level}>${text}</h${level}>`,
+    paragraph: (lines) => `<p>${lines.join('<br>')}</p>`,
+    quote: (text) => `<blockquote>${text}</blockquote>`,
+    list: (items, ordered) => {
+      const tag = ordered ? 'ol' : 'ul';
+      return `<${tag}>${items.map((item) => `<li>${item}</li>`).join('')}</${tag}>`;
+    },
+    codeBlock: (text) => `<pre><code>${escapeHtml(text)}</code></pre>`,
+    hr: () => '<hr>',
+  },
+};
+
+/**
+ * Render inline nodes in a dialect
+ */
+function renderInline(nodes, dialect) {
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return dialect.text(node);
+    }
+    if (node.type === 'code') {
+      return dialect.code(node.text);
+    }
+    const children = renderInline(node.children, dialect);
+    return node.type === 'link' ? dialect.link(children, node.url) : dialect[node.type](children);
+  }).join('');
+}
+
+/**
+ * Render blocks in a dialect
+ */
+function renderBlocks(blocks, dialect) {
+  return blocks.map((block, index) => {
+    let output;
+    switch (block.type) {
+      case 'heading':
+        output = dialect.heading(renderInline(block.children, dialect), block.level);
+        break;
+      case 'paragraph':
+        output = dialect.paragraph(block.lines.map((line) => renderInline(line, dialect)));
+        break;
+      case 'quote':
+        output = dialect.quote(renderBlocks(block.blocks, dialect));
+        break;
+      case 'list':
+        output = dialect.list(block.items.map((item) => renderInline(item, dialect)), block.ordered);
+        break;
+      case 'code':
+        output = dialect.codeBlock(block.text, block.lang);
+        break;
+      default:
+        output = dialect.hr();
+    }
+    if (index === 0) {
+      return output;
+    }
+    return (block.spaced ? dialect.separator.spaced : dialect.separator.tight) + output;
+  }).join('');
+}
+
+/**
+ * Convert canonical markdown to a platform dialect
+ * @param {string} markdown - Standard markdown
+ * @param {string} dialect - Dialect name, see MARKDOWN_DIALECTS
+ * @returns {string} Content in the dialect
+ * @throws {Error} If the dialect is unknown
+ * 
+ * @example
+ * renderMarkdown('**Deploy** of `feature_x` [done](https://ci.example.com)', 'slack');
+ * // '*Deploy* of `feature_x` <https://ci.example.com|done>'
+ */
+function renderMarkdown(markdown, dialect) {
+  const rules = MARKDOWN_DIALECTS[dialect];
+  if (!rules) {
+    throw new Error(
+      `Unknown markdown dialect: ${dialect}. ` +
+      `Supported: ${Object.keys(MARKDOWN_DIALECTS).join(', ')}`
+    );
+  }
+  return renderBlocks(parseMarkdown(markdown), rules);
+}
+
+// ============================================================================
+// Message Size Limits
+// ============================================================================
+
+/**
+ * What to do with content over a platform's size limit (`options.overflow`)
+ * - truncate: keep the head and tail with a marker in between (default)
+ * - split: send several numbered messages in order
+ */
+const OVERFLOW_MODES = ['truncate', 'split'];
+
+/**
+ * Numbering placeholder reserving room for the longest "(n/total)" header
+ */
+const PART_PLACEHOLDER = '(999/999)';
+
+/**
+ * Most messages a split sends; the last one holds the rest, truncated
+ */
+const MAX_PARTS = 10;
+
+/**
+ * Measure text in a limit's unit: UTF-8 bytes, or characters (UTF-16 code units,
+ * as counted by Telegram and Slack)
+ */
+function measureText(text, unit) {
+  return unit === 'bytes' ? Buffer.byteLength(text, 'utf8') : text.length;
+}
+
+/**
+ * Resolve an adapter's size limit for a message
+ * @returns {object|undefined} `{ size, unit }`, or undefined when unlimited
+ */
+function getLimit(adapter, options) {
+  return typeof adapter.limit === 'function' ? adapter.limit(options) : adapter.limit;
+}
+
+/**
+ * Find the code fence left open after each line
+ * @param {string[]} lines - Markdown lines
+ * @returns {Array<string|null>} Entry i is the opening fence line (e.g. "```js")
+ *   still open after lines[0..i), or null
+ */
+function openFences(lines) {
+  const open = [null];
+  let fence = null;
+  for (const line of lines) {
+    if (/^\s*```/.test(line)) {
+      fence = fence ? null : line.trim();
+    }
+    open.push(fence);
+  }
+  return open;
+}
+
+/**
+ * Find the largest count in [0, max] accepted by a monotonic check
+ * @returns {number} Largest accepted count, or -1 if even 0 is rejected
+ */
+function largestFitting(max, accepts) {
+  let low = 0;
+  let high = max;
+  let best = -1;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (accepts(middle)) {
+      best = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return best;
+}
+
+/**
+ * Shorten content to fit, keeping as many lines as possible from the head and
+ * the tail (where test failures and summaries usually are). Code fences cut in
+ * half are closed before the marker and reopened after it. A single huge line
+ * is cut by characters instead.
+ * 
+ * @param {string} content - Content to shorten
+ * @param {function(string): boolean} fits - Whether a candidate fits the limit
+ * @returns {string} Shortened content
+ */
+function truncateContent(content, fits) {
+  const lines = content.split('\n');
+  const fences = openFences(lines);
+
+  const byLines = (keep) => {
+    const headCount = Math.ceil(keep / 2);
+    const tailStart = lines.length - (keep - headCount);
+    const head = lines.slice(0, headCount);
+    const tail = lines.slice(tailStart);
+    return [
+      ...head,
+      ...(fences[headCount] ? ['```'] : []),
+      '',
+      `… ${lines.length - keep} lines truncated …`,
+      '',
+      ...(fences[tailStart] && tail.length ? [fences[tailStart]] : []),
+      ...tail,
+    ].join('\n');
+  };
+  const keepLines = largestFitting(lines.length - 1, (keep) => fits(byLines(keep)));
+  if (keepLines > 0) {
+    return byLines(keepLines);
+  }
+
+  const chars = Array.from(content);
+  const byChars = (keep) => {
+    const headCount = Math.ceil(keep / 2);
+    return `${chars.slice(0, headCount).join('')}\n\n` +
+      `… ${chars.length - keep} characters truncated …\n\n` +
+      chars.slice(chars.length - (keep - headCount)).join('');
+  };
+  return byChars(Math.max(0, largestFitting(chars.length - 1, (keep) => fits(byChars(keep)))));
+}
+
+/**
+ * Split content into parts that each fit, breaking between lines where possible.
+ * Code fences open at a break are closed and reopened in the next part.
+ * 
+ * @param {string} content - Content to split
+ * @param {function(string): boolean} fits - Whether a candidate part fits the limit
+ * @returns {string[]} Parts in order
+ */
+function splitContent(content, fits) {
+  // Cut lines that don't fit on their own into fitting pieces first
+  const lines = [];
+  for (const line of content.split('\n')) {
+    let rest = Array.from(line);
+    while (rest.length > 0 && !fits(rest.join(''))) {
+      const size = Math.max(1, largestFitting(rest.length, (count) => fits(rest.slice(0, count).join(''))));
+      lines.push(rest.slice(0, size).join(''));
+      rest = rest.slice(size);
+    }
+    if (rest.length > 0 || line === '') {
+      lines.push(rest.join(''));
+    }
+  }
+
+  const fences = openFences(lines);
+  const build = (start, end) => [
+    ...(fences[start] ? [fences[start]] : []),
+    ...lines.slice(start, end),
+    ...(fences[end] ? ['```'] : []),
+  ].join('\n');
+
+  const parts = [];
+  let start = 0;
+  for (let end = 1; end <= lines.length; end++) {
+    if (end - 1 > start && !fits(build(start, end))) {
+      parts.push(build(start, end - 1));
+      start = end - 1;
+    }
+  }
+  parts.push(build(start, lines.length));
+  return parts;
+}
+
+/**
+ * Fit content to a platform's size limit
+ * @param {string} content - Canonical markdown (or raw platform content)
+ * @param {function(string): string} render - Converts content to what the platform receives
+ * @param {object} [limit] - `{ size, unit }`, see getLimit()
+ * @param {string} [overflow] - One of OVERFLOW_MODES (default: truncate)
+ * @returns {string[]} Rendered messages to send in order (one unless split,
+ *   at most MAX_PARTS)
+ * @throws {Error} If the overflow mode is unknown
+ */
+function fitToLimit(content, render, limit, overflow = 'truncate') {
+  if (!OVERFLOW_MODES.includes(overflow)) {
+    throw new Error(`Invalid overflow mode: ${overflow}. Use ${OVERFLOW_MODES.join(' or ')}.`);
+  }
+  const rendered = render(content);
+  if (!limit || measureText(rendered, limit.unit) <= limit.size) {
+    return [rendered];
+  }
+
+  const fits = (candidate) => measureText(render(candidate), limit.unit) <= limit.size;
+  if (overflow === 'truncate') {
+    return [render(truncateContent(content, fits))];
+  }
+
+  const fitsPart = (part) => fits(`${PART_PLACEHOLDER}\n${part}`);
+  const parts = splitContent(content, fitsPart);
+  if (parts.length > MAX_PARTS) {
+    const rest = parts.splice(MAX_PARTS - 1).join('\n');
+    parts.push(truncateContent(rest, fitsPart));
+  }
+  return parts.map((part, index) => render(`(${index + 1}/${parts.length})\n${part}`));
+}
+
+// ============================================================================
+// Rich Messages
+// ============================================================================
+
+/**
+ * @typedef {object} Message
+ * Platform-neutral structured message, see pushMessage(). Mapped to each
+ * platform's richest native layout (cards, blocks, embeds, keyboards), or to
+ * markdown where a feature is missing.
+ * @property {string} [title] - Title (plain text)
+ * @property {string} [summary] - Body in standard markdown
+ * @property {object[]} [fields] - Key/value facts: `{ name, value, short }`, with
+ *   `name` in plain text, `value` in markdown and `short` to put fields side by side
+ * @property {object[]} [buttons] - Link buttons: `{ text, url }`
+ * @property {string} [footer] - Footer (plain text), e.g. a timestamp
+ * @property {string} [color] - Accent color name (see COLOR_HEX) or "#RRGGBB"
+ */
+
+/**
+ * Validate a message and fill in defaults
+ * @param {Message|string} message - Message, or a summary string
+ * @returns {Message} Message with `summary`, `fields` and `buttons` always set
+ * @throws {Error} If a field or button is incomplete
+ */
+function normalizeMessage(message) {
+  if (typeof message === 'string') {
+    message = { summary: message };
+  }
+  if (!message || typeof message !== 'object') {
+    throw new Error('Message must be an object or a string.');
+  }
+
+  const fields = (message.fields || []).map((field) => {
+    if (!field || !field.name || field.value === undefined || field.value === null) {
+      throw new Error(`Message fields need a name and a value: ${JSON.stringify(field)}`);
+    }
+    return { name: String(field.name), value: String(field.value), short: Boolean(field.short) };
+  });
+  const buttons = (message.buttons || []).map((button) => {
+    if (!button || !button.text || !button.url) {
+      throw new Error(`Message buttons need text and a url: ${JSON.stringify(button)}`);
+    }
+    return { text: String(button.text), url: String(button.url) };
+  });
+
+  return { ...message, summary: message.summary || '', fields, buttons };
+}
+
+/**
+ * Lay out a message as standard markdown, for platforms (or parts of a
+ * layout) without a native equivalent
+ * @param {Message} message - Normalized message
+ * @param {object} [parts] - Parts to include: `title` (default: false, most
+ *   platforms show `options.title` separately), `fields`, `buttons` and `footer`
+ *   (default: true)
+ * @returns {string} Markdown
+ */
+function messageToMarkdown(message, parts = {}) {
+  const { title = false, fields = true, buttons = true, footer = true } = parts;
+  const sections = [];
+  if (title && message.title) {
+    sections.push(`### ${escapeMarkdown(message.title)}`);
+  }
+  if (message.summary) {
+    sections.push(message.summary);
+  }
+  if (fields && message.fields.length > 0) {
+    // Trailing double spaces keep one field per line on every platform
+    sections.push(message.fields
+      .map((field) => `**${escapeMarkdown(field.name)}:** ${field.value}`)
+      .join('  \n'));
+  }
+  if (buttons && message.buttons.length > 0) {
+    sections.push(message.buttons
+      .map((button) => `[${escapeMarkdown(button.text)}](${button.url})`)
+      .join(' · '));
+  }
+  if (footer && message.footer) {
+    sections.push(`*${escapeMarkdown(message.footer)}*`);
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * Format a duration for display
+ * @param {number|string} duration - Milliseconds, or an already formatted string
+ * @returns {string} e.g. "1h 2m 3s", "4.5s" or "120ms"
+ */
+function formatDuration(duration) {
+  if (typeof duration !== 'number') {
+    return String(duration);
+  }
+  if (duration < 1000) {
+    return `${Math.round(duration)}ms`;
+  }
+  if (duration < 60000) {
+    return `${Math.round(duration / 100) / 10}s`;
+  }
+  const seconds = Math.round(duration / 1000);
+  const units = [[Math.floor(seconds / 3600), 'h'], [Math.floor(seconds / 60) % 60, 'm'], [seconds % 60, 's']];
+  return units.filter(([value]) => value > 0).map(([value, unit]) => `${value}${unit}`).join(' ');
+}
+
+// ============================================================================
+// Attachments
+// ============================================================================
+
+/**
+ * Content types by file extension, for uploads
+ */
+const ATTACHMENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+};
+
+/**
+ * Format a byte count for display
+ * @returns {string} e.g. "512 B", "12.3 KB" or "4.0 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Read attachments into memory
+ * @param {Array<string|object>} [attachments] - File paths, or `{ path, name, url,
+ *   contentType }` / `{ data, name, ... }` objects; an attachment with only a `url`
+ *   is linked instead of uploaded
+ * @returns {object[]} `{ name, contentType, size, data, url }`
+ * @throws {Error} If a file cannot be read
+ */
+function loadAttachments(attachments = []) {
+  return [].concat(attachments).map((attachment) => {
+    const spec = typeof attachment === 'string' ? { path: attachment } : { ...attachment };
+    if (spec.path) {
+      try {
+        spec.data = fs.readFileSync(spec.path);
+      } catch (error) {
+        throw new Error(`Cannot read attachment ${spec.path}: ${error.message}`);
+      }
+    }
+    if (!spec.data && !spec.url) {
+      throw new Error(`Attachments need a path, data or url: ${JSON.stringify(attachment)}`);
+    }
+
+    const name = spec.name || path.basename(spec.path || new URL(spec.url).pathname) || 'attachment';
+    return {
+      name,
+      contentType: spec.contentType || ATTACHMENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream',
+      size: spec.data ? spec.data.length : undefined,
+      data: spec.data ? Buffer.from(spec.data) : undefined,
+      url: spec.url,
+    };
+  });
+}
+
+/**
+ * Decide how attachments reach a platform: uploaded as an image or file where
+ * the adapter supports it, otherwise linked or described in the message
+ * @param {string} platform - Platform name
+ * @param {object[]} [attachments] - Loaded attachments, see loadAttachments()
+ * @returns {object} `{ uploads, described }`; uploads have a `kind` of "image" or "file"
+ * @throws {Error} If an attachment is over the platform's upload limit
+ */
+function planAttachments(platform, attachments = []) {
+  const adapter = requireAdapter(platform);
+  const { image, file } = adapter.attachments || {};
+  const plan = { uploads: [], described: [] };
+
+  for (const attachment of attachments) {
+    if (!adapter.attach || !attachment.data) {
+      plan.described.push(attachment);
+    } else if (image && image.types.includes(attachment.contentType) && attachment.size <= image.size) {
+      plan.uploads.push({ ...attachment, kind: 'image' });
+    } else if (file && attachment.size <= file.size) {
+      plan.uploads.push({ ...attachment, kind: 'file' });
+    } else {
+      const limit = file || image;
+      throw new Error(
+        `Attachment ${attachment.name} is ${formatBytes(attachment.size)}, ` +
+        `over the ${formatBytes(limit.size)} upload limit of ${adapter.label}.`
+      );
+    }
+  }
+  return plan;
+}
+
+/**
+ * Describe attachments that can't be uploaded, as markdown to add to the message
+ * @param {object[]} attachments - Loaded attachments
+ * @returns {string} One line per attachment, linked when it has a URL
+ */
+function describeAttachments(attachments) {
+  return attachments.map((attachment) => {
+    const name = escapeMarkdown(attachment.name);
+    const size = attachment.size !== undefined ? ` (${formatBytes(attachment.size)})` : '';
+    return `📎 ${attachment.url ? `[${name}](${attachment.url})` : name}${size}`;
+  }).join('  \n');
+}
+
+/**
+ * Upload attachments after the message, one at a time
+ * @param {string} platform - Platform name
+ * @param {object[]} uploads - Planned uploads, see planAttachments()
+ * @param {object} result - The message's result
+ * @param {object} options - Push options
+ * @param {object} config - Platform config
+ * @returns {Promise<object>} The message's result, with the upload results in `attachments`
+ */
+async function sendAttachments(platform, uploads, result, options, config) {
+  if (uploads.length === 0) {
+    return result;
+  }
+  if (options.dryRun) {
+    const attachments = uploads.map(({ name, kind, contentType, size }) => ({ name, kind, contentType, size }));
+    return { ...result, attachments };
+  }
+  const adapter = requireAdapter(platform);
+  const send = createSender(platform, options, config);
+
+  const attachments = [];
+  for (const upload of uploads) {
+    attachments.push(await adapter.attach(upload, config, options, send));
+  }
+  return { ...result, attachments };
+}
+
+// ============================================================================
+// SMTP Client
+// ============================================================================
+
+/**
+ * Default SMTP ports by TLS mode
+ */
+const SMTP_PORTS = { tls: 465, default: 587 };
+
+/**
+ * Wrap a socket error in a WebhookError, retryable for transient network failures
+ */
+function smtpNetworkError(error) {
+  if (error instanceof WebhookError) {
+    return error;
+  }
+  return new WebhookError(error.message, {
+    code: error.code,
+    retryable: RETRYABLE_ERROR_CODES.has(error.code),
+  });
+}
+
+/**
+ * Collect SMTP replies from a socket, one complete (possibly multi-line) reply at a time
+ * @returns {object} `{ attach(socket), detach(socket), read() }`
+ */
+function createSmtpReader() {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+
+  const settle = () => {
+    while (waiters.length && (replies.length || failure)) {
+      const waiter = waiters.shift();
+      if (replies.length) {
+        waiter.resolve(replies.shift());
+      } else {
+        waiter.reject(failure);
+      }
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+      lines.push(line.slice(4));
+      // "250-..." continues a reply, "250 ..." ends it
+      if (line.charAt(3) !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), text: lines.join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  };
+
+  const onError = (error) => {
+    failure = failure || smtpNetworkError(error);
+    settle();
+  };
+
+  const onClose = () => onError(new WebhookError('SMTP connection closed unexpectedly', {
+    code: 'ECONNRESET',
+    retryable: true,
+  }));
+
+  return {
+    attach(socket) {
+      socket.on('data', onData);
+      socket.on('error', onError);
+      socket.on('close', onClose);
+    },
+    detach(socket) {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+    },
+    read() {
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        settle();
+      });
+    },
+  };
+}
+
+/**
+ * Abort a socket with a timeout error when it is idle for too long
+ */
+function setSocketTimeout(socket, timeout) {
+  socket.setTimeout(timeout, () => {
+    socket.destroy(new WebhookError(`SMTP timed out after ${timeout}ms`, {
+      code: 'ETIMEDOUT',
+      retryable: true,
+    }));
+  });
+}
+
+/**
+ * Build an SMTP PlatformError from a reply; 4xx replies are transient and retryable
+ */
+function smtpError(reply) {
+  return new PlatformError('email', reply.code, reply.text, {
+    retryable: reply.code >= 400 && reply.code < 500,
+  });
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it is not plain ASCII
+ */
+function encodeMimeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+  return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Base64-encode text, wrapped at 76 characters per line
+ */
+function base64Lines(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+}
+
+/**
+ * Build a multipart/alternative MIME message with plain-text and HTML parts
+ * @param {object} mail - `{ from, to, subject, text, html }`
+ * @returns {object} `{ messageId, data }` where data uses CRLF line endings
+ */
+function buildMimeMessage(mail) {
+  const boundary = `webhook-push-${crypto.randomBytes(12).toString('hex')}`;
+  const domain = mail.from.split('@')[1] || 'localhost';
+  const messageId = `<${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+
+  const data = [
+    `From: ${mail.from}`,
+    `To: ${mail.to.join(', ')}`,
+    `Subject: ${encodeMimeHeader(mail.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(mail.text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(mail.html),
+    `--${boundary}--`,
+  ].join('\r\n');
+
+  return { messageId, data };
+}
+
+/**
+ * Open a plain or TLS connection
+ * @returns {Promise<object>} Connected socket
+ */
+function connectSmtp(host, port, secure, reader, timeout) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    reader.attach(socket);
+    setSocketTimeout(socket, timeout);
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', (error) => reject(smtpNetworkError(error)));
+  });
+}
+
+/**
+ * Upgrade a plain connection after STARTTLS
+ * @returns {Promise<object>} TLS socket
+ */
+function upgradeSmtp(socket, host, reader, timeout) {
+  return new Promise((resolve, reject) => {
+    reader.detach(socket);
+    const secureSocket = tls.connect({ socket, servername: host });
+    reader.attach(secureSocket);
+    setSocketTimeout(secureSocket, timeout);
+    secureSocket.once('secureConnect', () => resolve(secureSocket));
+    secureSocket.once('error', (error) => reject(smtpNetworkError(error)));
+  });
+}
+
+/**
+ * Send one message over SMTP
+ * 
+ * TLS modes: "starttls" (default) upgrades when the server offers STARTTLS,
+ * "required" fails if it does not, "tls" connects with implicit TLS (port 465),
+ * and "none" never encrypts. Credentials are never sent unencrypted unless
+ * the mode is "none".
+ * 
+ * Without `mail`, the session ends once the recipients are accepted, which
+ * checks the server, credentials and addresses without sending anything.
+ * 
+ * @param {object} settings - `{ host, port, tls, user, pass, from, to[] }`
+ * @param {object|null} mail - `{ subject, text, html }`, or null to only check
+ * @param {number} timeout - Idle timeout (ms)
+ * @returns {Promise<object>} `{ messageId, accepted, response }`
+ * @throws {PlatformError} On SMTP error replies (4xx replies are retryable)
+ * @throws {WebhookError} On network errors and timeouts
+ */
+async function sendMail(settings, mail, timeout) {
+  const mode = settings.tls || 'starttls';
+  const port = Number(settings.port) || (mode === 'tls' ? SMTP_PORTS.tls : SMTP_PORTS.default);
+  const hostname = os.hostname() || 'localhost';
+  const reader = createSmtpReader();
+  let secure = mode === 'tls';
+  let socket = await connectSmtp(settings.host, port, secure, reader, timeout);
+
+  const expect = async (codes, command) => {
+    if (command !== undefined) {
+      socket.write(`${command}\r\n`);
+    }
+    const reply = await reader.read();
+    if (!codes.includes(reply.code)) {
+      throw smtpError(reply);
+    }
+    return reply;
+  };
+
+  try {
+    await expect([220]);
+    let ehlo = await expect([250], `EHLO ${hostname}`);
+
+    if (!secure && mode !== 'none') {
+      if (/^STARTTLS\b/im.test(ehlo.text)) {
+        await expect([220], 'STARTTLS');
+        socket = await upgradeSmtp(socket, settings.host, reader, timeout);
+        secure = true;
+        ehlo = await expect([250], `EHLO ${hostname}`);
+      } else if (mode === 'required') {
+        throw new PlatformError('email', 'STARTTLS', 'Server does not support STARTTLS');
+      }
+    }
+
+    if (settings.user) {
+      if (!secure && mode !== 'none') {
+        throw new PlatformError('email', 'TLS',
+          'Refusing to send credentials over an unencrypted connection ' +
+          '(set WEBHOOK_EMAIL_TLS=none to allow it)');
+      }
+      const credentials = (text) => Buffer.from(text, 'utf8').toString('base64');
+      if (/^AUTH[ =].*\bPLAIN\b/im.test(ehlo.text)) {
+        await expect([235], `AUTH PLAIN ${credentials(`\0${settings.user}\0${settings.pass || ''}`)}`);
+      } else {
+        await expect([334], 'AUTH LOGIN');
+        await expect([334], credentials(settings.user));
+        await expect([235], credentials(settings.pass || ''));
+      }
+    }
+
+    await expect([250], `MAIL FROM:<${settings.from}>`);
+    let reply;
+    for (const recipient of settings.to) {
+      reply = await expect([250, 251], `RCPT TO:<${recipient}>`);
+    }
+    if (!mail) {
+      socket.end('QUIT\r\n');
+      return { accepted: settings.to, response: reply.text };
+    }
+
+    const message = buildMimeMessage({ ...mail, from: settings.from, to: settings.to });
+    await expect([354], 'DATA');
+    // Dot-stuffing: lines starting with "." get an extra "."
+    reply = await expect([250], `${message.data.replace(/^\./gm, '..')}\r\n.`);
+
+    socket.end('QUIT\r\n');
+    return { messageId: message.messageId, accepted: settings.to, response: reply.text };
+  } catch (error) {
+    socket.destroy();
+    throw error;
+  }
+}
+
+/**
+ * SMTP settings for sendMail() from the email platform's config
+ */
+function smtpSettings(config) {
+  return {
+    host: config.host,
+    port: config.port,
+    tls: config.tls,
+    user: config.user,
+    pass: config.pass,
+    from: config.from,
+    to: config.to.split(',').map((address) => address.trim()).filter(Boolean),
+  };
+}
+
+/**
+ * Wrap rendered markdown in a minimal email layout with a status color bar
+ * @param {string} content - Markdown content (plain text with `options.raw`)
+ * @param {object} options - Push options (`title`, `color`, `raw`)
+ * @returns {string} HTML document
+ */
+function renderEmailHtml(content, options = {}) {
+  const accent = toHexColor(options.color) || '#D0D7DE';
+  const title = options.title
+    ? `<h2 style="margin:0 0 12px;font-size:18px">${escapeHtml(options.title)}</h2>\n`
+    : '';
+  const html = options.raw
+    ? `<pre style="white-space:pre-wrap;font-family:inherit">${escapeHtml(content)}</pre>`
+    : renderMarkdown(content, 'html');
+  const body = html
+    .replace(/<blockquote>/g, '<blockquote style="margin:8px 0;padding:0 12px;border-left:3px solid #D0D7DE;color:#57606A">')
+    .replace(/<pre>/g, '<pre style="padding:12px;background:#F6F8FA;border-radius:6px;overflow:auto">');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html><body style="margin:0;padding:16px;font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;font-size:14px;color:#24292F">',
+    `<div style="border-left:4px solid ${accent};padding:4px 16px">`,
+    `${title}${body}`,
+    '</div>',
+    '</body></html>',
+  ].join('\n');
+}
+
+// ============================================================================
+// Platform Adapters
+// ============================================================================
+
+/**
+ * Registered platform adapters, keyed by platform name
+ */
+const adapters = {};
+
+/**
+ * @typedef {object} PlatformAdapter
+ * @property {string} [label] - Display name, e.g. "WeCom" (default: platform name)
+ * @property {string} [docs] - Webhook setup documentation URL
+ * @property {object[]} config - Configuration requirements, read from the environment:
+ *   `{ name, env, required = true, secret, description, pattern }`. getConfig() returns
+ *   `{ [name]: value }`. `secret` values are redacted from dry runs (default: true for
+ *   names containing key, token, secret, pass or url). `pattern` is a RegExp that
+ *   values entered in `webhook-push init` must match.
+ * @property {function(object): string} buildUrl - (config) => webhook URL
+ * @property {string} [dialect] - Markdown dialect (see MARKDOWN_DIALECTS) that content is
+ *   converted to before format() is called; without one, format() receives the
+ *   canonical markdown unchanged
+ * @property {object|function(object): object} [limit] - Size limit of the content passed to
+ *   format(), `{ size, unit: 'bytes' | 'chars' }`, or (options) => limit; longer content is
+ *   truncated or split (see `options.overflow`)
+ * @property {function(string, object, object): object} format - (content, options, config) => payload
+ * @property {function(Message, object, object, function): object} [formatMessage] -
+ *   (message, options, config, render) => payload for pushMessage() and pushProgress(),
+ *   using the platform's native layout; `render` converts markdown to the adapter's
+ *   dialect. Without it, messages are sent through format() as markdown.
+ * @property {function(object, object, string): object} [mention] - (payload, mentions,
+ *   content) => payload with mentions added, see resolveMentions(); `content` is the
+ *   message as standard markdown, for adapters that must change the message type
+ * @property {object} [attachments] - Upload limits, `{ image: { size, types }, file: { size } }`
+ *   in bytes; images of other types or sizes are uploaded as files
+ * @property {function(object, object, object, function): Promise<object>} [attach] -
+ *   (attachment, config, options, send) => result, uploading one attachment after the
+ *   message. `attachment.kind` is "image" or "file"; `send(url, data, headers)` posts
+ *   JSON or a multipartForm() body with retries. Without it, attachments are described.
+ * @property {object} [rateLimit] - `{ limit, interval }`: at most `limit` messages per
+ *   `interval` ms to one webhook, in bursts of up to `limit` (see limitRate())
+ * @property {function(object, object, object, object, function): Promise<object>} [edit] -
+ *   (payload, previous, config, options, send) => result for createTask(): posts a
+ *   formatMessage() payload as a new message when `previous` is undefined, otherwise
+ *   replaces the message `previous` (an earlier result) with it. `send(url, data,
+ *   headers, { method, interpret })` makes requests with retries.
+ * @property {function(object): boolean} [editable] - (config) => whether edit() can be
+ *   used with this config, e.g. when it needs an API token (default: always)
+ * @property {function(string, string, string, object): string} [formatProgress] -
+ *   (taskName, status, details, style) => content for pushProgress(), replacing
+ *   its message layout
+ * @property {function(object): object} [interpret] - ({ statusCode, headers, body }) => result,
+ *   throwing a PlatformError for failures (default: any 2xx is a success)
+ * @property {function(object): object} [headers] - (config) => additional request headers,
+ *   e.g. an Authorization header
+ * @property {function(string, object, object): object} [sign] - (url, payload, config) =>
+ *   `{ url, payload }` with authentication added
+ * @property {function(object, object, object, number): Promise<object>} [send] -
+ *   ({ url, payload, headers }, config, options, timeout) => result, for platforms
+ *   that are not reached by an HTTP POST (e.g. SMTP). Retried like HTTP requests.
+ * @property {function(object, function, number): Promise<string>} [verify] -
+ *   (config, send, timeout) => description of what was checked, e.g. the bot and
+ *   chat, for verifyPlatform(). Checks the credentials without posting a message,
+ *   throwing like a failed delivery; `send` is the same as for edit(). Without
+ *   it, verifyPlatform() sends a test message.
+ */
+
+/**
+ * Register a platform adapter, or replace an existing one
+ * 
+ * @param {string} name - Platform name used in `options.platform` (lowercase)
+ * @param {PlatformAdapter} adapter - Platform adapter
+ * @throws {Error} If the name or adapter is invalid
+ * 
+ * @example
+ * registerPlatform('mychat', {
+ *   label: 'MyChat',
+ *   config: [{ name: 'url', env: 'WEBHOOK_MYCHAT_URL', description: 'MyChat webhook URL' }],
+ *   buildUrl: (config) => config.url,
+ *   format: (content, options) => ({ text: content, title: options.title }),
+ * });
+ * 
+ * await push('Hello', { platform: 'mychat' });
+ */
+function registerPlatform(name, adapter) {
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+    throw new Error(
+      `Invalid platform name: ${name}. Use lowercase letters, digits, "-" and "_".`
+    );
+  }
+  if (name === ALL_PLATFORMS) {
+    throw new Error(`"${ALL_PLATFORMS}" is reserved and cannot be used as a platform name.`);
+  }
+  if (!adapter || !Array.isArray(adapter.config) || adapter.config.length === 0) {
+    throw new Error(`Adapter for ${name} must declare its config requirements.`);
+  }
+  for (const method of ['buildUrl', 'format']) {
+    if (typeof adapter[method] !== 'function') {
+      throw new Error(`Adapter for ${name} must implement ${method}().`);
+    }
+  }
+  if (adapter.dialect !== undefined && !MARKDOWN_DIALECTS[adapter.dialect]) {
+    throw new Error(
+      `Adapter for ${name} uses an unknown dialect: ${adapter.dialect}. ` +
+      `Supported: ${Object.keys(MARKDOWN_DIALECTS).join(', ')}`
+    );
+  }
+  if (adapter.rateLimit !== undefined && !isRateLimit(adapter.rateLimit)) {
+    throw new Error(`Adapter for ${name} must set rateLimit as { limit, interval } with positive numbers.`);
+  }
+
+  adapters[name] = {
+    label: name,
+    interpret: httpInterpreter(name),
+    ...adapter,
+    config: adapter.config.map((field) => ({ required: true, ...field })),
+  };
+
+  const primary = adapters[name].config.find((field) => field.required);
+  if (primary) {
+    ENV_KEYS[name] = primary.env;
+  }
+  const secret = adapters[name].config.find((field) => field.name === 'secret');
+  if (secret) {
+    ENV_SECRETS[name] = secret.env;
+  }
+}
+
+/**
+ * Get a registered platform adapter
+ * @param {string} name - Platform name
+ * @returns {PlatformAdapter|undefined} The adapter, if registered
+ */
+function getAdapter(name) {
+  return Object.prototype.hasOwnProperty.call(adapters, name) ? adapters[name] : undefined;
+}
+
+/**
+ * Get a registered platform adapter, failing for unknown platforms
+ * @param {string} name - Platform name
+ * @returns {PlatformAdapter} The adapter
+ * @throws {Error} If the platform is not registered
+ */
+function requireAdapter(name) {
+  const adapter = getAdapter(name);
+  if (!adapter) {
+    throw new Error(
+      `Unknown platform: ${name}. Supported platforms: ${getPlatforms().join(', ')}`
+    );
+  }
+  return adapter;
+}
+
+/**
+ * Get the names of all registered platforms, built-ins first
+ * @returns {string[]} Platform names
+ */
+function getPlatforms() {
+  return Object.keys(adapters);
+}
+
+/**
+ * Pattern for config fields that hold a URL
+ */
+const URL_PATTERN = /^https?:\/\/[^\s/]+/;
+
+/**
+ * Remove trailing slashes from a server URL
+ */
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Slack section blocks for mrkdwn text; section text is capped at 3000
+ * characters, so longer text takes several sections
+ */
+function slackSections(text) {
+  return splitContent(text, (part) => part.length <= 3000).map((part) => ({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: part,
+    },
+  }));
+}
+
+/**
+ * Discord webhook URL; `wait=true` makes Discord return the created message,
+ * including its ID
+ */
+function discordUrl(config) {
+  const url = new URL(config.key);
+  url.searchParams.set('wait', 'true');
+  return url.toString();
+}
+
+/**
+ * Wrap Adaptive Card elements in a Teams message
+ * @param {object[]} body - Card elements
+ * @param {object[]} [actions] - Card actions, e.g. Action.OpenUrl
+ */
+function adaptiveCardMessage(body, actions) {
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body,
+          actions: actions && actions.length > 0 ? actions : undefined,
+          msteams: { width: 'Full' },
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Adaptive Card title block, colored like the message
+ */
+function adaptiveCardTitle(title, color) {
+  return {
+    type: 'TextBlock',
+    text: title,
+    weight: 'Bolder',
+    size: 'Medium',
+    color: TEAMS_COLORS[color] || 'Default',
+    wrap: true,
+  };
+}
+
+/**
+ * ntfy JSON message
+ * @see https://docs.ntfy.sh/publish/#publish-as-json
+ */
+function formatNtfy(content, options = {}, config = {}) {
+  const style = STATUS_STYLES[options.status];
+  return {
+    topic: config.topic,
+    title: options.title,
+    message: content,
+    priority: getPriority(options),
+    tags: style ? [style.ntfy] : undefined,
+    markdown: true,
+  };
+}
+
+// ============================================================================
+// Built-in Platforms
+// ============================================================================
+
+/**
+ * WeCom (WeChat Work) group bot
+ * @see https://developer.work.weixin.qq.com/document/path/91770
+ */
+registerPlatform(PLATFORMS.WECOM, {
+  label: 'WeCom',
+  docs: 'https://developer.work.weixin.qq.com/document/path/91770',
+  config: [
+    {
+      name: 'key',
+      env: 'WEBHOOK_WECOM_KEY',
+      description: 'WeCom webhook key (the key=... part of the webhook URL)',
+      pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    },
+  ],
+  buildUrl: (config) =>
+    `https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=${config.key}`,
+  dialect: 'wecom',
+  limit: { size: 4096, unit: 'bytes' },
+  // 20 messages per minute per bot
+  // @see https://developer.work.weixin.qq.com/document/path/91770
+  rateLimit: { limit: 20, interval: 60 * 1000 },
+  // Markdown format
+  format: (content) => ({
+    msgtype: 'markdown',
+    markdown: {
+      content: content,
+    },
+  }),
+  // Markdown has no separate title
+  formatMessage: (message, options, config, render) => ({
+    msgtype: 'markdown',
+    markdown: {
+      content: render(messageToMarkdown(message, { title: true })),
+    },
+  }),
+  // Markdown can only mention user IDs, inline; phone numbers and @all need a
+  // text message with mention lists (text is capped at 2048 bytes)
+  // @see https://developer.work.weixin.qq.com/document/path/91770#文本类型
+  mention: (payload, mentions, content) => {
+    const mobiles = mentions.users.filter((user) => isPhoneNumber(user.id)).map((user) => user.id);
+    if (payload.msgtype === 'markdown' && !mentions.all && mobiles.length === 0) {
+      const line = mentionText(mentions, { user: (user) => `<@${user.id}>` });
+      return { ...payload, markdown: { content: `${payload.markdown.content}\n\n${line}` } };
+    }
+    const userIds = mentions.users.filter((user) => !isPhoneNumber(user.id)).map((user) => user.id);
+    const render = (markdown) => renderMarkdown(markdown, 'text');
+    const [text] = fitToLimit(content, render, { size: 1800, unit: 'bytes' });
+    const plain = mentions.unresolved.map((name) => `@${name}`).join(' ');
+    return {
+      msgtype: 'text',
+      text: {
+        content: plain ? `${text}\n\n${plain}` : text,
+        mentioned_list: mentions.all ? [...userIds, '@all'] : userIds,
+        mentioned_mobile_list: mobiles,
+      },
+    };
+  },
+  // `{ errcode, errmsg }`, e.g. 93000 invalid webhook url, 45009 rate limited
+  // @see https://developer.work.weixin.qq.com/document/path/90313
+  interpret: codedInterpreter(PLATFORMS.WECOM, 'errcode', 'errmsg', [-1, 45009]),
+  attachments: {
+    image: { size: 2 * 1024 * 1024, types: ['image/png', 'image/jpeg'] },
+    file: { size: 20 * 1024 * 1024 },
+  },
+  // Images are sent inline as base64; files are uploaded first for a media_id
+  // @see https://developer.work.weixin.qq.com/document/path/91770#文件上传接口
+  attach: async (attachment, config, options, send) => {
+    const api = 'https://qyapi.weixin.qq.com/cgi-bin/webhook';
+    if (attachment.kind === 'image') {
+      return send(`${api}/send?key=${config.key}`, {
+        msgtype: 'image',
+        image: {
+          base64: attachment.data.toString('base64'),
+          md5: crypto.createHash('md5').update(attachment.data).digest('hex'),
+        },
+      });
+    }
+    const form = multipartForm({ media: attachment });
+    const upload = await send(`${api}/upload_media?key=${config.key}&type=file`, form.body,
+      { 'Content-Type': form.contentType });
+    return send(`${api}/send?key=${config.key}`, { msgtype: 'file', file: { media_id: upload.raw.media_id } });
+  },
+});
+
+/**
+ * DingTalk custom robot
+ * @see https://open.dingtalk.com/document/robots/custom-robot-access
+ */
+registerPlatform(PLATFORMS.DINGTALK, {
+  label: 'DingTalk',
+  docs: 'https://open.dingtalk.com/document/robots/custom-robot-access',
+  config: [
+    { name: 'key', env: 'WEBHOOK_DINGTALK_TOKEN', description: 'DingTalk robot access token' },
+    {
+      name: 'secret',
+      env: 'WEBHOOK_DINGTALK_SECRET',
+      required: false,
+      description: 'DingTalk signing secret (optional, "sign" security)',
+      pattern: /^SEC[0-9a-f]+$/,
+    },
+  ],
+  buildUrl: (config) =>
+    `https://oapi.dingtalk.com/robot/send?access_token=${config.key}`,
+  dialect: 'dingtalk',
+  limit: { size: 20000, unit: 'bytes' },
+  // 20 messages per minute per robot
+  // @see https://open.dingtalk.com/document/orgapp/robot-overview
+  rateLimit: { limit: 20, interval: 60 * 1000 },
+  // Markdown format
+  format: (content, options = {}) => ({
+    msgtype: 'markdown',
+    markdown: {
+      title: options.title || 'Notification',
+      text: content,
+    },
+  }),
+  // ActionCard when there are buttons, markdown otherwise; `title` is only
+  // shown in notifications, so it is repeated in the text
+  formatMessage: (message, options, config, render) => {
+    const title = message.title || 'Notification';
+    if (message.buttons.length === 0) {
+      return {
+        msgtype: 'markdown',
+        markdown: { title, text: render(messageToMarkdown(message, { title: true })) },
+      };
+    }
+    return {
+      msgtype: 'actionCard',
+      actionCard: {
+        title,
+        text: render(messageToMarkdown(message, { title: true, buttons: false })),
+        btnOrientation: '0',
+        btns: message.buttons.map((button) => ({ title: button.text, actionURL: button.url })),
+      },
+    };
+  },
+  // `at` only notifies when the text also contains "@<phone number or user ID>"
+  mention: (payload, mentions) => {
+    const body = payload[payload.msgtype];
+    const line = mentionText(mentions, { user: (user) => `@${user.id}` });
+    const ids = mentions.users.map((user) => user.id);
+    return {
+      ...payload,
+      [payload.msgtype]: line ? { ...body, text: `${body.text}\n\n${line}` } : body,
+      at: {
+        atMobiles: ids.filter(isPhoneNumber),
+        atUserIds: ids.filter((id) => !isPhoneNumber(id)),
+        isAtAll: mentions.all,
+      },
+    };
+  },
+  // `{ errcode, errmsg }`, e.g. 310000 keyword/sign mismatch, 130101 sending too fast
+  interpret: codedInterpreter(PLATFORMS.DINGTALK, 'errcode', 'errmsg', [-1, 130101]),
+  // `timestamp` and `sign` go in the query string
+  sign: (url, payload, config, timestamp = Date.now()) => {
+    if (!config.secret) {
+      return { url, payload };
+    }
+    const sign = encodeURIComponent(signDingTalk(config.secret, timestamp));
+    return { url: `${url}&timestamp=${timestamp}&sign=${sign}`, payload };
+  },
+});
+
+/**
+ * Card header templates Feishu accepts
+ * @see https://open.feishu.cn/document/common-capabilities/message-card/message-cards-content/card-header
+ */
+const FEISHU_TEMPLATES = ['blue', 'wathet', 'turquoise', 'green', 'yellow', 'orange', 'red',
+  'carmine', 'violet', 'purple', 'indigo', 'grey'];
+
+/**
+ * Resolve a color to a Feishu card header template; hex colors get the nearest
+ * color of COLOR_HEX, as the header takes template names only
+ * @param {string} [color] - Template name or "#RRGGBB"
+ * @returns {string} Template name (default: blue)
+ */
+function feishuTemplate(color) {
+  if (FEISHU_TEMPLATES.includes(color)) {
+    return color;
+  }
+  const hex = toHexColor(color);
+  if (!hex) {
+    return 'blue';
+  }
+  const rgb = (value) => [1, 3, 5].map((start) => parseInt(value.slice(start, start + 2), 16));
+  const target = rgb(hex);
+  const distance = (name) => rgb(COLOR_HEX[name]).reduce((sum, channel, i) => sum + (channel - target[i]) ** 2, 0);
+  return Object.keys(COLOR_HEX).reduce((best, name) => (distance(name) < distance(best) ? name : best));
+}
+
+/**
+ * Feishu app API responses: `{ code: 0, msg, data }`; 99991400 is the rate limit
+ */
+const interpretFeishuApi = codedInterpreter(PLATFORMS.FEISHU, 'code', 'msg', [99991400]);
+
+/**
+ * Cached tenant access tokens by app ID, `{ token, expires }`
+ */
+const feishuTokens = new Map();
+
+/**
+ * Get a tenant access token for a Feishu app, reusing it until shortly before it expires
+ * @see https://open.feishu.cn/document/server-docs/authentication-management/access-token/tenant_access_token_internal
+ * @param {object} config - Feishu config with `appId` and `appSecret`
+ * @param {function} send - Request function (see createSender())
+ * @returns {Promise<string>} Token
+ */
+async function feishuTenantToken(config, send) {
+  const cached = feishuTokens.get(config.appId);
+  if (cached && cached.expires > Date.now()) {
+    return cached.token;
+  }
+  const { raw } = await send('https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal',
+    { app_id: config.appId, app_secret: config.appSecret }, {}, { interpret: interpretFeishuApi });
+  feishuTokens.set(config.appId, {
+    token: raw.tenant_access_token,
+    expires: Date.now() + (raw.expire - 60) * 1000,
+  });
+  return raw.tenant_access_token;
+}
+
+/**
+ * Feishu (Lark) custom bot
+ * @see https://open.feishu.cn/document/client-docs/bot-v3/add-custom-bot
+ */
+registerPlatform(PLATFORMS.FEISHU, {
+  label: 'Feishu',
+  docs: 'https://open.feishu.cn/document/client-docs/bot-v3/add-custom-bot',
+  config: [
+    {
+      name: 'key',
+      env: 'WEBHOOK_FEISHU_TOKEN',
+      description: 'Feishu bot webhook token',
+      pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    },
+    {
+      name: 'secret',
+      env: 'WEBHOOK_FEISHU_SECRET',
+      required: false,
+      description: 'Feishu signing secret (optional, "sign" security)',
+    },
+    {
+      name: 'appId',
+      env: 'WEBHOOK_FEISHU_APP_ID',
+      required: false,
+      description: 'Feishu app ID (optional, lets tasks update their card)',
+      pattern: /^cli_\w+$/,
+    },
+    { name: 'appSecret', env: 'WEBHOOK_FEISHU_APP_SECRET', required: false, description: 'Feishu app secret' },
+    {
+      name: 'chatId',
+      env: 'WEBHOOK_FEISHU_CHAT_ID',
+      required: false,
+      description: 'Feishu chat ID for the app (oc_...)',
+      pattern: /^oc_\w+$/,
+    },
+  ],
+  buildUrl: (config) =>
+    `https://open.feishu.cn/open-apis/bot/v2/hook/${config.key}`,
+  dialect: 'feishu',
+  limit: { size: 28000, unit: 'bytes' },
+  // 100 messages per minute and 5 per second per bot: bursts of 5, 100 a minute
+  // @see https://open.feishu.cn/document/client-docs/bot-v3/add-custom-bot#frequency-control
+  rateLimit: { limit: 5, interval: 3000 },
+  // Interactive card format
+  format: (content, options = {}) => ({
+    msg_type: 'interactive',
+    card: {
+      header: {
+        title: {
+          tag: 'plain_text',
+          content: options.title || 'Notification',
+        },
+        template: feishuTemplate(options.color),
+      },
+      elements: [
+        {
+          tag: 'markdown',
+          content: content,
+        },
+      ],
+    },
+  }),
+  // Card with a field grid, link buttons and a note
+  formatMessage: (message, options, config, render) => {
+    const elements = [];
+    if (message.summary) {
+      elements.push({ tag: 'markdown', content: render(message.summary) });
+    }
+    if (message.fields.length > 0) {
+      elements.push({
+        tag: 'div',
+        fields: message.fields.map((field) => ({
+          is_short: field.short,
+          text: { tag: 'lark_md', content: render(`**${escapeMarkdown(field.name)}**\n${field.value}`) },
+        })),
+      });
+    }
+    if (message.buttons.length > 0) {
+      elements.push({
+        tag: 'action',
+        actions: message.buttons.map((button) => ({
+          tag: 'button',
+          text: { tag: 'plain_text', content: button.text },
+          url: button.url,
+          type: 'default',
+        })),
+      });
+    }
+    if (message.footer) {
+      elements.push({ tag: 'note', elements: [{ tag: 'plain_text', content: message.footer }] });
+    }
+    return {
+      msg_type: 'interactive',
+      card: {
+        header: {
+          title: { tag: 'plain_text', content: message.title || 'Notification' },
+          template: feishuTemplate(message.color),
+        },
+        elements,
+      },
+    };
+  },
+  // <at> tags with open IDs (ou_...), user IDs or emails go in a markdown element
+  mention: (payload, mentions) => {
+    const content = mentionText(mentions, {
+      user: (user) => (user.id.includes('@') ? `<at email=${user.id}></at>` : `<at id=${user.id}></at>`),
+      all: '<at id=all></at>',
+    });
+    const elements = [...payload.card.elements, { tag: 'markdown', content }];
+    return { ...payload, card: { ...payload.card, elements } };
+  },
+  // `{ code, msg }`, or the legacy `{ StatusCode, StatusMessage }`
+  // e.g. 19021 sign mismatch, 19024 keyword mismatch, 11232 rate limited
+  interpret: (response) => {
+    const body = response.body || {};
+    if (body.code === undefined && body.StatusCode !== undefined) {
+      return codedInterpreter(PLATFORMS.FEISHU, 'StatusCode', 'StatusMessage', [11232, 11233])(response);
+    }
+    return codedInterpreter(PLATFORMS.FEISHU, 'code', 'msg', [11232, 11233])(response);
+  },
+  // `timestamp` (seconds, as a string) and `sign` go in the body
+  sign: (url, payload, config, timestamp = Math.floor(Date.now() / 1000)) => {
+    if (!config.secret) {
+      return { url, payload };
+    }
+    return {
+      url,
+      payload: { timestamp: String(timestamp), sign: signFeishu(config.secret, timestamp), ...payload },
+    };
+  },
+  // Custom bots can't edit, so tasks post through the app's message API; only
+  // cards marked update_multi can be updated
+  // @see https://open.feishu.cn/document/server-docs/im-v1/message/create
+  // @see https://open.feishu.cn/document/server-docs/im-v1/message-card/patch
+  editable: (config) => Boolean(config.appId && config.appSecret && config.chatId),
+  edit: async (payload, previous, config, options, send) => {
+    const headers = { Authorization: `Bearer ${await feishuTenantToken(config, send)}` };
+    const content = JSON.stringify({ ...payload.card, config: { ...payload.card.config, update_multi: true } });
+    if (!previous) {
+      const result = await send('https://open.feishu.cn/open-apis/im/v1/messages?receive_id_type=chat_id',
+        { receive_id: config.chatId, msg_type: 'interactive', content }, headers, { interpret: interpretFeishuApi });
+      return { ...result, messageId: result.raw.data.message_id };
+    }
+    const result = await send(`https://open.feishu.cn/open-apis/im/v1/messages/${previous.messageId}`,
+      { content }, headers, { method: 'PATCH', interpret: interpretFeishuApi });
+    return { ...result, messageId: previous.messageId };
+  },
+});
+
+/**
+ * Check a Slack Web API response: HTTP 200 with `{ ok: true, ts, channel }`, or
+ * `{ ok: false, error }` such as "channel_not_found" or "not_in_channel"
+ * @see https://api.slack.com/web#responses
+ */
+function interpretSlackApi(response) {
+  const { statusCode } = response;
+  const body = response.body || {};
+  if (body.ok !== true) {
+    throw platformError(PLATFORMS.SLACK, body.error || statusCode, `HTTP ${statusCode}`, response, false);
+  }
+  return successResult(PLATFORMS.SLACK, body, body.ts);
+}
+
+/**
+ * Slack incoming webhook (Block Kit)
+ * @see https://api.slack.com/messaging/webhooks
+ */
+registerPlatform(PLATFORMS.SLACK, {
+  label: 'Slack',
+  docs: 'https://api.slack.com/messaging/webhooks',
+  config: [
+    {
+      name: 'key',
+      env: 'WEBHOOK_SLACK_URL',
+      description: 'Slack incoming webhook URL (full URL)',
+      pattern: URL_PATTERN,
+    },
+    {
+      name: 'token',
+      env: 'WEBHOOK_SLACK_BOT_TOKEN',
+      required: false,
+      description: 'Slack bot token (optional, lets tasks update their message)',
+      pattern: /^xox[bp]-[\w-]+$/,
+    },
+    {
+      name: 'channel',
+      env: 'WEBHOOK_SLACK_CHANNEL',
+      required: false,
+      description: 'Slack channel ID for the bot token, e.g. C0123456789',
+      pattern: /^[CGD][A-Z0-9]+$/,
+    },
+  ],
+  buildUrl: (config) => config.key, // Slack uses full webhook URL
+  dialect: 'slack',
+  limit: { size: 40000, unit: 'chars' },
+  // About one message per second, with short bursts
+  // @see https://api.slack.com/apis/rate-limits#messages
+  rateLimit: { limit: 60, interval: 60 * 1000 },
+  format: (content) => ({
+    blocks: slackSections(content),
+  }),
+  // Block Kit: header, sections, fields (up to 10 per section), buttons and a
+  // context footer; colored messages are wrapped in an attachment for the color bar
+  formatMessage: (message, options, config, render) => {
+    const blocks = [];
+    if (message.title) {
+      blocks.push({ type: 'header', text: { type: 'plain_text', text: message.title.slice(0, 150), emoji: true } });
+    }
+    if (message.summary) {
+      blocks.push(...slackSections(render(message.summary)));
+    }
+    for (let i = 0; i < message.fields.length; i += 10) {
+      blocks.push({
+        type: 'section',
+        fields: message.fields.slice(i, i + 10).map((field) => ({
+          type: 'mrkdwn',
+          text: render(`**${escapeMarkdown(field.name)}**\n${field.value}`),
+        })),
+      });
+    }
+    if (message.buttons.length > 0) {
+      blocks.push({
+        type: 'actions',
+        elements: message.buttons.slice(0, 25).map((button) => ({
+          type: 'button',
+          text: { type: 'plain_text', text: button.text, emoji: true },
+          url: button.url,
+        })),
+      });
+    }
+    if (message.footer) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(message.footer) }] });
+    }
+
+    // `text` is the notification preview
+    const color = toHexColor(message.color);
+    return color
+      ? { text: message.title, attachments: [{ color, blocks }] }
+      : { text: message.title, blocks };
+  },
+  // Member IDs (U...) or user group IDs (S...); a top-level section, above any attachment
+  mention: (payload, mentions) => {
+    const text = mentionText(mentions, {
+      user: (user) => (/^S/.test(user.id) ? `<!subteam^${user.id}>` : `<@${user.id}>`),
+      all: '<!channel>',
+      plain: (name) => escapeSlack(`@${name}`),
+    });
+    return { ...payload, blocks: [...(payload.blocks || []), { type: 'section', text: { type: 'mrkdwn', text } }] };
+  },
+  // Plain text "ok", or an error string such as "invalid_payload" with HTTP 4xx
+  // @see https://api.slack.com/messaging/webhooks#handling_errors
+  interpret: (response) => {
+    const { statusCode } = response;
+    const body = response.body || {};
+    if (statusCode < 200 || statusCode >= 300) {
+      const code = body.raw !== undefined ? body.raw : body.error;
+      throw platformError(PLATFORMS.SLACK, code || statusCode, `HTTP ${statusCode}`, response, false);
+    }
+    return successResult(PLATFORMS.SLACK, body);
+  },
+  // Incoming webhooks can't edit, so tasks post through the Web API with a bot token
+  // @see https://api.slack.com/methods/chat.postMessage
+  // @see https://api.slack.com/methods/chat.update
+  editable: (config) => Boolean(config.token && config.channel),
+  edit: (payload, previous, config, options, send) => {
+    const headers = { Authorization: `Bearer ${config.token}`, 'Content-Type': 'application/json; charset=utf-8' };
+    if (!previous) {
+      return send('https://slack.com/api/chat.postMessage', { channel: config.channel, ...payload }, headers,
+        { interpret: interpretSlackApi });
+    }
+    return send('https://slack.com/api/chat.update',
+      { channel: previous.raw.channel, ts: previous.messageId, ...payload }, headers,
+      { interpret: interpretSlackApi });
+  },
+});
+
+/**
+ * Telegram bot
+ * @see https://core.telegram.org/bots/api#sendmessage
+ */
+registerPlatform(PLATFORMS.TELEGRAM, {
+  label: 'Telegram',
+  docs: 'https://core.telegram.org/bots/api',
+  config: [
+    {
+      name: 'key',
+      env: 'WEBHOOK_TELEGRAM_TOKEN',
+      description: 'Telegram bot token',
+      pattern: /^\d+:[\w-]+$/,
+    },
+    {
+      name: 'extra',
+      env: 'WEBHOOK_TELEGRAM_CHAT_ID',
+      description: 'Telegram chat ID (required for Telegram)',
+      pattern: /^(-?\d+|@\w+)$/,
+    },
+  ],
+  buildUrl: (config) =>
+    `https://api.telegram.org/bot${config.key}/sendMessage?chat_id=${config.extra}`,
+  dialect: 'telegram',
+  limit: { size: 4096, unit: 'chars' },
+  // About 20 messages per minute in a group
+  // @see https://core.telegram.org/bots/faq#my-bot-is-hitting-limits-how-do-i-avoid-this
+  rateLimit: { limit: 20, interval: 60 * 1000 },
+  format: (content) => ({
+    text: content,
+    parse_mode: 'HTML',
+  }),
+  // Buttons become an inline keyboard, one per row
+  formatMessage: (message, options, config, render) => ({
+    text: render(messageToMarkdown(message, { title: true, buttons: false })),
+    parse_mode: 'HTML',
+    reply_markup: message.buttons.length > 0
+      ? { inline_keyboard: message.buttons.map((button) => [{ text: button.text, url: button.url }]) }
+      : undefined,
+  }),
+  // Usernames, or numeric user IDs as text mentions; bots can't mention everyone
+  mention: (payload, mentions) => {
+    const line = mentionText(mentions, {
+      user: (user) => (/^\d+$/.test(user.id)
+        ? `<a href="tg://user?id=${user.id}">${escapeHtml(user.name)}</a>`
+        : `@${escapeHtml(user.id.replace(/^@/, ''))}`),
+      plain: (name) => `@${escapeHtml(name)}`,
+    });
+    return line ? { ...payload, text: `${payload.text}\n\n${line}` } : payload;
+  },
+  // `{ ok: true, result: Message }` or `{ ok: false, error_code, description }`
+  // @see https://core.telegram.org/bots/api#making-requests
+  interpret: (response) => {
+    const body = response.body || {};
+    if (body.ok === false) {
+      const code = body.error_code || response.statusCode;
+      throw platformError(PLATFORMS.TELEGRAM, code, body.description, response,
+        code === 429 || code >= 500);
+    }
+    checkHttpStatus(response);
+    return successResult(PLATFORMS.TELEGRAM, body, body.result && body.result.message_id);
+  },
+  attachments: {
+    image: { size: 10 * 1024 * 1024, types: ['image/png', 'image/jpeg', 'image/webp'] },
+    file: { size: 50 * 1024 * 1024 },
+  },
+  // @see https://core.telegram.org/bots/api#sendphoto
+  // @see https://core.telegram.org/bots/api#senddocument
+  attach: (attachment, config, options, send) => {
+    const [method, field] = attachment.kind === 'image' ? ['sendPhoto', 'photo'] : ['sendDocument', 'document'];
+    const form = multipartForm({ chat_id: config.extra, [field]: attachment });
+    return send(`https://api.telegram.org/bot${config.key}/${method}`, form.body,
+      { 'Content-Type': form.contentType });
+  },
+  // @see https://core.telegram.org/bots/api#editmessagetext
+  edit: async (payload, previous, config, options, send) => {
+    if (!previous) {
+      return send(`https://api.telegram.org/bot${config.key}/sendMessage`, { chat_id: config.extra, ...payload });
+    }
+    try {
+      return await send(`https://api.telegram.org/bot${config.key}/editMessageText`,
+        { chat_id: config.extra, message_id: previous.messageId, ...payload });
+    } catch (error) {
+      // Edits that change nothing are rejected, but the message is already up to date
+      if (error.platformCode === 400 && /message is not modified/.test(error.platformMessage)) {
+        return previous;
+      }
+      throw error;
+    }
+  },
+  // The bot and the chat it posts to, without posting
+  // @see https://core.telegram.org/bots/api#getme
+  // @see https://core.telegram.org/bots/api#getchat
+  verify: async (config, send) => {
+    const bot = await send(`https://api.telegram.org/bot${config.key}/getMe`, {});
+    const chat = await send(`https://api.telegram.org/bot${config.key}/getChat`, { chat_id: config.extra });
+    const { title, username, first_name: firstName } = chat.raw.result;
+    return `bot @${bot.raw.result.username}, chat "${title || username || firstName}"`;
+  },
+});
+
+/**
+ * Discord webhook
+ * @see https://discord.com/developers/docs/resources/webhook#execute-webhook
+ */
+registerPlatform(PLATFORMS.DISCORD, {
+  label: 'Discord',
+  docs: 'https://support.discord.com/hc/en-us/articles/228383668',
+  config: [
+    {
+      name: 'key',
+      env: 'WEBHOOK_DISCORD_URL',
+      description: 'Discord webhook URL (full URL)',
+      pattern: URL_PATTERN,
+    },
+  ],
+  buildUrl: discordUrl,
+  dialect: 'markdown',
+  // Embed descriptions hold 4096 characters, plain content 2000
+  limit: (options = {}) => ({ size: options.title || options.color ? 4096 : 2000, unit: 'chars' }),
+  // 30 requests per minute per webhook
+  // @see https://discord.com/developers/docs/topics/rate-limits
+  rateLimit: { limit: 30, interval: 60 * 1000 },
+  // Plain content, or an embed when a title or color is given
+  format: (content, options = {}) => {
+    if (!options.title && !options.color) {
+      return { content };
+    }
+    const hex = toHexColor(options.color);
+    return {
+      embeds: [
+        {
+          title: options.title,
+          description: content,
+          color: hex ? parseInt(hex.slice(1), 16) : undefined,
+        },
+      ],
+    };
+  },
+  // Embed with fields and a footer; webhooks can't send buttons, so links
+  // go in the description
+  formatMessage: (message, options, config, render) => {
+    const hex = toHexColor(message.color);
+    return {
+      embeds: [
+        {
+          title: message.title,
+          description: render(messageToMarkdown(message, { fields: false, footer: false })) || undefined,
+          fields: message.fields.slice(0, 25).map((field) => ({
+            name: field.name,
+            value: render(field.value) || '\u200b',
+            inline: field.short,
+          })),
+          footer: message.footer ? { text: message.footer } : undefined,
+          color: hex ? parseInt(hex.slice(1), 16) : undefined,
+        },
+      ],
+    };
+  },
+  // Mentions only notify in `content`, not in embeds
+  mention: (payload, mentions) => {
+    const line = mentionText(mentions, { user: (user) => `<@${user.id}>`, all: '@everyone' });
+    return {
+      ...payload,
+      content: payload.content ? `${payload.content}\n\n${line}` : line,
+      allowed_mentions: {
+        parse: mentions.all ? ['everyone'] : [],
+        users: mentions.users.map((user) => user.id),
+      },
+    };
+  },
+  // Message object on success, `{ message, code }` with HTTP 4xx on failure
+  interpret: (response) => {
+    const { statusCode } = response;
+    const body = response.body || {};
+    if (statusCode < 200 || statusCode >= 300) {
+      const code = body.code !== undefined ? body.code : statusCode;
+      throw platformError(PLATFORMS.DISCORD, code, body.message || body.raw, response, false);
+    }
+    return successResult(PLATFORMS.DISCORD, body, body.id);
+  },
+  attachments: {
+    file: { size: 10 * 1024 * 1024 },
+  },
+  // A follow-up message carrying the file
+  // @see https://discord.com/developers/docs/reference#uploading-files
+  attach: (attachment, config, options, send) => {
+    const form = multipartForm({ payload_json: '{}', 'files[0]': attachment });
+    return send(discordUrl(config), form.body, { 'Content-Type': form.contentType });
+  },
+  // Reading the webhook checks its token without posting
+  // @see https://discord.com/developers/docs/resources/webhook#get-webhook-with-token
+  verify: async (config, send) => {
+    const webhook = await send(config.key, undefined, {}, { method: 'GET' });
+    return `webhook "${webhook.raw.name}"`;
+  },
+});
+
+/**
+ * Microsoft Teams incoming webhook (Adaptive Card)
+ * Works with both Office 365 connector URLs and Workflows webhook URLs.
+ * @see https://learn.microsoft.com/en-us/microsoftteams/platform/webhooks-and-connectors/how-to/connectors-using
+ */
+registerPlatform(PLATFORMS.TEAMS, {
+  label: 'Teams',
+  docs: 'https://learn.microsoft.com/en-us/microsoftteams/platform/webhooks-and-connectors/how-to/add-incoming-webhook',
+  config: [
+    {
+      name: 'key',
+      env: 'WEBHOOK_TEAMS_URL',
+      description: 'Microsoft Teams incoming webhook URL (full URL)',
+      pattern: URL_PATTERN,
+    },
+  ],
+  buildUrl: (config) => config.key,
+  dialect: 'teams',
+  limit: { size: 20000, unit: 'bytes' },
+  // Connector webhooks accept 4 requests per second
+  // @see https://learn.microsoft.com/en-us/microsoftteams/platform/webhooks-and-connectors/how-to/connectors-using#rate-limiting-for-connectors
+  rateLimit: { limit: 4, interval: 1000 },
+  format: (content, options = {}) => {
+    const body = [];
+    if (options.title) {
+      body.push(adaptiveCardTitle(options.title, options.color));
+    }
+    body.push({ type: 'TextBlock', text: content, wrap: true });
+    return adaptiveCardMessage(body);
+  },
+  // Fields become a FactSet and buttons Action.OpenUrl actions
+  formatMessage: (message, options, config, render) => {
+    const body = [];
+    if (message.title) {
+      body.push(adaptiveCardTitle(message.title, message.color));
+    }
+    if (message.summary) {
+      body.push({ type: 'TextBlock', text: render(message.summary), wrap: true });
+    }
+    if (message.fields.length > 0) {
+      body.push({
+        type: 'FactSet',
+        facts: message.fields.map((field) => ({ title: field.name, value: render(field.value) })),
+      });
+    }
+    if (message.footer) {
+      body.push({ type: 'TextBlock', text: message.footer, size: 'Small', isSubtle: true, wrap: true });
+    }
+    const actions = message.buttons.map((button) => ({ type: 'Action.OpenUrl', title: button.text, url: button.url }));
+    return adaptiveCardMessage(body, actions);
+  },
+  // <at> tags with mention entities for user IDs or UPNs; webhooks can't mention everyone
+  // @see https://learn.microsoft.com/en-us/microsoftteams/platform/task-modules-and-cards/cards/cards-format#mention-support-within-adaptive-cards
+  mention: (payload, mentions) => {
+    const text = mentionText(mentions, { user: (user) => `<at>${user.name}</at>` });
+    if (!text) {
+      return payload;
+    }
+    const [attachment] = payload.attachments;
+    const card = attachment.content;
+    const entities = mentions.users.map((user) => ({
+      type: 'mention',
+      text: `<at>${user.name}</at>`,
+      mentioned: { id: user.id, name: user.name },
+    }));
+    return {
+      ...payload,
+      attachments: [{
+        ...attachment,
+        content: {
+          ...card,
+          body: [...card.body, { type: 'TextBlock', text, wrap: true }],
+          msteams: { ...card.msteams, entities },
+        },
+      }],
+    };
+  },
+  // Connectors answer "1" on success and may report errors as text with HTTP 200,
+  // e.g. "Microsoft Teams endpoint returned HTTP error 429 ..."
+  interpret: (response) => {
+    const { statusCode } = response;
+    const body = response.body || {};
+    const text = body.raw !== undefined ? body.raw : '';
+    if (statusCode < 200 || statusCode >= 300) {
+      const message = text || (body.error && body.error.message) || JSON.stringify(body);
+      throw platformError(PLATFORMS.TEAMS, statusCode, message, response, false);
+    }
+    if (/error/i.test(text)) {
+      const throttled = /\b429\b/.test(text);
+      throw platformError(PLATFORMS.TEAMS, throttled ? 429 : 'error', text, response, throttled);
+    }
+    return successResult(PLATFORMS.TEAMS, body);
+  },
+});
+
+/**
+ * Mattermost incoming webhook, also compatible with Rocket.Chat incoming webhooks
+ * @see https://developers.mattermost.com/integrate/webhooks/incoming/
+ * @see https://docs.rocket.chat/use-rocket.chat/workspace-administration/integrations
+ */
+registerPlatform(PLATFORMS.MATTERMOST, {
+  label: 'Mattermost',
+  docs: 'https://developers.mattermost.com/integrate/webhooks/incoming/',
+  config: [
+    {
+      name: 'key',
+      env: 'WEBHOOK_MATTERMOST_URL',
+      description: 'Mattermost/Rocket.Chat incoming webhook URL',
+      pattern: URL_PATTERN,
+    },
+    {
+      name: 'channel',
+      env: 'WEBHOOK_MATTERMOST_CHANNEL',
+      required: false,
+      description: 'Channel override (optional)',
+    },
+    {
+      name: 'username',
+      env: 'WEBHOOK_MATTERMOST_USERNAME',
+      required: false,
+      description: 'Display name override (optional)',
+    },
+  ],
+  buildUrl: (config) => config.key,
+  dialect: 'markdown',
+  limit: { size: 16383, unit: 'chars' },
+  // Plain text, or a colored attachment when a title or color is given
+  format: (content, options = {}, config = {}) => {
+    const payload = {};
+    if (config.channel) {
+      payload.channel = config.channel;
+    }
+    if (config.username) {
+      payload.username = config.username;
+    }
+
+    if (!options.title && !options.color) {
+      payload.text = content;
+      return payload;
+    }
+    payload.attachments = [
+      {
+        fallback: options.title ? `${options.title}: ${content}` : content,
+        color: toHexColor(options.color),
+        title: options.title,
+        text: content,
+      },
+    ];
+    return payload;
+  },
+  // Attachment with fields and a footer; buttons need an integration, so
+  // links go in the text
+  formatMessage: (message, options, config = {}, render) => {
+    const text = render(messageToMarkdown(message, { fields: false, footer: false }));
+    return {
+      channel: config.channel || undefined,
+      username: config.username || undefined,
+      attachments: [
+        {
+          fallback: message.title ? `${message.title}: ${text}` : text,
+          color: toHexColor(message.color),
+          title: message.title,
+          text,
+          fields: message.fields.map((field) => ({ title: field.name, value: render(field.value), short: field.short })),
+          footer: message.footer,
+        },
+      ],
+    };
+  },
+  // Mentions only notify in the top-level text, not in attachments
+  mention: (payload, mentions) => {
+    const line = mentionText(mentions, { user: (user) => `@${user.id.replace(/^@/, '')}`, all: '@channel' });
+    return { ...payload, text: payload.text ? `${payload.text}\n\n${line}` : line };
+  },
+  // Mattermost answers "ok", Rocket.Chat `{ success: true }`; errors come with HTTP 4xx
+  // as `{ message, status_code }` (Mattermost) or `{ success: false, error }` (Rocket.Chat)
+  interpret: (response) => {
+    const { statusCode } = response;
+    const body = response.body || {};
+    if (body.success === false || statusCode < 200 || statusCode >= 300) {
+      const code = body.id || body.status_code || statusCode;
+      const message = body.message || body.error || body.raw || `HTTP ${statusCode}`;
+      throw platformError(PLATFORMS.MATTERMOST, code, message, response, false);
+    }
+    return successResult(PLATFORMS.MATTERMOST, body);
+  },
+});
+
+/**
+ * ntfy push notifications (ntfy.sh or self-hosted)
+ * @see https://docs.ntfy.sh/publish/#publish-as-json
+ */
+registerPlatform(PLATFORMS.NTFY, {
+  label: 'ntfy',
+  docs: 'https://docs.ntfy.sh/publish/',
+  config: [
+    // Anyone who knows a topic on a public server can read and publish to it
+    { name: 'topic', env: 'WEBHOOK_NTFY_TOPIC', secret: true, description: 'ntfy topic name' },
+    {
+      name: 'server',
+      env: 'WEBHOOK_NTFY_SERVER',
+      required: false,
+      description: 'ntfy server URL (optional, default: https://ntfy.sh)',
+      pattern: URL_PATTERN,
+    },
+    {
+      name: 'token',
+      env: 'WEBHOOK_NTFY_TOKEN',
+      required: false,
+      description: 'ntfy access token (optional, for protected topics)',
+    },
+  ],
+  // JSON messages are published to the server root, with the topic in the body
+  buildUrl: (config) => `${trimSlash(config.server || 'https://ntfy.sh')}/`,
+  dialect: 'markdown',
+  limit: { size: 4096, unit: 'bytes' },
+  headers: (config) => (config.token ? { Authorization: `Bearer ${config.token}` } : {}),
+  format: formatNtfy,
+  // Buttons become view actions (up to 3)
+  // @see https://docs.ntfy.sh/publish/#action-buttons
+  formatMessage: (message, options, config, render) => {
+    const actions = message.buttons.slice(0, 3);
+    const content = render(messageToMarkdown({ ...message, buttons: message.buttons.slice(3) }));
+    return {
+      ...formatNtfy(content, { ...options, title: message.title }, config),
+      actions: actions.length > 0
+        ? actions.map((button) => ({ action: 'view', label: button.text, url: button.url }))
+        : undefined,
+    };
+  },
+  // Message object on success, `{ code, http, error }` on failure, e.g. 40301 forbidden
+  interpret: (response) => {
+    const body = response.body || {};
+    if (body.error !== undefined) {
+      const code = body.code || response.statusCode;
+      throw platformError(PLATFORMS.NTFY, code, body.error, response, body.http === 429);
+    }
+    checkHttpStatus(response);
+    return successResult(PLATFORMS.NTFY, body, body.id);
+  },
+});
+
+/**
+ * Gotify self-hosted push server
+ * Priorities are mapped to Gotify's 0-10 scale (1→2, 3→5, 4→8, 5→10).
+ * @see https://gotify.net/api-docs#/message/createMessage
+ */
+registerPlatform(PLATFORMS.GOTIFY, {
+  label: 'Gotify',
+  docs: 'https://gotify.net/docs/pushmsg',
+  config: [
+    {
+      name: 'server',
+      env: 'WEBHOOK_GOTIFY_URL',
+      description: 'Gotify server URL',
+      pattern: URL_PATTERN,
+    },
+    { name: 'token', env: 'WEBHOOK_GOTIFY_TOKEN', description: 'Gotify application token' },
+  ],
+  buildUrl: (config) => `${trimSlash(config.server)}/message`,
+  dialect: 'markdown',
+  headers: (config) => ({ 'X-Gotify-Key': config.token }),
+  format: (content, options = {}) => ({
+    title: options.title,
+    message: content,
+    priority: [0, 2, 4, 5, 8, 10][getPriority(options)],
+    extras: {
+      'client::display': { contentType: 'text/markdown' },
+    },
+  }),
+  // Message object on success, `{ error, errorCode, errorDescription }` on failure
+  interpret: (response) => {
+    const body = response.body || {};
+    if (body.errorCode !== undefined) {
+      throw platformError(PLATFORMS.GOTIFY, body.errorCode,
+        body.errorDescription || body.error, response, false);
+    }
+    checkHttpStatus(response);
+    return successResult(PLATFORMS.GOTIFY, body, body.id);
+  },
+});
+
+/**
+ * Bark iOS push notifications (api.day.app or self-hosted bark-server)
+ * High priorities become time-sensitive notifications with an alarm sound,
+ * low priorities are delivered passively.
+ * @see https://bark.day.app/#/en-us/tutorial
+ */
+registerPlatform(PLATFORMS.BARK, {
+  label: 'Bark',
+  docs: 'https://bark.day.app/#/en-us/tutorial',
+  config: [
+    { name: 'key', env: 'WEBHOOK_BARK_KEY', description: 'Bark device key' },
+    {
+      name: 'server',
+      env: 'WEBHOOK_BARK_SERVER',
+      required: false,
+      description: 'Bark server URL (optional, default: https://api.day.app)',
+      pattern: URL_PATTERN,
+    },
+  ],
+  buildUrl: (config) => `${trimSlash(config.server || 'https://api.day.app')}/push`,
+  dialect: 'text',
+  // APNs payloads are capped at 4 KB, leaving room for the title and options
+  limit: { size: 3000, unit: 'bytes' },
+  format: (content, options = {}, config = {}) => {
+    const priority = getPriority(options);
+    const payload = {
+      device_key: config.key,
+      title: options.title,
+      body: content,
+      group: 'webhook-push',
+      level: priority >= 4 ? 'timeSensitive' : priority <= 2 ? 'passive' : 'active',
+    };
+    if (priority >= 4) {
+      payload.sound = 'alarm';
+    }
+    return payload;
+  },
+  // `{ code: 200, message: 'success' }`, errors use other codes (also with HTTP 4xx)
+  interpret: (response) => {
+    const body = response.body || {};
+    if (body.code !== undefined && body.code !== 200) {
+      throw platformError(PLATFORMS.BARK, body.code, body.message, response, false);
+    }
+    checkHttpStatus(response);
+    return successResult(PLATFORMS.BARK, body);
+  },
+});
+
+/**
+ * Email over SMTP (any provider: Gmail, Outlook, SES, Postfix, ...)
+ * The only non-HTTP built-in; it delivers through adapter.send() instead of a webhook.
+ */
+registerPlatform(PLATFORMS.EMAIL, {
+  label: 'Email',
+  docs: 'https://www.rfc-editor.org/rfc/rfc5321',
+  config: [
+    { name: 'host', env: 'WEBHOOK_EMAIL_HOST', description: 'SMTP server host, e.g. smtp.gmail.com' },
+    { name: 'to', env: 'WEBHOOK_EMAIL_TO', description: 'Recipient addresses (comma-separated)' },
+    { name: 'from', env: 'WEBHOOK_EMAIL_FROM', description: 'Sender address' },
+    {
+      name: 'port',
+      env: 'WEBHOOK_EMAIL_PORT',
+      required: false,
+      description: 'SMTP port (optional, default: 587, or 465 with WEBHOOK_EMAIL_TLS=tls)',
+      pattern: /^\d+$/,
+    },
+    { name: 'user', env: 'WEBHOOK_EMAIL_USER', required: false, description: 'SMTP username (optional)' },
+    { name: 'pass', env: 'WEBHOOK_EMAIL_PASS', required: false, description: 'SMTP password (optional)' },
+    {
+      name: 'tls',
+      env: 'WEBHOOK_EMAIL_TLS',
+      required: false,
+      description: 'starttls (default), required, tls (implicit, port 465) or none',
+      pattern: /^(starttls|required|tls|none)$/,
+    },
+  ],
+  buildUrl: (config) => {
+    const implicit = config.tls === 'tls';
+    const port = config.port || (implicit ? SMTP_PORTS.tls : SMTP_PORTS.default);
+    return `${implicit ? 'smtps' : 'smtp'}://${config.host}:${port}`;
+  },
+  // Renders both parts itself, so it has no single dialect
+  format: (content, options = {}) => {
+    const text = options.raw ? content : renderMarkdown(content, 'text');
+    const firstLine = text.trim().split('\n')[0] || 'Notification';
+    return {
+      subject: options.title || (firstLine.length > 78 ? `${firstLine.slice(0, 77)}…` : firstLine),
+      text,
+      html: renderEmailHtml(content, options),
+    };
+  },
+  send: async (request, config, options = {}, timeout = REQUEST_DEFAULTS.timeout) => {
+    const result = await sendMail(smtpSettings(config), request.payload, timeout);
+    return successResult(PLATFORMS.EMAIL, result, result.messageId);
+  },
+  // Connects, logs in and has the recipients accepted, then quits before DATA
+  verify: async (config, send, timeout) => {
+    const settings = smtpSettings(config);
+    await sendMail(settings, null, timeout);
+    return `${settings.host} accepted ${settings.to.join(', ')}`;
+  },
+});
+
+// ============================================================================
+// Configuration Validation
+// ============================================================================
+
+/**
+ * Get configuration for a specific platform
+ * @param {string} platform - Platform name
+ * @returns {object} Configuration object keyed by the adapter's config field names
+ *   (built-ins: key/token, any extras and signing secret)
+ * @throws {ConfigError} If required configuration is missing
+ */
+function getConfig(platform) {
+  const adapter = requireAdapter(platform);
+
+  const config = {};
+  adapter.config.forEach((field, index) => {
+    const value = process.env[field.env];
+    if (value) {
+      config[field.name] = value;
+      return;
+    }
+    if (!field.required) {
+      return;
+    }
+
+    if (index === 0) {
+      throw new ConfigError(
+        `Missing environment variable: ${field.env}\n` +
+        `Please set it in your .env file or environment.\n` +
+        `Example: ${field.env}=your-webhook-key-or-token`
+      );
+    }
+    throw new ConfigError(
+      `Missing environment variable: ${field.env}\n` +
+      `This is required for ${platform} webhooks.`
+    );
+  });
+
+  return config;
+}
+
+/**
+ * Check if a platform is configured
+ * @param {string} platform - Platform name
+ * @returns {boolean} True if platform is configured
+ */
+function isConfigured(platform) {
+  try {
+    getConfig(platform);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get all configured platforms
+ * @returns {string[]} Array of configured platform names
+ */
+function getConfiguredPlatforms() {
+  return getPlatforms().filter(isConfigured);
+}
+
+// ============================================================================
+// Config Files and Channels
+// ============================================================================
+
+/**
+ * Project config file names, in order of precedence within a directory
+ */
+const CONFIG_FILES = ['webhook-push.config.js', 'webhook-push.config.json', '.webhookpushrc'];
+
+/**
+ * Channel source for platforms configured through environment variables
+ */
+const ENV_SOURCE = 'env';
+
+/**
+ * User-level config file, read after the project file
+ * @returns {string} Path to ~/.webhookpushrc
+ */
+function getUserConfigFile() {
+  return path.join(os.homedir(), '.webhookpushrc');
+}
+
+/**
+ * Find config files: the nearest project file, found by walking up from `cwd`
+ * (or the file named by WEBHOOK_PUSH_CONFIG), and the user-level file
+ * @param {string} [cwd] - Directory to start from (default: process.cwd())
+ * @returns {string[]} Existing config files, highest precedence first
+ */
+function findConfigFiles(cwd = process.cwd()) {
+  const files = [];
+
+  if (process.env.WEBHOOK_PUSH_CONFIG) {
+    files.push(path.resolve(cwd, process.env.WEBHOOK_PUSH_CONFIG));
+  } else {
+    for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+      const found = CONFIG_FILES
+        .map((name) => path.join(dir, name))
+        .find((file) => fs.existsSync(file));
+      if (found) {
+        files.push(found);
+        break;
+      }
+      if (path.dirname(dir) === dir) {
+        break;
+      }
+    }
+  }
+
+  const userFile = getUserConfigFile();
+  if (!files.includes(userFile) && fs.existsSync(userFile)) {
+    files.push(userFile);
+  }
+  return files;
+}
+
+/**
+ * Read a JSON or CommonJS config file
+ * @throws {ConfigError} If the file cannot be read or parsed
+ */
+function readConfigFile(file) {
+  try {
+    if (file.endsWith('.js')) {
+      delete require.cache[require.resolve(file)];
+      return require(file);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the config files
+ * 
+ * A config file defines named channels. Each channel names its platform, sets
+ * the adapter's config fields by name (e.g. `key` and `extra` for Telegram) and may set
+ * default push options such as `title`:
+ * 
+ * ```json
+ * {
+ *   "defaultChannel": "ci",
+ *   "channels": {
+ *     "ci": { "platform": "wecom", "key": "${WECOM_CI_KEY}" },
+ *     "oncall": { "platform": "slack", "key": "${SLACK_ONCALL_URL}", "title": "On-call" }
+ *   }
+ * }
+ * ```
+ * 
+ * `people` maps the names used in `options.mentions` to each platform's (or
+ * channel's) identity, e.g. `{ "alice": { "slack": "U024BE7LH", "wecom": "zhangsan" } }`.
+ * 
+ * `rateLimits` overrides the platforms' rate limits by channel or platform name, e.g.
+ * `{ "wecom": { "limit": 10, "interval": 60000 }, "ntfy": false }` (see limitRate()).
+ * 
+ * Project channels, people and rate limits replace user-level ones with the same name,
+ * and project `routes` (see resolveRoute()) replace user-level routes.
+ * 
+ * @param {string} [cwd] - Directory to start the lookup from (default: process.cwd())
+ * @returns {object} `{ files, defaultChannel, channels: { [name]: { platform, source, settings } },
+ *   routes, defaultRoute, people, rateLimits }`
+ * @throws {ConfigError} If a config file is invalid
+ */
+function loadConfig(cwd) {
+  const files = findConfigFiles(cwd);
+  const result = {
+    files,
+    defaultChannel: undefined,
+    channels: {},
+    routes: [],
+    defaultRoute: undefined,
+    people: {},
+    rateLimits: {},
+  };
+
+  // Lowest precedence first, so the project file wins
+  for (const file of [...files].reverse()) {
+    const data = readConfigFile(file) || {};
+    for (const [name, entry] of Object.entries(data.channels || {})) {
+      if (!entry || typeof entry.platform !== 'string') {
+        throw new ConfigError(`Channel "${name}" in ${file} must set "platform".`);
+      }
+      const { platform, ...settings } = entry;
+      result.channels[name] = { platform, source: file, settings };
+    }
+    if (data.defaultChannel) {
+      result.defaultChannel = data.defaultChannel;
+    }
+    if (data.routes) {
+      if (!Array.isArray(data.routes)) {
+        throw new ConfigError(`"routes" in ${file} must be an array.`);
+      }
+      data.routes.forEach((route, index) => {
+        if (!route || !route.to || (Array.isArray(route.to) && route.to.length === 0)) {
+          throw new ConfigError(`Route ${index + 1} in ${file} must set "to".`);
+        }
+      });
+      result.routes = data.routes;
+    }
+    if (data.defaultRoute) {
+      result.defaultRoute = data.defaultRoute;
+    }
+    for (const [name, identities] of Object.entries(data.people || {})) {
+      if (!identities || typeof identities !== 'object') {
+        throw new ConfigError(`Person "${name}" in ${file} must map platforms to identities.`);
+      }
+      result.people[name] = identities;
+    }
+    for (const [name, rateLimit] of Object.entries(data.rateLimits || {})) {
+      if (rateLimit !== false && !isRateLimit(rateLimit)) {
+        throw new ConfigError(
+          `Rate limit "${name}" in ${file} must be false or { "limit": n, "interval": ms } with positive numbers.`
+        );
+      }
+      result.rateLimits[name] = rateLimit;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Replace `${VAR}` references with environment variable values
+ * @param {*} value - Config value; strings, arrays and plain objects are resolved
+ * @param {string} channel - Channel name, used in the error message
+ * @returns {*} Resolved value
+ * @throws {ConfigError} If a referenced variable is not set
+ */
+function resolveEnvReferences(value, channel) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+      if (process.env[name] === undefined) {
+        throw new ConfigError(`Channel "${channel}" uses ${match}, but ${name} is not set.`);
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveEnvReferences(item, channel));
+  }
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveEnvReferences(item, channel);
+    }
+    return resolved;
+  }
+  return value;
+}
+
+/**
+ * List every channel: those from config files, plus an implicit channel named
+ * after each platform configured through environment variables
+ * @param {string} [cwd] - Directory to start the config lookup from
+ * @returns {object[]} `[{ name, platform, source, isDefault }]`; source is a file
+ *   path or "env"
+ */
+function getChannels(cwd) {
+  const { channels, defaultChannel } = loadConfig(cwd);
+  const list = Object.entries(channels).map(([name, channel]) => ({
+    name,
+    platform: channel.platform,
+    source: channel.source,
+  }));
+  for (const platform of getConfiguredPlatforms()) {
+    if (!channels[platform]) {
+      list.push({ name: platform, platform, source: ENV_SOURCE });
+    }
+  }
+  return list.map((channel) => ({ ...channel, isDefault: channel.name === defaultChannel }));
+}
+
+/**
+ * Resolve a channel into its platform, config and default options
+ * 
+ * Config fields a channel does not set fall back to the platform's environment
+ * variables, so a channel can e.g. reuse WEBHOOK_TELEGRAM_TOKEN with its own chat ID.
+ * A name without a config file entry resolves to the platform of the same name,
+ * configured through environment variables.
+ * 
+ * @param {string} name - Channel name
+ * @param {string} [cwd] - Directory to start the config lookup from
+ * @returns {object} `{ name, platform, source, config, options }`
+ * @throws {ConfigError} If the channel is unknown or incomplete
+ */
+function resolveChannel(name, cwd) {
+  const { channels } = loadConfig(cwd);
+  const channel = channels[name];
+
+  if (!channel) {
+    if (getAdapter(name)) {
+      return { name, platform: name, source: ENV_SOURCE, config: getConfig(name), options: {} };
+    }
+    const known = getChannels(cwd).map((item) => item.name);
+    throw new ConfigError(
+      `Unknown channel: ${name}\n` +
+      (known.length ? `Available channels: ${known.join(', ')}` : 'No channels are defined.')
+    );
+  }
+
+  const adapter = requireAdapter(channel.platform);
+  const fields = new Set(adapter.config.map((field) => field.name));
+  const config = {};
+  const options = {};
+  for (const [key, value] of Object.entries(resolveEnvReferences(channel.settings, name))) {
+    if (fields.has(key)) {
+      config[key] = Array.isArray(value) ? value.join(',') : String(value);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  for (const field of adapter.config) {
+    if (config[field.name] === undefined && process.env[field.env]) {
+      config[field.name] = process.env[field.env];
+    }
+    if (config[field.name] === undefined && field.required) {
+      throw new ConfigError(
+        `Channel "${name}" is missing "${field.name}" (${field.description || field.env}).\n` +
+        `Set it in ${channel.source} or set ${field.env}.`
+      );
+    }
+  }
+
+  return { name, platform: channel.platform, source: channel.source, config, options };
+}
+
+// ============================================================================
+// Routing
+// ============================================================================
+
+/**
+ * Turn a task pattern into a RegExp: "/regex/flags", or a case-insensitive glob
+ * where `*` matches any text and `?` a single character
+ * @param {string} pattern - Task pattern from a route
+ * @returns {RegExp} Compiled pattern
+ */
+function toTaskPattern(pattern) {
+  const regex = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]);
+  }
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Describe a route's conditions, e.g. "status=failed, task=Deploy*"
+ */
+function describeRoute(route) {
+  const conditions = [];
+  if (route.status !== undefined) {
+    conditions.push(`status=${[].concat(route.status).join('|')}`);
+  }
+  if (route.task !== undefined) {
+    conditions.push(`task=${route.task}`);
+  }
+  if (route.tags !== undefined) {
+    conditions.push(`tags=${[].concat(route.tags).join('+')}`);
+  }
+  if (route.severity !== undefined) {
+    conditions.push(`severity>=${route.severity}`);
+  }
+  return conditions.length ? conditions.join(', ') : 'always';
+}
+
+/**
+ * Check a route's conditions against a message; every given condition must hold
+ * @param {object} route - Route from the config file
+ * @param {object} message - `{ status, task, tags, severity }`
+ * @returns {boolean} True if the route matches
+ */
+function matchRoute(route, message) {
+  if (route.status !== undefined && ![].concat(route.status).includes(message.status)) {
+    return false;
+  }
+  if (route.task !== undefined && !(message.task && toTaskPattern(route.task).test(message.task))) {
+    return false;
+  }
+  if (route.tags !== undefined && ![].concat(route.tags).every((tag) => message.tags.includes(tag))) {
+    return false;
+  }
+  if (route.severity !== undefined && message.severity < Number(route.severity)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Work out which channels a message is routed to
+ * 
+ * Routes are checked in order and the first match wins, unless it sets
+ * `continue: true`, in which case later routes can add more targets. Without a
+ * match the message goes to `defaultRoute`, then `defaultChannel`.
+ * 
+ * ```json
+ * {
+ *   "routes": [
+ *     { "name": "failures", "status": "failed", "to": ["oncall", "team"] },
+ *     { "task": "Release*", "tags": ["prod"], "to": "releases" }
+ *   ],
+ *   "defaultRoute": "team"
+ * }
+ * ```
+ * 
+ * @param {object} [options] - Push options: `status`, `task`, `tags` and `priority`
+ *   (severity is the message priority, see getPriority())
+ * @param {string} [cwd] - Directory to start the config lookup from
+ * @returns {object} `{ message, rules, targets, source }` where each rule is
+ *   `{ index, name, conditions, to, result }` (result: "matched", "no match" or
+ *   "not evaluated"), and source is "route", "defaultRoute", "defaultChannel",
+ *   or null when nothing applies
+ */
+function resolveRoute(options = {}, cwd) {
+  const { routes, defaultRoute, defaultChannel } = loadConfig(cwd);
+  const message = {
+    status: options.status,
+    task: options.task,
+    tags: [].concat(options.tags || []),
+    severity: getPriority(options),
+  };
+
+  const rules = routes.map((route, index) => ({
+    index,
+    name: route.name,
+    conditions: describeRoute(route),
+    to: [].concat(route.to),
+    result: 'not evaluated',
+  }));
+
+  const targets = [];
+  for (const rule of rules) {
+    const route = routes[rule.index];
+    rule.result = matchRoute(route, message) ? 'matched' : 'no match';
+    if (rule.result === 'matched') {
+      targets.push(...rule.to);
+      if (!route.continue) {
+        break;
+      }
+    }
+  }
+
+  let source = targets.length ? 'route' : null;
+  if (!source && defaultRoute) {
+    targets.push(...[].concat(defaultRoute));
+    source = 'defaultRoute';
+  } else if (!source && defaultChannel) {
+    targets.push(defaultChannel);
+    source = 'defaultChannel';
+  }
+
+  return { message, rules, targets: [...new Set(targets)], source };
+}
+
+/**
+ * Pick the channels for push options: `options.channel`, else (when no platform
+ * was requested) the routing rules and default channel
+ * @param {object} options - Push options
+ * @returns {string[]|undefined} Channel names, or undefined to use `options.platform`
+ */
+function selectChannels(options) {
+  if (options.channel) {
+    return [options.channel];
+  }
+  if (options.platform) {
+    return undefined;
+  }
+  const { targets } = resolveRoute(options);
+  return targets.length ? targets : undefined;
+}
+
+// ============================================================================
+// Mentions
+// ============================================================================
+
+/**
+ * Check whether an identity is a phone number, which WeCom and DingTalk
+ * mention differently from user IDs
+ */
+function isPhoneNumber(id) {
+  return /^\+?\d{6,15}$/.test(id);
+}
+
+/**
+ * Resolve the people to mention on a platform
+ * 
+ * `options.mentions` holds logical names, looked up in the config file's
+ * `people` map: a person's identity for the channel name wins over the one for
+ * the platform name. Names without an identity are kept as plain "@name" text.
+ * 
+ * @param {string} platform - Platform name
+ * @param {object} options - Push options with `mentions`, `mentionAll` and `channel`
+ * @returns {object|null} `{ all, users: [{ name, id }], unresolved: [name] }`,
+ *   or null when nobody is mentioned
+ */
+function resolveMentions(platform, options) {
+  const names = [].concat(options.mentions || []);
+  if (names.length === 0 && !options.mentionAll) {
+    return null;
+  }
+
+  const { people } = loadConfig();
+  const mentions = { all: Boolean(options.mentionAll), users: [], unresolved: [] };
+  for (const name of new Set(names)) {
+    const person = Object.prototype.hasOwnProperty.call(people, name) ? people[name] : {};
+    const id = (options.channel && person[options.channel]) || person[platform];
+    if (id) {
+      mentions.users.push({ name, id: String(id) });
+    } else {
+      mentions.unresolved.push(name);
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Join mentions into one line of platform syntax
+ * @param {object} mentions - Resolved mentions, see resolveMentions()
+ * @param {object} syntax - `user(user)` for a resolved person, `all` for
+ *   everyone (omitted if unset), `plain(name)` for unresolved names (default: "@name")
+ * @returns {string} Mention line, empty if nothing can be mentioned
+ */
+function mentionText(mentions, syntax) {
+  const plain = syntax.plain || ((name) => `@${name}`);
+  return [
+    ...(mentions.all && syntax.all ? [syntax.all] : []),
+    ...mentions.users.map(syntax.user),
+    ...mentions.unresolved.map(plain),
+  ].join(' ');
+}
+
+/**
+ * Add mentions to a formatted payload, for adapters that support them
+ * @param {string} platform - Platform name
+ * @param {object} payload - Formatted payload
+ * @param {object} options - Push options
+ * @param {string} content - The message as standard markdown
+ * @returns {object} Payload with mentions
+ */
+function applyMentions(platform, payload, options, content) {
+  const adapter = requireAdapter(platform);
+  const mentions = adapter.mention ? resolveMentions(platform, options) : null;
+  return mentions ? adapter.mention(payload, mentions, content) : payload;
+}
+
+// ============================================================================
+// Rate Limiting
+// ============================================================================
+
+/**
+ * What to do with a message when its target is over its rate limit:
+ * wait for it (queue), skip it (drop), or send only the newest of the waiting
+ * messages (coalesce-latest)
+ */
+const RATE_LIMIT_POLICIES = ['queue', 'drop', 'coalesce-latest'];
+
+/**
+ * Locks older than this were left behind by a crashed process (ms)
+ */
+const STALE_LOCK_AGE = 10000;
+
+/**
+ * Longest wait for a lock before giving up (ms); long enough to take over a
+ * stale one
+ */
+const LOCK_TIMEOUT = 15000;
+
+/**
+ * Buckets not used for this long are removed from the state (ms)
+ */
+const BUCKET_EXPIRY = 24 * 60 * 60 * 1000;
+
+/**
+ * Token buckets of this process, used without a shared state file or when it
+ * can't be used
+ */
+const memoryBuckets = {};
+
+/**
+ * Rate limit state files already reported as unusable
+ */
+const unusableRateFiles = new Set();
+
+/**
+ * Per-target queues, so queued messages from this process keep their order
+ */
+const rateQueues = new Map();
+
+/**
+ * Check for a `{ limit, interval }` rate limit
+ */
+function isRateLimit(value) {
+  return Boolean(value) && [value.limit, value.interval].every((number) => typeof number === 'number' && number > 0);
+}
+
+/**
+ * Find a target's rate limit: `options.rateLimit`, then the config file's
+ * `rateLimits` by channel name and by platform, then the adapter's default
+ * @param {string} platform - Platform name
+ * @param {object} options - Push options
+ * @returns {object|null} `{ limit, interval }`, or null for no limit
+ */
+function getRateLimit(platform, options) {
+  if (options.rateLimit !== undefined) {
+    return options.rateLimit || null;
+  }
+  const { rateLimits } = loadConfig();
+  for (const name of [options.channel, platform]) {
+    if (name && Object.prototype.hasOwnProperty.call(rateLimits, name)) {
+      return rateLimits[name] || null;
+    }
+  }
+  return requireAdapter(platform).rateLimit || null;
+}
+
+/**
+ * Run a function while holding a lock file, for state shared between processes
+ * @param {string} lock - Lock file path
+ * @param {function(): *} fn - Runs with the lock held
+ * @returns {Promise<*>} The value returned by `fn`
+ * @throws {Error} If the lock can't be taken within LOCK_TIMEOUT, or a stale
+ *   lock can't be removed (e.g. another user's, in a shared directory)
+ */
+async function withFileLock(lock, fn) {
+  const deadline = Date.now() + LOCK_TIMEOUT;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lock, 'wx'));
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      try {
+        if (Date.now() - fs.statSync(lock).mtimeMs > STALE_LOCK_AGE) {
+          fs.unlinkSync(lock);
+        }
+      } catch (e) {
+        // ENOENT: released in the meantime
+        if (e.code !== 'ENOENT') {
+          throw new Error(`Cannot remove stale lock ${lock}: ${e.message}`);
+        }
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock ${lock}`);
+      }
+      await sleep(5 + Math.random() * 20);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try {
+      fs.unlinkSync(lock);
+    } catch (e) {
+      // ENOENT: removed as stale by another process
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    }
+  }
+}
+
+/**
+ * Read and update a JSON state file shared between processes, under a lock
+ * 
+ * State may hold platform configs, secrets included, so the file is only
+ * readable by the current user, and a missing directory is created only
+ * accessible to them.
+ * 
+ * @param {string} file - State file
+ * @param {function(object): *} update - (state) => value; changes to `state` are saved
+ * @returns {Promise<*>} The value returned by `update`
+ */
+async function withStateFile(file, update) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  return withFileLock(`${file}.lock`, () => {
+    let state = {};
+    try {
+      state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      // No state yet, or unreadable state: start over
+    }
+    const result = update(state);
+    fs.writeFileSync(file, JSON.stringify(state), { mode: 0o600 });
+    return result;
+  });
+}
+
+/**
+ * Read and update the token buckets, under a lock when they are shared through a file
+ * 
+ * A state file that can't be used, e.g. one owned by another user, must not hold
+ * up delivery: the limit then applies within this process only, with a warning.
+ * 
+ * @param {string} [file] - State file shared between processes (default: this process only)
+ * @param {function(object): *} update - (buckets) => value; changes to `buckets` are saved
+ * @returns {Promise<*>} The value returned by `update`
+ */
+async function withRateState(file, update) {
+  if (!file || unusableRateFiles.has(file)) {
+    return update(memoryBuckets);
+  }
+
+  try {
+    return await withStateFile(file, (buckets) => {
+      const result = update(buckets);
+      for (const [key, bucket] of Object.entries(buckets)) {
+        if (Date.now() - bucket.updated > BUCKET_EXPIRY) {
+          delete buckets[key];
+        }
+      }
+      return result;
+    });
+  } catch (error) {
+    unusableRateFiles.add(file);
+    process.emitWarning(`Rate limit state ${file} is unusable, limiting this process only: ${error.message}`);
+    return update(memoryBuckets);
+  }
+}
+
+/**
+ * Identify a target by platform and webhook URL, without revealing the URL
+ * @param {string} platform - Platform name
+ * @param {object} config - Platform config
+ * @returns {string} e.g. "wecom:1f2e3d4c5b6a7980"
+ */
+function targetKey(platform, config) {
+  const target = crypto.createHash('sha256').update(requireAdapter(platform).buildUrl(config)).digest('hex');
+  return `${platform}:${target.slice(0, 16)}`;
+}
+
+/**
+ * Take a token from a target's bucket, waiting for one unless the policy says otherwise
+ * @param {string} key - Bucket key
+ * @param {object} rateLimit - `{ limit, interval }`: `limit` messages per `interval` ms,
+ *   with bursts of up to `limit`
+ * @param {string} policy - See RATE_LIMIT_POLICIES
+ * @param {string} [file] - Shared state file (see withRateState())
+ * @returns {Promise<object>} `{}` once a token is taken, or `{ dropped: true }` or
+ *   `{ coalesced: true }` when the message should not be sent
+ */
+async function takeToken(key, rateLimit, policy, file) {
+  const ticket = crypto.randomBytes(8).toString('hex');
+  for (let attempt = 0; ; attempt++) {
+    const outcome = await withRateState(file, (buckets) => {
+      const now = Date.now();
+      const bucket = buckets[key] || { tokens: rateLimit.limit, updated: now };
+      const refill = ((now - bucket.updated) * rateLimit.limit) / rateLimit.interval;
+      bucket.tokens = Math.min(rateLimit.limit, bucket.tokens + refill);
+      bucket.updated = now;
+      buckets[key] = bucket;
+
+      // The newest waiting message claims the next token; older ones give up
+      if (policy === 'coalesce-latest') {
+        if (attempt === 0) {
+          bucket.latest = ticket;
+        } else if (bucket.latest !== ticket) {
+          return { coalesced: true };
+        }
+      }
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        if (bucket.latest === ticket) {
+          delete bucket.latest;
+        }
+        return {};
+      }
+      return { wait: Math.ceil(((1 - bucket.tokens) * rateLimit.interval) / rateLimit.limit) };
+    });
+
+    if (outcome.wait === undefined) {
+      return outcome;
+    }
+    if (policy === 'drop') {
+      return { dropped: true };
+    }
+    await sleep(outcome.wait);
+  }
+}
+
+/**
+ * Send a message within the target's rate limit
+ * 
+ * Each target (platform and webhook URL) has a token bucket matching the platform's
+ * documented limit, e.g. 20 messages per minute for a WeCom bot. With a state file,
+ * the buckets are shared by every process using it, such as separate CLI runs.
+ * 
+ * Every request takes a token. The policy decides about the message's first one;
+ * further requests for the same message, such as split parts and uploads, wait for
+ * theirs (see takeRequestToken()), so a message is never cut short.
+ * 
+ * @param {string} platform - Platform name
+ * @param {object} options - Push options
+ * @param {string} [options.onRateLimit] - Policy when over the limit (default: queue)
+ * @param {object|boolean} [options.rateLimit] - `{ limit, interval }` override, or
+ *   false to disable the limit
+ * @param {string} [options.rateLimitFile] - State file shared between processes
+ *   (default: WEBHOOK_PUSH_RATE_FILE, else this process only)
+ * @param {object} config - Platform config
+ * @param {function(object): Promise<object>} send - Sends the message with the
+ *   given options, which carry the message's `rateGate` for its requests
+ * @returns {Promise<object>} The send result, or `{ ok: true, platform, dropped: true }`
+ *   or `{ ok: true, platform, coalesced: true }` when the message was not sent
+ * @throws {Error} If the policy or rate limit is invalid
+ */
+async function limitRate(platform, options, config, send) {
+  const policy = options.onRateLimit || 'queue';
+  if (!RATE_LIMIT_POLICIES.includes(policy)) {
+    throw new Error(`Invalid rate limit policy "${policy}". Use ${RATE_LIMIT_POLICIES.join(', ')}.`);
+  }
+  const rateLimit = getRateLimit(platform, options);
+  if (!rateLimit) {
+    return send({ ...options, rateGate: undefined });
+  }
+  if (!isRateLimit(rateLimit)) {
+    throw new Error('rateLimit must be false or { limit, interval } with positive numbers.');
+  }
+
+  const key = targetKey(platform, config);
+  const file = options.rateLimitFile || process.env.WEBHOOK_PUSH_RATE_FILE;
+  const take = () => takeToken(key, rateLimit, policy, file);
+
+  let outcome;
+  if (policy === 'queue') {
+    const turn = (rateQueues.get(key) || Promise.resolve()).then(take);
+    rateQueues.set(key, turn.catch(() => {}));
+    outcome = await turn;
+  } else {
+    outcome = await take();
+  }
+
+  if (outcome.dropped || outcome.coalesced) {
+    return { ok: true, platform, ...outcome };
+  }
+  const rateGate = { prepaid: true, take: () => takeToken(key, rateLimit, 'queue', file) };
+  return send({ ...options, rateGate });
+}
+
+/**
+ * Take a token for one request of a message sent through limitRate(); the
+ * first request uses the token the message already took
+ * @param {object} options - Push options, with the `rateGate` from limitRate()
+ * @returns {Promise<void>} Once the request may be made
+ */
+async function takeRequestToken(options) {
+  const gate = options.rateGate;
+  if (!gate) {
+    return;
+  }
+  if (gate.prepaid) {
+    gate.prepaid = false;
+    return;
+  }
+  await gate.take();
+}
+
+// ============================================================================
+// Deduplication
+// ============================================================================
+
+/**
+ * How long repeats of a message are suppressed by default (ms)
+ */
+const DEDUP_WINDOW = 5 * 60 * 1000;
+
+/**
+ * Messages sent by this process, by target and dedup key
+ */
+const memoryDedup = {};
+
+/**
+ * Whether repeat counts are reported when the process is about to exit
+ */
+let dedupExitHook = false;
+
+/**
+ * Resolve the dedup window
+ * @param {object} options - Push options with `dedupKey` and `dedupWindow`
+ * @returns {number|null} Window in ms, or null when deduplication is off
+ * @throws {Error} If the window is not a positive number
+ */
+function getDedupWindow(options) {
+  if (options.dedupWindow === undefined) {
+    return options.dedupKey ? DEDUP_WINDOW : null;
+  }
+  if (typeof options.dedupWindow !== 'number' || !(options.dedupWindow > 0)) {
+    throw new Error('dedupWindow must be a window in ms.');
+  }
+  return options.dedupWindow;
+}
+
+/**
+ * Read and update the sent messages, under a lock when they are shared through a file
+ * @param {string} [file] - State file shared between processes (default: this process only)
+ * @param {function(object): *} update - (sent) => value; changes to `sent` are saved
+ * @returns {Promise<*>} The value returned by `update`
+ */
+async function withDedupState(file, update) {
+  return file ? withStateFile(file, update) : update(memoryDedup);
+}
+
+/**
+ * Remove messages whose window has closed
+ * @param {object} sent - Dedup state
+ * @param {number} [now] - Close every window that ends before this time
+ * @returns {object[]} Removed messages with suppressed repeats, to report
+ */
+function closeWindows(sent, now = Date.now()) {
+  const closed = [];
+  for (const [key, entry] of Object.entries(sent)) {
+    if (entry.until <= now) {
+      delete sent[key];
+      if (entry.repeats > 0) {
+        closed.push(entry);
+      }
+    }
+  }
+  return closed;
+}
+
+/**
+ * Send the "repeated N times" follow-ups for closed windows; failures become
+ * process warnings, as the messages they follow up on were already sent
+ * @param {object[]} closed - Messages from closeWindows()
+ * @returns {Promise<void>}
+ */
+async function sendFollowUps(closed) {
+  for (const entry of closed) {
+    const times = entry.repeats === 1 ? 'time' : 'times';
+    const content = `🔁 Repeated ${entry.repeats} more ${times} in ${formatDuration(entry.last - entry.since)}: ${entry.label}`;
+    const options = { ...entry.options, platform: entry.platform, channel: entry.channel };
+    try {
+      await limitRate(entry.platform, options, entry.config, (limited) =>
+        sendToPlatform(entry.platform, content, limited, entry.config));
+    } catch (error) {
+      process.emitWarning(`Repeat count for "${entry.label}" could not be sent: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Report repeats of messages sent by this process once their window has closed,
+ * and the repeats so far when the process is about to exit
+ */
+function scheduleFollowUp(window) {
+  if (!dedupExitHook) {
+    dedupExitHook = true;
+    process.on('beforeExit', () => {
+      const closed = closeWindows(memoryDedup, Infinity);
+      if (closed.length > 0) {
+        sendFollowUps(closed);
+      }
+    });
+  }
+  setTimeout(() => sendFollowUps(closeWindows(memoryDedup)), window).unref();
+}
+
+/**
+ * Send a message unless the same message went to the same target within the
+ * dedup window
+ * 
+ * Messages are identified by `dedupKey`, or by a hash of their content, per
+ * target (platform and webhook URL). The first one is sent and repeats within the
+ * window are suppressed; when the window closes, a follow-up says how many times
+ * it was repeated. With a state file, processes using it (such as separate CLI
+ * runs) share their windows, and the first message after a window closed sends
+ * its follow-up. A message that fails to send does not open a window, so retries
+ * go through.
+ * 
+ * @param {string} platform - Platform name
+ * @param {object} options - Push options
+ * @param {string} [options.dedupKey] - Identifies repeats instead of the content
+ * @param {number} [options.dedupWindow] - Window in ms (default: 300000 with a
+ *   `dedupKey`, otherwise deduplication is off)
+ * @param {string} [options.dedupFile] - State file shared between processes
+ *   (default: WEBHOOK_PUSH_DEDUP_FILE, else this process only)
+ * @param {object} config - Platform config
+ * @param {object} identity - `{ fingerprint, label }`: the message content to hash,
+ *   and how the follow-up names it
+ * @param {function(): Promise<object>} send - Sends the message
+ * @returns {Promise<object>} The send result, or `{ ok: true, platform, duplicate: true,
+ *   repeats }` when the message was suppressed
+ */
+async function suppressDuplicates(platform, options, config, identity, send) {
+  const window = getDedupWindow(options);
+  if (!window) {
+    return send();
+  }
+
+  const file = options.dedupFile || process.env.WEBHOOK_PUSH_DEDUP_FILE;
+  const id = options.dedupKey || crypto.createHash('sha256').update(identity.fingerprint).digest('hex').slice(0, 16);
+  const key = `${targetKey(platform, config)}:${id}`;
+  const now = Date.now();
+  const { attachments, mentions, mentionAll, dedupKey, ...followUpOptions } = options;
+
+  const { closed, repeats } = await withDedupState(file, (sent) => {
+    const expired = closeWindows(sent, now);
+    const entry = sent[key];
+    if (entry) {
+      entry.repeats++;
+      entry.last = now;
+      return { closed: expired, repeats: entry.repeats };
+    }
+    sent[key] = {
+      platform,
+      channel: options.channel,
+      config,
+      options: followUpOptions,
+      label: identity.label.length > 80 ? `${identity.label.slice(0, 79)}…` : identity.label,
+      since: now,
+      last: now,
+      until: now + window,
+      repeats: 0,
+    };
+    return { closed: expired };
+  });
+  if (!file && !repeats) {
+    scheduleFollowUp(window);
+  }
+  await sendFollowUps(closed);
+
+  if (repeats) {
+    return { ok: true, platform, duplicate: true, repeats };
+  }
+  try {
+    return await send();
+  } catch (error) {
+    await withDedupState(file, (sent) => {
+      if (sent[key] && sent[key].since === now) {
+        delete sent[key];
+      }
+    });
+    throw error;
+  }
+}
+
+// ============================================================================
+// Outbox
+// ============================================================================
+
+/**
+ * How long failed deliveries are kept for replay (ms)
+ */
+const OUTBOX_EXPIRY = 24 * 60 * 60 * 1000;
+
+/**
+ * Entries being sent for longer than this were left behind by a crashed process (ms)
+ */
+const OUTBOX_CLAIM_AGE = 10 * 60 * 1000;
+
+/**
+ * Time in the last entry ID this process saved, so its entries sort in the order
+ * they were saved even within one millisecond
+ */
+let lastOutboxTime = 0;
+
+/**
+ * Find the outbox directory
+ * @param {object} options - Push options
+ * @param {string|boolean} [options.outbox] - Directory, true for the default one
+ *   (WEBHOOK_PUSH_OUTBOX, else ~/.webhook-push/outbox), or false to disable it
+ *   (default: enabled when WEBHOOK_PUSH_OUTBOX is set)
+ * @returns {string|null} Directory, or null when the outbox is disabled
+ */
+function getOutboxDir(options) {
+  const setting = options.outbox !== undefined ? options.outbox : process.env.WEBHOOK_PUSH_OUTBOX;
+  if (!setting) {
+    return null;
+  }
+  if (setting === true) {
+    return process.env.WEBHOOK_PUSH_OUTBOX
+      ? path.resolve(process.env.WEBHOOK_PUSH_OUTBOX)
+      : path.join(os.homedir(), '.webhook-push', 'outbox');
+  }
+  return path.resolve(setting);
+}
+
+/**
+ * Save a failed delivery, with everything needed to send it again
+ * 
+ * Entries hold the platform config, secrets included, so the directory and
+ * files are only readable by the current user.
+ * 
+ * @param {string} dir - Outbox directory
+ * @param {object} delivery - `{ platform, payload, options, config, error }`
+ * @returns {string} Entry ID, sorting after the IDs saved before it
+ */
+function saveToOutbox(dir, delivery) {
+  const { platform, payload, options, config, error } = delivery;
+  const now = Date.now();
+  lastOutboxTime = Math.max(now, lastOutboxTime + 1);
+  const id = `${lastOutboxTime}-${crypto.randomBytes(4).toString('hex')}`;
+  const request = {};
+  for (const key of Object.keys(REQUEST_DEFAULTS)) {
+    if (options[key] !== undefined) {
+      request[key] = options[key];
+    }
+  }
+
+  const entry = {
+    id,
+    platform,
+    channel: options.channel,
+    config,
+    payload,
+    options: request,
+    createdAt: now,
+    expiresAt: now + (options.outboxExpiry || OUTBOX_EXPIRY),
+    attempts: error.attempts || 1,
+    lastError: error.message,
+  };
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  writeOutboxEntry(dir, entry);
+  return id;
+}
+
+/**
+ * Write an entry atomically, so readers never see a partial file
+ */
+function writeOutboxEntry(dir, entry) {
+  const file = path.join(dir, `${entry.id}.json`);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry), { mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Read the outbox entries, oldest first
+ * @param {string} dir - Outbox directory
+ * @returns {object[]} Entries, with `file` set to their path
+ */
+function readOutbox(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  // Entries claimed by a process that never finished are returned to the queue
+  for (const name of names.filter((item) => item.endsWith('.sending'))) {
+    const file = path.join(dir, name);
+    try {
+      if (Date.now() - fs.statSync(file).mtimeMs > OUTBOX_CLAIM_AGE) {
+        fs.renameSync(file, file.replace(/\.json\.\d+\.sending$/, '.json'));
+      }
+    } catch (e) {
+      // Finished in the meantime
+    }
+  }
+
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith('.json'))
+    .sort()
+    .map((name) => {
+      const file = path.join(dir, name);
+      try {
+        return { ...JSON.parse(fs.readFileSync(file, 'utf8')), file };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * List the deliveries waiting in the outbox
+ * @param {object} [options] - `{ outbox }`, see getOutboxDir() (default: the default directory)
+ * @returns {object[]} Entries, oldest first: `{ id, platform, channel, createdAt,
+ *   expiresAt, attempts, lastError }`
+ */
+function listOutbox(options = {}) {
+  const dir = getOutboxDir({ outbox: options.outbox || true });
+  return readOutbox(dir).map(({ id, platform, channel, createdAt, expiresAt, attempts, lastError }) =>
+    ({ id, platform, channel, createdAt, expiresAt, attempts, lastError }));
+}
+
+/**
+ * Send the deliveries waiting in the outbox again
+ * 
+ * Entries are sent oldest first, within their target's rate limit. Sent entries
+ * and entries that fail permanently (e.g. a revoked webhook) are removed, entries
+ * that fail again stay for the next flush, and expired entries are dropped. Once
+ * an entry fails again, later entries for its target wait for the next flush too,
+ * so the parts of a split message keep their order. Entries for platforms this
+ * process doesn't know (e.g. a custom adapter that isn't loaded) fail and stay.
+ * Entries are claimed while they are sent, so concurrent flushes never send one
+ * twice.
+ * 
+ * @param {object} [options] - `{ outbox }`, see getOutboxDir() (default: the default directory)
+ * @returns {Promise<object>} `{ sent, failed, expired, remaining }`: IDs of sent and
+ *   expired entries, `{ id, error }` for failures, and the number of entries left
+ * 
+ * @example
+ * // Retry in the background of a long-running process
+ * setInterval(() => flushOutbox().catch(console.error), 60000).unref();
+ */
+async function flushOutbox(options = {}) {
+  const dir = getOutboxDir({ outbox: options.outbox || true });
+  const summary = { sent: [], failed: [], expired: [], remaining: 0 };
+  // After a failure, a target's later entries wait too, so they arrive in order
+  const blocked = new Set();
+
+  for (const entry of readOutbox(dir)) {
+    const claimed = `${entry.file}.${process.pid}.sending`;
+    try {
+      fs.renameSync(entry.file, claimed);
+    } catch (e) {
+      continue; // Claimed by another flush
+    }
+
+    const { file, ...stored } = entry;
+    if (Date.now() > entry.expiresAt) {
+      fs.unlinkSync(claimed);
+      summary.expired.push(entry.id);
+      continue;
+    }
+    let target;
+    try {
+      target = targetKey(entry.platform, entry.config);
+    } catch (error) {
+      // Kept for a flush that has the platform's adapter
+      fs.renameSync(claimed, entry.file);
+      summary.failed.push({ id: entry.id, error });
+      summary.remaining++;
+      continue;
+    }
+    if (blocked.has(target)) {
+      fs.renameSync(claimed, entry.file);
+      summary.remaining++;
+      continue;
+    }
+
+    const sendOptions = { ...entry.options, channel: entry.channel };
+    try {
+      await limitRate(entry.platform, sendOptions, entry.config, (limited) =>
+        deliverOnce(entry.platform, entry.payload, limited, entry.config));
+      fs.unlinkSync(claimed);
+      summary.sent.push(entry.id);
+    } catch (error) {
+      summary.failed.push({ id: entry.id, error });
+      if (error.retryable) {
+        writeOutboxEntry(dir, { ...stored, attempts: stored.attempts + (error.attempts || 1), lastError: error.message });
+        summary.remaining++;
+        blocked.add(target);
+      }
+      fs.unlinkSync(claimed);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Remove deliveries from the outbox
+ * @param {object} [options] - `{ outbox }`, see getOutboxDir() (default: the default directory)
+ * @param {boolean} [options.expired] - Only remove expired entries
+ * @returns {number} Number of entries removed
+ */
+function purgeOutbox(options = {}) {
+  const dir = getOutboxDir({ outbox: options.outbox || true });
+  let removed = 0;
+  for (const entry of readOutbox(dir)) {
+    if (options.expired && Date.now() <= entry.expiresAt) {
+      continue;
+    }
+    try {
+      fs.unlinkSync(entry.file);
+      removed++;
+    } catch (e) {
+      // Being sent by a flush
+    }
+  }
+  return removed;
+}
+
+// ============================================================================
+// Dry Run
+// ============================================================================
+
+/**
+ * Config fields treated as secret unless they set `secret` themselves
+ */
+const SECRET_FIELD_PATTERN = /key|token|secret|pass|url/i;
+
+/**
+ * Terminal styles for previews: [start, end] escape sequences
+ */
+const ANSI_STYLES = {
+  bold: ['\x1b[1m', '\x1b[22m'],
+  dim: ['\x1b[2m', '\x1b[22m'],
+  italic: ['\x1b[3m', '\x1b[23m'],
+  underline: ['\x1b[4m', '\x1b[24m'],
+  strike: ['\x1b[9m', '\x1b[29m'],
+  cyan: ['\x1b[36m', '\x1b[39m'],
+};
+
+/**
+ * Check whether a platform config field holds a secret
+ * @param {object} field - Adapter config field
+ * @returns {boolean} The field's `secret` flag, or whether its name suggests a secret
+ */
+function isSecretField(field) {
+  return field.secret !== undefined ? field.secret : SECRET_FIELD_PATTERN.test(field.name);
+}
+
+/**
+ * Build a function that hides a platform's secrets, e.g. in webhook URLs and headers
+ * @param {string} platform - Platform name
+ * @param {object} config - Platform config
+ * @param {boolean} [exact] - Only hide strings that are a secret, not ones containing it
+ * @returns {function(string): string} Replaces secret values with "***"; secrets that
+ *   are URLs keep their origin
+ */
+function createRedactor(platform, config, exact = false) {
+  const secrets = requireAdapter(platform).config
+    .filter(isSecretField)
+    .map((field) => config[field.name])
+    .filter((value) => typeof value === 'string' && value.length > 0)
+    .sort((a, b) => b.length - a.length);
+
+  return (text) => secrets.reduce((redacted, secret) => {
+    let replacement = '***';
+    if (/^https?:\/\//.test(secret)) {
+      replacement = `${new URL(secret).origin}/***`;
+    }
+    if (exact) {
+      return redacted === secret ? replacement : redacted;
+    }
+    return redacted.split(secret).join(replacement);
+  }, text);
+}
+
+/**
+ * Describe the request a delivery would make, with secrets redacted
+ * @param {string} platform - Platform name
+ * @param {object} request - `{ url, headers, payload, method }` after signing; method
+ *   defaults to POST, and a Buffer payload (e.g. an upload) is described by its size
+ * @param {object} config - Platform config
+ * @returns {object} Dry-run result: `{ ok: true, platform, dryRun: true, request }`, where
+ *   request is `{ method, url, headers, payload, size }` and size is the body in bytes
+ */
+function previewRequest(platform, request, config) {
+  const adapter = requireAdapter(platform);
+  const redact = createRedactor(platform, config);
+  // The payload holds the message, so only values that are a secret are hidden there
+  const redactExact = createRedactor(platform, config, true);
+  // Only string values are redacted, so the payload keeps its shape
+  const redactValues = (value, redactString) => {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => redactValues(item, redactString));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValues(item, redactString)]));
+    }
+    return value;
+  };
+  // Non-HTTP transports (e.g. SMTP) get the payload as is, unless it is an
+  // HTTP request from createSender()
+  const transport = adapter.send && !request.method;
+  const headers = transport ? request.headers : { 'Content-Type': 'application/json', ...request.headers };
+  const { payload } = request;
+  let body = payload === undefined ? '' : JSON.stringify(payload);
+  let shown = payload === undefined ? undefined : redactValues(JSON.parse(body), redactExact);
+  if (Buffer.isBuffer(payload)) {
+    body = payload;
+    shown = `<${payload.length} bytes>`;
+  }
+  return {
+    ok: true,
+    platform,
+    dryRun: true,
+    request: {
+      method: transport ? undefined : request.method || 'POST',
+      url: redact(request.url),
+      headers: redactValues(headers, redact),
+      payload: shown,
+      size: Buffer.byteLength(body),
+    },
+  };
+}
+
+/**
+ * Check whether content is over a platform's size limit once rendered
+ * @param {object} adapter - Platform adapter
+ * @param {string} markdown - Standard markdown
+ * @param {function(string): string} render - Renders the markdown for the platform
+ * @param {object} options - Push options
+ * @returns {boolean} True if the content is truncated or split
+ */
+function isOverLimit(adapter, markdown, render, options) {
+  const limit = getLimit(adapter, options);
+  return Boolean(limit) && measureText(render(markdown), limit.unit) > limit.size;
+}
+
+/**
+ * Terminal version of a platform's markdown dialect: formatting the platform
+ * shows is styled, formatting it drops is left out
+ * @param {object} base - Platform dialect, see MARKDOWN_DIALECTS
+ * @param {boolean} color - Use terminal styles
+ * @returns {object} Dialect
+ */
+function terminalDialect(base, color) {
+  const style = (name, text) => (color ? `${ANSI_STYLES[name][0]}${text}${ANSI_STYLES[name][1]}` : text);
+  const shown = (rule) => base[rule]('x') !== 'x';
+  return {
+    ...MARKDOWN_DIALECTS.text,
+    strong: (text) => (shown('strong') ? style('bold', text) : text),
+    em: (text) => (shown('em') ? style('italic', text) : text),
+    del: (text) => (shown('del') ? style('strike', text) : text),
+    code: (text) => (shown('code') ? style('cyan', text) : text),
+    link: (label, url) => (label === url ? style('underline', url) : `${style('underline', label)} ${style('dim', `(${url})`)}`),
+    heading: (text) => style('bold', text),
+    codeBlock: (text) => style('cyan', text),
+  };
+}
+
+/**
+ * Render a dry-run result as an approximate terminal preview of the message
+ * 
+ * The preview shows the title and the message with the formatting the platform
+ * supports (e.g. no italics on WeCom), and notes about size limits and attachments.
+ * It doesn't reproduce layouts such as cards or embeds.
+ * 
+ * @param {object} result - Single-target result of a push with `dryRun`
+ * @param {object} [options] - `{ color }` to use terminal styles (default: false)
+ * @returns {string} Preview
+ */
+function renderPreview(result, options = {}) {
+  const adapter = requireAdapter(result.platform);
+  const { title, markdown, truncated } = result.preview;
+  const dialect = terminalDialect(MARKDOWN_DIALECTS[adapter.dialect] || STANDARD_MARKDOWN, Boolean(options.color));
+  const body = renderBlocks(parseMarkdown(markdown), dialect);
+  const bold = (text) => (options.color ? `${ANSI_STYLES.bold[0]}${text}${ANSI_STYLES.bold[1]}` : text);
+
+  const notes = [];
+  if (result.parts) {
+    notes.push(`split into ${result.parts.length} messages`);
+  } else if (truncated) {
+    notes.push('truncated to fit the size limit');
+  }
+  if (result.attachments) {
+    notes.push(`${result.attachments.length} ${result.attachments.length === 1 ? 'attachment' : 'attachments'} uploaded after it`);
+  }
+
+  const lines = [`╭─ ${adapter.label}`];
+  if (title) {
+    lines.push(`│ ${bold(title)}`, '│');
+  }
+  lines.push(...body.split('\n').map((line) => (line.trim() ? `│ ${line.trimEnd()}` : '│')));
+  lines.push(`╰─${notes.length > 0 ? ` ${notes.join(', ')}` : ''}`);
+  return lines.join('\n');
+}
+
+// ============================================================================
+// Main Push Functions
+// ============================================================================
+
+/**
+ * Check whether a platform option targets more than one platform
+ * @param {string|string[]} platform - Platform option as passed to push()
+ * @returns {boolean} True for arrays and the "all" keyword
+ */
+function isBroadcast(platform) {
+  return Array.isArray(platform) || platform === ALL_PLATFORMS;
+}
+
+/**
+ * Resolve a platform option into a list of platform names
+ * @param {string|string[]} [platform] - Platform name, array of names, or "all"
+ * @returns {string[]} De-duplicated platform names
+ * @throws {ConfigError} If "all" is requested but nothing is configured
+ */
+function resolvePlatforms(platform) {
+  if (platform === ALL_PLATFORMS) {
+    const configured = getConfiguredPlatforms();
+    if (configured.length === 0) {
+      throw new ConfigError(
+        'No platforms configured.\n' +
+        'Set at least one webhook environment variable to use "all".'
+      );
+    }
+    return configured;
+  }
+
+  const list = Array.isArray(platform) ? platform : [platform || DEFAULT_PLATFORM];
+  return [...new Set(list)];
+}
+
+/**
+ * Send to several platforms in parallel and collect per-platform outcomes.
+ * Never rejects: failures are reported in the result instead.
+ * 
+ * @param {string[]} platforms - Platform (or channel) names
+ * @param {function(string): Promise<object>} send - Sends to a single platform
+ * @returns {Promise<object>} Broadcast result:
+ *   `{ ok, results: { [platform]: { ok, response } | { ok, error } }, succeeded, failed }`
+ */
+async function broadcast(platforms, send) {
+  const settled = await Promise.allSettled(
+    platforms.map((platform) => Promise.resolve().then(() => send(platform)))
+  );
+
+  const result = { ok: true, results: {}, succeeded: [], failed: [] };
+  settled.forEach((outcome, index) => {
+    const platform = platforms[index];
+    if (outcome.status === 'fulfilled') {
+      result.results[platform] = { ok: true, response: outcome.value };
+      result.succeeded.push(platform);
+    } else {
+      result.results[platform] = { ok: false, error: outcome.reason };
+      result.failed.push(platform);
+      result.ok = false;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Create the request function given to adapter hooks such as attach() and edit()
+ * 
+ * In a dry run nothing is sent: each request resolves with its preview (see
+ * previewRequest()).
+ * 
+ * @param {string} platform - Platform name
+ * @param {object} options - Push options (timeouts and retries)
+ * @param {object} config - Platform config, for the adapter's headers
+ * @returns {function(string, object|Buffer, object=, object=): Promise<object>}
+ *   `send(url, data, headers, { method, interpret })`, retried like messages and
+ *   checked with the adapter's interpret() unless another interpreter is given
+ */
+function createSender(platform, options, config) {
+  const adapter = requireAdapter(platform);
+  const adapterHeaders = adapter.headers ? adapter.headers(config) : {};
+  if (options.dryRun) {
+    return async (url, data, headers = {}, request = {}) => previewRequest(
+      platform,
+      { url, headers: { ...adapterHeaders, ...headers }, payload: data, method: request.method || 'POST' },
+      config
+    );
+  }
+  return async (url, data, headers = {}, request = {}) => {
+    await takeRequestToken(options);
+    return sendRequest(
+      url,
+      data,
+      { ...options, method: request.method, headers: { ...adapterHeaders, ...headers } },
+      request.interpret || adapter.interpret
+    );
+  };
+}
+
+/**
+ * Sign and deliver one formatted payload; retryable failures are saved to the
+ * outbox when it is enabled (see flushOutbox()), and the error's `outbox` is
+ * the saved entry's ID
+ * @returns {Promise<object>} Normalized result
+ * @throws {WebhookError} If the payload could not be delivered
+ */
+async function deliver(platform, payload, options, config) {
+  try {
+    return await deliverOnce(platform, payload, options, config);
+  } catch (error) {
+    // Failures worth retrying later wait in the outbox, if there is one
+    const dir = getOutboxDir(options);
+    if (dir && error.retryable) {
+      error.outbox = saveToOutbox(dir, { platform, payload, options, config, error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Sign and send one formatted payload, with retries
+ * @returns {Promise<object>} Normalized result
+ */
+async function deliverOnce(platform, payload, options, config) {
+  const adapter = requireAdapter(platform);
+  let url = adapter.buildUrl(config);
+  
+  // Add authentication, e.g. signatures for platforms with a secret
+  if (adapter.sign) {
+    ({ url, payload } = adapter.sign(url, payload, config));
+  }
+  const headers = adapter.headers ? adapter.headers(config) : {};
+  
+  // A dry run stops here, with everything the request would carry
+  if (options.dryRun) {
+    return previewRequest(platform, { url, headers, payload }, config);
+  }
+  await takeRequestToken(options);
+  
+  // Non-HTTP transports deliver the message themselves
+  if (adapter.send) {
+    return withRetries(
+      (timeout) => adapter.send({ url, payload, headers }, config, options, timeout),
+      options
+    );
+  }
+  
+  // Send request and check the platform's verdict
+  return sendRequest(url, payload, { ...options, headers }, adapter.interpret);
+}
+
+/**
+ * Send a message to exactly one platform
+ * @param {string} platform - Platform name
+ * @param {string} content - Message content
+ * @param {object} options - Push options
+ * @param {object} [config] - Platform config (default: from environment variables)
+ * @returns {Promise<object>} Normalized result: `{ ok, platform, messageId, raw }`;
+ *   split messages return the first part's result with every result in `parts`
+ * @throws {PlatformError} If the platform rejected the message (or any part of it)
+ */
+async function sendToPlatform(platform, content, options, config = getConfig(platform)) {
+  const adapter = requireAdapter(platform);
+  
+  // Attachments the platform can't upload are linked or described instead
+  const { uploads, described } = planAttachments(platform, options.attachments);
+  if (described.length > 0) {
+    content = [content, describeAttachments(described)].filter(Boolean).join('\n\n');
+  }
+  
+  // Convert canonical markdown to the platform's dialect, unless sent raw,
+  // and truncate or split it to the platform's size limit
+  const render = (markdown) =>
+    (adapter.dialect && !options.raw ? renderMarkdown(markdown, adapter.dialect) : markdown);
+  const messages = fitToLimit(content, render, getLimit(adapter, options), options.overflow);
+  
+  // Mentions go with the last part, so everything has arrived when people look
+  const payloads = messages.map((message) => adapter.format(message, options, config));
+  payloads.push(applyMentions(platform, payloads.pop(), options, content));
+  
+  // Dry runs also describe the message, for renderPreview()
+  const preview = options.dryRun
+    ? { preview: { title: options.title, markdown: content, truncated: isOverLimit(adapter, content, render, options) } }
+    : {};
+  
+  if (payloads.length === 1) {
+    const result = await deliver(platform, payloads[0], options, config);
+    return sendAttachments(platform, uploads, { ...result, ...preview }, options, config);
+  }
+  
+  // Parts go out one at a time so they arrive in order. When one is saved to the
+  // outbox, the parts after it are saved behind it, so the message isn't cut short
+  const parts = [];
+  for (const [index, payload] of payloads.entries()) {
+    try {
+      parts.push(await deliver(platform, payload, options, config));
+    } catch (error) {
+      if (error.outbox) {
+        const dir = getOutboxDir(options);
+        for (const rest of payloads.slice(index + 1)) {
+          saveToOutbox(dir, { platform, payload: rest, options, config, error });
+        }
+      }
+      throw error;
+    }
+  }
+  return sendAttachments(platform, uploads, { ...parts[0], parts, ...preview }, options, config);
+}
+
+/**
+ * Send a structured message to exactly one platform, in the adapter's native
+ * layout, or as markdown through sendToPlatform() if it has none
+ * @param {string} platform - Platform name
+ * @param {Message} message - Normalized message
+ * @param {object} options - Push options
+ * @param {object} [config] - Platform config (default: from environment variables)
+ * @returns {Promise<object>} Normalized result
+ */
+async function sendMessage(platform, message, options, config = getConfig(platform)) {
+  const adapter = requireAdapter(platform);
+  if (!adapter.formatMessage) {
+    return sendToPlatform(platform, messageToMarkdown(message), {
+      ...options,
+      title: message.title || options.title,
+      color: message.color || options.color,
+    }, config);
+  }
+  
+  const { uploads, described } = planAttachments(platform, options.attachments);
+  const appendix = describeAttachments(described);
+  const payload = formatNative(platform, message, options, config, appendix);
+  const result = await deliver(platform, payload, options, config);
+  if (options.dryRun) {
+    const render = (markdown) =>
+      (adapter.dialect && !options.raw ? renderMarkdown(markdown, adapter.dialect) : markdown);
+    const summary = [message.summary, appendix].filter(Boolean).join('\n\n');
+    result.preview = {
+      title: message.title,
+      markdown: messageToMarkdown({ ...message, summary }),
+      truncated: isOverLimit(adapter, message.summary, render, options),
+    };
+  }
+  return sendAttachments(platform, uploads, result, options, config);
+}
+
+/**
+ * Lay out a message with the adapter's formatMessage(), mentions included
+ * @param {string} platform - Platform name
+ * @param {Message} message - Normalized message
+ * @param {object} options - Push options
+ * @param {object} config - Platform config
+ * @param {string} [appendix] - Markdown added after the summary, e.g. attachment descriptions
+ * @returns {object} Payload ready for deliver()
+ */
+function formatNative(platform, message, options, config, appendix = '') {
+  const adapter = requireAdapter(platform);
+  const render = (markdown) =>
+    (adapter.dialect && !options.raw ? renderMarkdown(markdown, adapter.dialect) : markdown);
+  
+  // Layouts can't be split, so a summary over the size limit is truncated
+  const limit = getLimit(adapter, options);
+  const fits = (candidate) => measureText(render(candidate), limit.unit) <= limit.size;
+  let summary = limit && !fits(message.summary) ? truncateContent(message.summary, fits) : message.summary;
+  if (appendix) {
+    summary = [summary, appendix].filter(Boolean).join('\n\n');
+  }
+  
+  const payload = adapter.formatMessage({ ...message, summary }, options, config, render);
+  const content = messageToMarkdown({ ...message, summary }, { title: true });
+  return applyMentions(platform, payload, options, content);
+}
+
+/**
+ * Send through a named channel, with the channel's options as defaults
+ * 
+ * Only options with a value override the channel's, so callers such as the CLI
+ * can pass every option and leave the unset ones undefined.
+ * 
+ * @param {string} name - Channel name
+ * @param {object} options - Push options
+ * @param {function(string, object, object): Promise<object>} send -
+ *   (platform, options, config) => result
+ * @returns {Promise<object>} Normalized result
+ */
+async function sendToChannel(name, options, send) {
+  const channel = resolveChannel(name);
+  const merged = { ...channel.options };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+  return send(channel.platform, { ...merged, platform: channel.platform, channel: name }, channel.config);
+}
+
+/**
+ * Deliver to the targets selected by the push options, within each target's
+ * rate limit (see forEachTarget())
+ * @param {object} options - Push options
+ * @param {function(string, object, object): Promise<object>} send -
+ *   (platform, options, config) => result
+ * @param {object} [identity] - `{ fingerprint, label }` for suppressing repeats
+ *   (see suppressDuplicates()); without it, every message is sent
+ * @returns {Promise<object>} Normalized result for a single target, otherwise a
+ *   broadcast result keyed by channel or platform name
+ */
+async function dispatch(options, send, identity) {
+  // Files are read once, for every target
+  if (options.attachments) {
+    options = { ...options, attachments: loadAttachments(options.attachments) };
+  }
+  
+  // Each target's messages stay within its rate limit, and repeats take no token;
+  // dry runs leave both alone
+  if (options.dryRun) {
+    return forEachTarget(options, (platform, sendOptions, config = getConfig(platform)) =>
+      send(platform, sendOptions, config));
+  }
+  const sendLimited = (platform, sendOptions, config) =>
+    limitRate(platform, sendOptions, config, (limited) => send(platform, limited, config));
+  return forEachTarget(options, (platform, sendOptions, config = getConfig(platform)) => (identity
+    ? suppressDuplicates(platform, sendOptions, config, identity, () => sendLimited(platform, sendOptions, config))
+    : sendLimited(platform, sendOptions, config)));
+}
+
+/**
+ * Run a function for the targets selected by the push options: a named channel,
+ * the routing rules or default channel, or one or more platforms
+ * @param {object} options - Push options
+ * @param {function(string, object, object): Promise<object>} send -
+ *   (platform, options, config) => result; config is undefined for platforms
+ *   configured through environment variables
+ * @returns {Promise<object>} Normalized result for a single target, otherwise a
+ *   broadcast result keyed by channel or platform name
+ */
+async function forEachTarget(options, send) {
+  const channels = selectChannels(options);
+  if (channels) {
+    if (channels.length === 1) {
+      return sendToChannel(channels[0], options, send);
+    }
+    return broadcast(channels, (name) => sendToChannel(name, options, send));
+  }
+
+  const platforms = resolvePlatforms(options.platform);
+  if (!isBroadcast(options.platform)) {
+    return send(platforms[0], options);
+  }
+
+  return broadcast(platforms, (platform) => send(platform, { ...options, platform }));
+}
+
+/**
+ * Push a message to one or more webhook platforms
+ * 
+ * When `options.platform` is an array or `"all"`, the message is sent to every
+ * target in parallel and the promise resolves with a broadcast result instead
+ * of rejecting on the first error (see `broadcast()` for its shape).
+ * 
+ * @param {string} content - Message content in standard markdown, converted to each
+ *   platform's dialect (see renderMarkdown())
+ * @param {object} options - Push options
+ * @param {string|string[]} [options.platform] - Target platform, list of platforms,
+ *   or "all" for every configured platform (default: the config file's routes,
+ *   defaultRoute or defaultChannel, else wecom)
+ * @param {string} [options.channel] - Named channel from a config file (see
+ *   loadConfig()); takes precedence over `platform`
+ * @param {string} [options.task] - Task name, matched by routing rules (see resolveRoute())
+ * @param {string} [options.status] - Status, matched by routing rules
+ * @param {string[]} [options.tags] - Tags, matched by routing rules
+ * @param {string[]} [options.mentions] - People to mention, by their names in the
+ *   config file's `people` map (see resolveMentions())
+ * @param {boolean} [options.mentionAll] - Mention everyone (@all, @channel, @everyone)
+ * @param {Array<string|object>} [options.attachments] - Files to attach, uploaded after
+ *   the message where the platform supports it, otherwise linked or described in the
+ *   message (see loadAttachments())
+ * @param {string} [options.title] - Message title (used by some platforms)
+ * @param {string} [options.color] - Theme color (used by some platforms)
+ * @param {boolean} [options.raw] - Send content unchanged, already written in the
+ *   platform's own format (e.g. Telegram HTML or Slack mrkdwn)
+ * @param {string} [options.overflow] - Content over the platform's size limit is
+ *   "truncate"d, keeping its head and tail (default), or "split" into numbered messages
+ * @param {number} [options.priority] - Priority from 1 (min) to 5 (max), used by
+ *   ntfy, Gotify and Bark (default: derived from the progress status, else 3)
+ * @param {number} [options.timeout] - Per-attempt request timeout in ms (default: 10000)
+ * @param {number} [options.attempts] - Total attempts for retryable failures (default: 3)
+ * @param {number} [options.retryDelay] - Base backoff delay in ms (default: 500)
+ * @param {number} [options.maxRetryDelay] - Longest wait between attempts in ms (default: 30000)
+ * @param {string} [options.onRateLimit] - Messages over the target's rate limit are
+ *   "queue"d (default), "drop"ped or "coalesce-latest"d (see limitRate())
+ * @param {object|boolean} [options.rateLimit] - Rate limit override, `{ limit, interval }`
+ *   or false
+ * @param {string|boolean} [options.outbox] - Save deliveries that still fail after
+ *   retries for flushOutbox(): a directory, or true for the default one
+ * @param {number} [options.outboxExpiry] - How long saved deliveries are kept in ms
+ *   (default: 24 hours)
+ * @param {string} [options.dedupKey] - Suppress repeats of messages with this key,
+ *   rather than of identical content (see suppressDuplicates())
+ * @param {number} [options.dedupWindow] - Suppress repeats sent to the same target
+ *   within this many ms (default: 300000 with a `dedupKey`, otherwise off)
+ * @param {string} [options.dedupFile] - Dedup state shared between processes
+ *   (default: WEBHOOK_PUSH_DEDUP_FILE, else this process only)
+ * @param {boolean} [options.dryRun] - Resolve, format and sign the message without
+ *   sending it; results describe the request (see previewRequest()) and the message
+ *   (see renderPreview())
+ * @returns {Promise<object>} Normalized result `{ ok, platform, messageId, raw }`,
+ *   or broadcast result for multiple platforms or routed channels; suppressed
+ *   repeats resolve with `{ ok: true, platform, duplicate: true, repeats }`
+ * @throws {PlatformError} If the platform rejected the message (single platform)
+ * @throws {WebhookError} On network errors, timeouts and HTTP errors (single platform)
+ * 
+ * @example
+ * // Simple message
+ * await push('Build completed successfully!');
+ * 
+ * // With platform selection
+ * await push('Deployment started', { platform: 'slack' });
+ * 
+ * // With title (for platforms that support it)
+ * await push('All tests passed', { platform: 'dingtalk', title: 'CI/CD Update' });
+ * 
+ * // Fan-out to several platforms
+ * const result = await push('Release published', { platform: ['wecom', 'slack'] });
+ * if (!result.ok) console.error('Failed:', result.failed);
+ * 
+ * // Named channel from webhook-push.config.json
+ * await push('Disk almost full', { channel: 'oncall' });
+ */
+async function push(content, options = {}) {
+  const send = (platform, sendOptions, config) => sendToPlatform(platform, content, sendOptions, config);
+  return dispatch(options, send, {
+    fingerprint: JSON.stringify([options.title, content]),
+    label: options.title || content.trim().split('\n')[0],
+  });
+}
+
+/**
+ * Push a structured message, mapped to each platform's richest native layout:
+ * Feishu cards, Slack Block Kit, DingTalk actionCards, Telegram inline keyboards,
+ * Discord embeds, Teams Adaptive Cards, Mattermost attachments and ntfy actions.
+ * Other platforms get the message laid out as markdown.
+ * 
+ * @param {Message|string} message - Message (see Message), or a summary string
+ * @param {object} [options] - Push options (same as push(), including multiple
+ *   platforms and channels)
+ * @returns {Promise<object>} Normalized result, or broadcast result for multiple platforms
+ * @throws {Error} If a field or button is incomplete
+ * 
+ * @example
+ * await pushMessage({
+ *   title: 'Release v2.1.0',
+ *   summary: 'Published to **npm**',
+ *   fields: [{ name: 'Version', value: '2.1.0', short: true }, { name: 'Tag', value: '`latest`', short: true }],
+ *   buttons: [{ text: 'Changelog', url: 'https://example.com/changelog' }],
+ *   footer: 'release.yml',
+ *   color: 'green',
+ * }, { platform: 'slack' });
+ */
+async function pushMessage(message, options = {}) {
+  const normalized = normalizeMessage(message);
+  const send = (platform, sendOptions, config) => sendMessage(platform, normalized, sendOptions, config);
+  return dispatch(options, send, {
+    fingerprint: JSON.stringify(normalized),
+    label: normalized.title || normalized.summary.trim().split('\n')[0],
+  });
+}
+
+/**
+ * Push a progress notification with consistent formatting
+ * 
+ * The notification is a message (see pushMessage()) with the status, duration
+ * and commit as fields and a "View logs" button, rendered natively per platform.
+ * 
+ * @param {string} taskName - Name of the task
+ * @param {string} status - Status: started, in_progress, completed, failed, cancelled
+ * @param {string} [details] - Additional details in standard markdown (optional)
+ * @param {object} [options] - Push options (same as push(), including multiple platforms,
+ *   but `raw` is ignored); routing rules match `taskName` and `status`
+ * @param {number|string} [options.duration] - Duration in ms, or a formatted string
+ * @param {string} [options.commit] - Commit SHA (shortened to 7 characters) or ref
+ * @param {string} [options.logsUrl] - URL for the "View logs" button
+ * @param {string} [options.color] - Color name or '#RRGGBB' instead of the status color
+ * @param {boolean|number} [options.digest] - Collect notifications into a digest per
+ *   target, sent after this window in ms (true: 60000; Infinity: on flushDigest()),
+ *   see addToDigest()
+ * @param {string[]} [options.digestImmediate] - Statuses also sent right away in
+ *   digest mode (default: ["failed"])
+ * @param {string} [options.digestFile] - Collect digests in this file, shared between
+ *   processes (default: WEBHOOK_PUSH_DIGEST_FILE, else in memory)
+ * @returns {Promise<object>} Normalized result, or broadcast result for multiple platforms;
+ *   collected notifications resolve with `{ ok: true, platform, digested: true }`
+ * 
+ * @example
+ * await pushProgress('Build', 'started');
+ * await pushProgress('Build', 'in_progress', 'Running tests...');
+ * await pushProgress('Build', 'completed', 'All 42 tests passed', { duration: 83000, commit: sha });
+ * await pushProgress('Build', 'failed', 'Test suite failed', { platform: 'slack', logsUrl });
+ * await pushProgress('Build', 'failed', 'Test suite failed', { platform: 'all' });
+ */
+async function pushProgress(taskName, status, details = '', { raw, ...options } = {}) {
+  // The layout is standard markdown, so it is converted even when `raw` is set
+  const message = progressMessage(taskName, status, details, options);
+  const progress = { taskName, status, details, message };
+  // Collecting takes no rate limit token; the digest does when it is sent
+  if (options.digest && !options.dryRun) {
+    return forEachTarget({ ...options, task: taskName, status }, (platform, sendOptions, config = getConfig(platform)) =>
+      addToDigest(platform, progress, sendOptions, config)
+    );
+  }
+  // The message has a timestamp, so repeats are recognized by what it reports
+  const send = (platform, sendOptions, config) => sendProgress(platform, progress, sendOptions, config);
+  return dispatch({ ...options, task: taskName, status }, send, {
+    fingerprint: JSON.stringify([taskName, status, details]),
+    label: message.title,
+  });
+}
+
+/**
+ * Send a progress message to exactly one platform
+ * @param {string} platform - Platform name
+ * @param {object} progress - `{ taskName, status, details, message }`, where message
+ *   comes from progressMessage()
+ * @param {object} options - Push options
+ * @param {object} [config] - Platform config (default: from environment variables)
+ * @returns {Promise<object>} Normalized result
+ */
+function sendProgress(platform, progress, options, config) {
+  const { taskName, status, details, message } = progress;
+  const style = STATUS_STYLES[status] || STATUS_STYLES.in_progress;
+  const adapter = requireAdapter(platform);
+  const progressOptions = { ...options, platform, title: message.title, status, color: options.color || style.color };
+  // Adapters may replace the message layout with their own content
+  if (adapter.formatProgress) {
+    const content = adapter.formatProgress(taskName, status, details, style);
+    return sendToPlatform(platform, content, progressOptions, config);
+  }
+  return sendMessage(platform, message, progressOptions, config);
+}
+
+// ============================================================================
+// Progress Messages
+// ============================================================================
+
+/**
+ * Build the message for a progress notification
+ * @param {string} taskName - Name of the task
+ * @param {string} status - Task status (see STATUS_STYLES)
+ * @param {string} details - Details in standard markdown
+ * @param {object} options - Push options with `duration`, `commit` and `logsUrl`
+ * @returns {Message} Normalized message
+ */
+function progressMessage(taskName, status, details, options) {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.in_progress;
+  const fields = [{ name: 'Status', value: `${style.emoji} ${status.toUpperCase()}`, short: true }];
+  if (options.duration !== undefined && options.duration !== null) {
+    fields.push({ name: 'Duration', value: formatDuration(options.duration), short: true });
+  }
+  if (options.commit) {
+    const commit = /^[0-9a-f]{40}$/i.test(options.commit) ? options.commit.slice(0, 7) : options.commit;
+    fields.push({ name: 'Commit', value: `\`${commit}\``, short: true });
+  }
+
+  return normalizeMessage({
+    title: `${taskName} - ${status}`,
+    summary: details,
+    fields,
+    buttons: options.logsUrl ? [{ text: 'View logs', url: options.logsUrl }] : [],
+    footer: new Date().toISOString(),
+    color: options.color || style.color,
+  });
+}
+
+// ============================================================================
+// Task Tracker
+// ============================================================================
+
+/**
+ * Minimum time between new in_progress messages on platforms that can't edit (ms)
+ */
+const TASK_THROTTLE = 30000;
+
+/**
+ * Render a progress bar
+ * @param {number} percent - Progress from 0 to 100
+ * @returns {string} e.g. "████░░░░░░ 40%"
+ */
+function progressBar(percent) {
+  const clamped = Math.max(0, Math.min(100, percent));
+  const filled = Math.round(clamped / 10);
+  return `${'█'.repeat(filled)}${'░'.repeat(10 - filled)} ${Math.round(clamped)}%`;
+}
+
+/**
+ * Check whether a task can edit its message on a platform
+ * @param {object} adapter - Platform adapter
+ * @param {object} config - Platform config
+ * @returns {boolean} True if the adapter can post and edit native layouts
+ */
+function canEdit(adapter, config) {
+  return Boolean(adapter.edit && adapter.formatMessage && (!adapter.editable || adapter.editable(config)));
+}
+
+/**
+ * Track a long-running task in a single message
+ * 
+ * Each call sends a progress notification with the elapsed time, the step history
+ * and a progress bar. Where the platform supports it (Telegram, Slack with a bot
+ * token, Feishu with an app), the task's first message is edited in place;
+ * elsewhere steps post new messages, at most one per `throttle` interval, and
+ * start, completion and failure are always sent.
+ * 
+ * Calls are sent one at a time in call order, so they need not be awaited.
+ * 
+ * @param {string} name - Task name
+ * @param {object} [options] - Push options (same as pushProgress(), including
+ *   `commit` and `logsUrl`)
+ * @param {number} [options.throttle] - Minimum time between new step messages in ms
+ *   on platforms that can't edit (default: 30000)
+ * @returns {object} Task with `start(details)`, `step(text, percent)`,
+ *   `complete(details)` and `fail(error)`, each resolving with the send result
+ *   (a result with `throttled: true` for skipped steps); and the read-only
+ *   `name`, `status`, `startedAt`, `elapsed`, `percent` and `steps`
+ * @throws {Error} From the methods, when the task has already completed or failed
+ * 
+ * @example
+ * const task = createTask('Deploy', { platform: 'telegram' });
+ * await task.start();
+ * await task.step('Building image', 20);
+ * await task.step('Running migrations', 60);
+ * await task.complete('Version 2.1.0 is live');
+ */
+function createTask(name, options = {}) {
+  // Updates are laid out in standard markdown, converted even when `raw` is set
+  const { throttle = TASK_THROTTLE, raw, ...pushOptions } = options;
+  const steps = [];
+  const posted = new Map();
+  const lastSent = new Map();
+  let status = null;
+  let percent;
+  let startedAt = Date.now();
+  let endedAt = null;
+  let queue = Promise.resolve();
+
+  // Step history as a checklist; the current step is running until the next one starts
+  const history = () => steps.map((step, index) => {
+    const end = index + 1 < steps.length ? steps[index + 1].at : endedAt;
+    if (end === null) {
+      return `- ${STATUS_STYLES.in_progress.emoji} ${escapeMarkdown(step.text)}`;
+    }
+    const mark = index === steps.length - 1 && status === 'failed' ? '✗' : '✓';
+    return `- ${mark} ${escapeMarkdown(step.text)} (${formatDuration(end - step.at)})`;
+  }).join('\n');
+
+  // The message is built when the method is called, and sent after earlier updates
+  const update = (nextStatus, details) => {
+    if (endedAt !== null) {
+      return Promise.reject(new Error(`Task "${name}" has already ${status}`));
+    }
+    status = nextStatus;
+    if (status === 'completed' || status === 'failed') {
+      endedAt = Date.now();
+    }
+
+    const summary = [details, history()].filter(Boolean).join('\n\n');
+    const duration = (endedAt || Date.now()) - startedAt;
+    const progress = progressMessage(name, status, summary, { ...pushOptions, duration });
+    const message = percent === undefined
+      ? progress
+      : { ...progress, fields: [...progress.fields, { name: 'Progress', value: progressBar(percent), short: true }] };
+    const snapshot = { taskName: name, status, details: summary, message };
+    const style = STATUS_STYLES[status];
+
+    const sendTo = async (platform, sendOptions, config = getConfig(platform)) => {
+      const target = sendOptions.channel || platform;
+      const adapter = requireAdapter(platform);
+      if (canEdit(adapter, config)) {
+        const editOptions = { ...sendOptions, platform, title: message.title, status: snapshot.status, color: sendOptions.color || style.color };
+        // edit() reads IDs from real responses, so a dry run previews the layout instead
+        if (editOptions.dryRun) {
+          return sendMessage(platform, message, editOptions, config);
+        }
+        const payload = formatNative(platform, message, editOptions, config);
+        const result = await adapter.edit(payload, posted.get(target), config, editOptions,
+          createSender(platform, editOptions, config));
+        posted.set(target, result);
+        return result;
+      }
+
+      if (snapshot.status === 'in_progress' && lastSent.has(target) && Date.now() - lastSent.get(target) < throttle) {
+        return { ok: true, platform, throttled: true };
+      }
+      lastSent.set(target, Date.now());
+      return sendProgress(platform, snapshot, sendOptions, config);
+    };
+    const send = () => dispatch({ ...pushOptions, task: name, status: snapshot.status }, sendTo);
+
+    // Updates go out in call order, whether or not earlier ones succeeded
+    const next = queue.then(send);
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    get name() { return name; },
+    get status() { return status; },
+    get startedAt() { return startedAt; },
+    get elapsed() { return (endedAt || Date.now()) - startedAt; },
+    get percent() { return percent; },
+    get steps() { return steps.map((step) => ({ ...step })); },
+
+    start(details = '') {
+      startedAt = Date.now();
+      return update('started', details);
+    },
+
+    step(text, stepPercent) {
+      if (endedAt === null) {
+        steps.push({ text, percent: stepPercent, at: Date.now() });
+        percent = stepPercent === undefined ? percent : stepPercent;
+      }
+      return update('in_progress', '');
+    },
+
+    complete(details = '') {
+      if (endedAt === null && percent !== undefined) {
+        percent = 100;
+      }
+      return update('completed', details);
+    },
+
+    fail(error) {
+      return update('failed', error instanceof Error ? error.message : String(error || ''));
+    },
+  };
+}
+
+// ============================================================================
+// Digest
+// ============================================================================
+
+/**
+ * How long progress notifications are collected before a digest is sent (ms)
+ */
+const DIGEST_WINDOW = 60000;
+
+/**
+ * Statuses sent right away in digest mode, as well as being collected
+ */
+const DIGEST_IMMEDIATE = ['failed'];
+
+/**
+ * The status shown for a digest: the first of these that any task ended with
+ */
+const DIGEST_STATUS_ORDER = ['failed', 'cancelled', 'in_progress', 'started', 'completed'];
+
+/**
+ * Digests collected by this process, by target
+ */
+const memoryDigests = {};
+
+/**
+ * Whether pending digests are sent when the process is about to exit
+ */
+let digestExitHook = false;
+
+/**
+ * Resolve the digest window
+ * @param {boolean|number} digest - `options.digest`
+ * @returns {number} Window in ms; Infinity waits for flushDigest()
+ * @throws {Error} If it's neither true nor a positive number
+ */
+function getDigestWindow(digest) {
+  if (digest === true) {
+    return DIGEST_WINDOW;
+  }
+  if (typeof digest !== 'number' || !(digest > 0)) {
+    throw new Error('digest must be true or a window in ms (Infinity to wait for flushDigest()).');
+  }
+  return digest;
+}
+
+/**
+ * Read and update the pending digests, under a lock when they are shared through a file
+ * @param {string} [file] - Digest file shared between processes (default: this process only)
+ * @param {function(object): *} update - (digests) => value; changes to `digests` are saved
+ * @returns {Promise<*>} The value returned by `update`
+ */
+async function withDigests(file, update) {
+  return file ? withStateFile(file, update) : update(memoryDigests);
+}
+
+/**
+ * Collect a progress notification into its target's digest
+ * 
+ * Notifications for a target (channel or platform) are collected from the first
+ * one until the digest window has passed, then sent as one message grouped by task
+ * (see digestMessage()). In memory, a timer sends the digest, and digests still
+ * pending are sent before the process exits. With a digest file, the first
+ * notification after the window sends it, so a final flushDigest() (or
+ * `webhook-push digest flush`) sends the rest.
+ * 
+ * Statuses in `digestImmediate` are sent right away as well as being collected.
+ * 
+ * @param {string} platform - Platform name
+ * @param {object} progress - `{ taskName, status, details, message }`, see sendProgress()
+ * @param {object} options - Push options with `digest`, `digestImmediate` and `digestFile`
+ * @param {object} config - Platform config
+ * @returns {Promise<object>} `{ ok: true, platform, digested: true }`, or the result of
+ *   sending an immediate status; `digest` is the result of a digest sent along with it
+ * @throws {Error} If the digest window is invalid, or an immediate status or the
+ *   digest could not be sent
+ */
+async function addToDigest(platform, progress, options, config) {
+  const window = getDigestWindow(options.digest);
+  const { digest, digestImmediate = DIGEST_IMMEDIATE, digestFile, attachments, ...sendOptions } = options;
+  const file = digestFile || process.env.WEBHOOK_PUSH_DIGEST_FILE;
+  const target = options.channel || platform;
+
+  // Immediate statuses count as sent in the digest only once they arrived
+  let result = null;
+  let failure = null;
+  if (digestImmediate.includes(progress.status)) {
+    try {
+      result = await limitRate(platform, sendOptions, config, (limited) =>
+        sendProgress(platform, progress, limited, config));
+    } catch (error) {
+      failure = error;
+    }
+  }
+
+  const entry = {
+    task: progress.taskName,
+    status: progress.status,
+    details: progress.details,
+    at: Date.now(),
+    sent: Boolean(result) && !result.dropped && !result.coalesced,
+  };
+  const { created, due } = await withDigests(file, (digests) => {
+    const current = digests[target];
+    if (!current) {
+      digests[target] = { platform, channel: options.channel, config, options: sendOptions, entries: [entry] };
+      return { created: digests[target] };
+    }
+    current.options = sendOptions;
+    current.entries.push(entry);
+    if (file && entry.at - current.entries[0].at >= window) {
+      delete digests[target];
+      return { due: current };
+    }
+    return {};
+  });
+  if (created && !file) {
+    scheduleDigest(target, created, window);
+  }
+
+  if (failure) {
+    throw failure;
+  }
+  result = result || { ok: true, platform, digested: true };
+  return due ? { ...result, digest: await sendDigest(due) } : result;
+}
+
+/**
+ * Send a digest collected in memory once its window has passed, and any still
+ * pending when the process is about to exit; failures become process warnings
+ */
+function scheduleDigest(target, digest, window) {
+  const warn = ({ target: name, error }) =>
+    process.emitWarning(`Digest for "${name}" could not be sent: ${error.message}`);
+
+  if (!digestExitHook) {
+    digestExitHook = true;
+    process.on('beforeExit', () => {
+      if (Object.keys(memoryDigests).length > 0) {
+        takeDigests(null).then(sendDigests).then((summary) => summary.failed.forEach(warn));
+      }
+    });
+  }
+
+  if (Number.isFinite(window)) {
+    setTimeout(() => {
+      // Sent by a flush in the meantime
+      if (memoryDigests[target] !== digest) {
+        return;
+      }
+      delete memoryDigests[target];
+      sendDigests([[target, digest]]).then((summary) => summary.failed.forEach(warn));
+    }, window).unref();
+  }
+}
+
+/**
+ * Build a digest message: each task's final status, its number of notifications
+ * per status and its latest details
+ * @param {object[]} entries - Collected notifications, oldest first
+ * @returns {object} `{ status, message }`, where status is the most pressing
+ *   final status (see DIGEST_STATUS_ORDER)
+ */
+function digestMessage(entries) {
+  const tasks = new Map();
+  for (const entry of entries) {
+    const task = tasks.get(entry.task) || { counts: {}, details: '' };
+    task.status = entry.status;
+    task.counts[entry.status] = (task.counts[entry.status] || 0) + 1;
+    task.details = entry.details || task.details;
+    tasks.set(entry.task, task);
+  }
+
+  const finals = [...tasks.values()].map((task) => task.status);
+  const status = DIGEST_STATUS_ORDER.find((name) => finals.includes(name)) || finals[finals.length - 1];
+  const style = STATUS_STYLES[status] || STATUS_STYLES.in_progress;
+
+  const sections = [...tasks].map(([name, task]) => {
+    const taskStyle = STATUS_STYLES[task.status] || STATUS_STYLES.in_progress;
+    const counts = Object.entries(task.counts).map(([key, count]) => `${count} ${key}`).join(' · ');
+    return [
+      `**${escapeMarkdown(name)}**: ${taskStyle.emoji} ${task.status.toUpperCase()}`,
+      `*${escapeMarkdown(counts)}*`,
+      task.details,
+    ].filter(Boolean).join('  \n');
+  });
+
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  const first = new Date(entries[0].at).toISOString();
+  const last = new Date(entries[entries.length - 1].at).toISOString();
+  return {
+    status,
+    message: normalizeMessage({
+      title: `Digest: ${plural(entries.length, 'update')} from ${plural(tasks.size, 'task')}`,
+      summary: sections.join('\n\n'),
+      footer: first === last ? first : `${first} – ${last}`,
+      color: style.color,
+    }),
+  };
+}
+
+/**
+ * Send a digest within its target's rate limit, unless everything in it was
+ * already sent right away
+ * @param {object} digest - `{ platform, channel, config, options, entries }`
+ * @returns {Promise<object|null>} Normalized result, or null if nothing was left to send
+ */
+async function sendDigest(digest) {
+  if (digest.entries.every((entry) => entry.sent)) {
+    return null;
+  }
+  const { status, message } = digestMessage(digest.entries);
+  const options = {
+    ...digest.options,
+    platform: digest.platform,
+    channel: digest.channel,
+    status,
+    title: message.title,
+    color: message.color,
+  };
+  return limitRate(digest.platform, options, digest.config, (limited) =>
+    sendMessage(digest.platform, message, limited, digest.config));
+}
+
+/**
+ * Take every pending digest, so it is sent only once
+ * @param {string} [file] - Digest file (default: the digests of this process)
+ * @returns {Promise<Array>} `[target, digest]` pairs
+ */
+function takeDigests(file) {
+  return withDigests(file, (digests) => {
+    const taken = Object.entries(digests);
+    for (const [target] of taken) {
+      delete digests[target];
+    }
+    return taken;
+  });
+}
+
+/**
+ * Send digests one target at a time
+ * @param {Array} digests - `[target, digest]` pairs
+ * @returns {Promise<object>} `{ sent, failed }`: targets sent to, and `{ target, error }`
+ */
+async function sendDigests(digests) {
+  const summary = { sent: [], failed: [] };
+  for (const [target, digest] of digests) {
+    try {
+      if (await sendDigest(digest)) {
+        summary.sent.push(target);
+      }
+    } catch (error) {
+      summary.failed.push({ target, error });
+    }
+  }
+  return summary;
+}
+
+/**
+ * Send the pending digests now, rather than when their window has passed
+ * 
+ * Digests that can't be sent are reported and not collected again; enable the
+ * outbox to keep them for another try.
+ * 
+ * @param {object} [options] - Options
+ * @param {string} [options.digestFile] - Also send the digests collected in this file
+ *   (default: WEBHOOK_PUSH_DIGEST_FILE)
+ * @returns {Promise<object>} `{ sent, failed }`: targets whose digest was sent, and
+ *   `{ target, error }` for failures
+ * 
+ * @example
+ * const options = { platform: 'slack', digest: Infinity };
+ * for (const job of jobs) {
+ *   await pushProgress(job.name, 'completed', job.summary, options);
+ * }
+ * await flushDigest();
+ */
+async function flushDigest(options = {}) {
+  const file = options.digestFile || process.env.WEBHOOK_PUSH_DIGEST_FILE;
+  const digests = await takeDigests(null);
+  if (file) {
+    digests.push(...await takeDigests(file));
+  }
+  return sendDigests(digests);
+}
+
+// ============================================================================
+// Verification
+// ============================================================================
+
+/**
+ * Test message sent by verifyPlatform() to platforms without a verify() hook
+ */
+const VERIFY_MESSAGE = 'webhook-push test message: notifications to this chat are set up correctly.';
+
+/**
+ * Check whether an error is the platform turning the request down, rather than
+ * the platform being unreachable, failing or asking to try again later (e.g. 429)
+ */
+function isRejection(error) {
+  return hasResponded(error) && !error.retryable && !(error.statusCode >= 500);
+}
+
+/**
+ * Check whether an error came with a response from the platform
+ */
+function hasResponded(error) {
+  return error instanceof PlatformError || error.statusCode !== undefined;
+}
+
+/**
+ * Check that a platform's credentials work
+ * 
+ * Adapters with a verify() hook are checked without posting anything, e.g. with
+ * Telegram's getMe and getChat; other platforms are sent a short test message.
+ * One attempt is made unless `options.attempts` says otherwise, so `latency` is
+ * the time one check took. Failures are reported in the result, not thrown, and
+ * a test message that fails is never saved to the outbox.
+ * 
+ * @param {string} platform - Platform name
+ * @param {object} [options] - Request options (see REQUEST_DEFAULTS)
+ * @param {object} [config] - Platform config (default: from environment variables)
+ * @returns {Promise<object>} `{ ok, platform, method, reachable, authorized, latency }`
+ *   where method is "api" or "message", plus `details` from verify() on success or
+ *   `error` on failure. `authorized` is unknown (undefined) when the platform could
+ *   not be reached or asked to try again later, e.g. with a rate limit.
+ * @throws {ConfigError} If required configuration is missing
+ * 
+ * @example
+ * const result = await verifyPlatform('telegram');
+ * // { ok: true, platform: 'telegram', method: 'api', reachable: true, authorized: true,
+ * //   latency: 182, details: 'bot @ci_bot, chat "Deploys"' }
+ */
+async function verifyPlatform(platform, options = {}, config = getConfig(platform)) {
+  const adapter = requireAdapter(platform);
+  const settings = { ...options, outbox: false, attempts: options.attempts === undefined ? 1 : options.attempts };
+  const method = adapter.verify ? 'api' : 'message';
+  const startedAt = Date.now();
+
+  try {
+    let details;
+    if (adapter.verify) {
+      const send = createSender(platform, settings, config);
+      details = await adapter.verify(config, send, resolveRequestOptions(settings).timeout);
+    } else {
+      await sendToPlatform(platform, VERIFY_MESSAGE, settings, config);
+    }
+    const latency = Date.now() - startedAt;
+    return { ok: true, platform, method, reachable: true, authorized: true, latency, details };
+  } catch (error) {
+    if (!(error instanceof WebhookError)) {
+      throw error;
+    }
+    const latency = Date.now() - startedAt;
+    const rejected = isRejection(error);
+    const reachable = hasResponded(error);
+    return { ok: false, platform, method, reachable, authorized: rejected ? false : undefined, latency, error };
   }
-  content += `\n${new Date().toISOString()}`;
-  return content;
 }
 
 // ============================================================================
@@ -463,17 +5644,59 @@ function formatGenericProgress(taskName, status, details, style) {
 module.exports = {
   // Main functions
   push,
+  pushMessage,
   pushProgress,
+  createTask,
+  flushDigest,
+  verifyPlatform,
+  
+  // Outbox
+  flushOutbox,
+  listOutbox,
+  purgeOutbox,
   
   // Configuration helpers
   getConfig,
   isConfigured,
   getConfiguredPlatforms,
+  loadConfig,
+  getChannels,
+  resolveChannel,
+  resolveRoute,
+  
+  // Errors
+  WebhookError,
+  PlatformError,
+  ConfigError,
+  
+  // Platform adapters
+  registerPlatform,
+  getAdapter,
+  getPlatforms,
+  isSecretField,
+  multipartForm,
+  
+  // Request signing
+  signDingTalk,
+  signFeishu,
+  
+  // Markdown conversion
+  renderMarkdown,
+  escapeMarkdown,
+  renderPreview,
   
   // Constants
   PLATFORMS,
   ENV_KEYS,
+  ENV_SECRETS,
   STATUS_STYLES,
+  COLOR_HEX,
+  DEFAULT_PRIORITY,
   DEFAULT_PLATFORM,
+  ALL_PLATFORMS,
+  REQUEST_DEFAULTS,
+  CONFIG_FILES,
+  MARKDOWN_DIALECTS,
+  RATE_LIMIT_POLICIES,
 };
 
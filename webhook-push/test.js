@@ -10,6 +10,11 @@
  */
 
 const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
 
 // ============================================================================
 // Test Utilities
@@ -18,37 +23,249 @@ const assert = require('assert');
 let passedTests = 0;
 let failedTests = 0;
 
+// Tests are registered first and run sequentially so async tests can await
+const queue = [];
+
 function test(name, fn) {
-  try {
-    fn();
-    console.log(`  ✓ ${name}`);
-    passedTests++;
-  } catch (error) {
-    console.log(`  ✗ ${name}`);
-    console.log(`    Error: ${error.message}`);
-    failedTests++;
-  }
+  queue.push(async () => {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+      passedTests++;
+    } catch (error) {
+      console.log(`  ✗ ${name}`);
+      console.log(`    Error: ${error.message}`);
+      failedTests++;
+    }
+  });
 }
 
 function describe(name, fn) {
-  console.log(`\n${name}`);
+  queue.push(() => console.log(`\n${name}`));
   fn();
 }
 
+// Runs once all previously registered tests of the enclosing describe are done
+function after(fn) {
+  queue.push(fn);
+}
+
+async function run() {
+  for (const step of queue) {
+    await step();
+  }
+}
+
+/**
+ * Start a local HTTP stand-in for webhook endpoints
+ * @param {function} handler - (req, body, res) => void; body is the raw request body
+ * @returns {Promise<object>} { url, requests, close }
+ */
+function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => body += chunk);
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, body, res);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+// Reply with a JSON body
+function json(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start a local SMTP stand-in (no TLS)
+ * @param {function} [handler] - (command, session) => reply lines joined with "\n",
+ *   or undefined for the default reply; the end of DATA is passed as "."
+ * @returns {Promise<object>} { port, sessions, close }; each session has the
+ *   received `commands` and message `data`
+ */
+function startSmtpServer(handler = () => undefined) {
+  const sessions = [];
+  const sockets = new Set();
+  const defaults = {
+    EHLO: '250-stand-in\n250 AUTH PLAIN LOGIN',
+    AUTH: '235 Authentication successful',
+    DATA: '354 End with <CR><LF>.<CR><LF>',
+    QUIT: '221 Bye',
+  };
+
+  const server = net.createServer((socket) => {
+    const session = { commands: [], data: '' };
+    let buffer = '';
+    let inData = false;
+    sessions.push(session);
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    const reply = (command) => {
+      const text = handler(command, session) || defaults[command.split(' ')[0]] || '250 OK';
+      socket.write(`${text.replace(/\n/g, '\r\n')}\r\n`);
+      return text;
+    };
+
+    socket.write('220 stand-in ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            reply('.');
+          } else {
+            session.data += `${line}\r\n`;
+          }
+          continue;
+        }
+        session.commands.push(line);
+        inData = reply(line).startsWith('354');
+        if (line === 'QUIT') {
+          socket.end();
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        sessions,
+        close: () => new Promise((done) => {
+          sockets.forEach((socket) => socket.destroy());
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+/**
+ * Run fn in a temporary project (with a nested working directory) and home
+ * directory, writing the given config files first
+ * @param {object} files - { path: content }; "./" is the project root and "~/" the home directory
+ * @param {function} fn - ({ project, home, cwd }) => Promise
+ */
+async function withProject(files, fn) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-push-'));
+  const home = path.join(root, 'home');
+  const project = path.join(root, 'project');
+  const cwd = path.join(project, 'packages', 'app');
+  fs.mkdirSync(home);
+  fs.mkdirSync(cwd, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    const file = name.replace(/^~/, home).replace(/^\./, project);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  const previous = { cwd: process.cwd(), home: process.env.HOME };
+  process.env.HOME = home;
+  process.chdir(cwd);
+  try {
+    await fn({ project, home, cwd });
+  } finally {
+    process.chdir(previous.cwd);
+    process.env.HOME = previous.home;
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+// Custom adapter that records each notification in sent.jsonl
+const RECORDER_ADAPTER = `module.exports = {
+  name: 'recorder',
+  config: [{ name: 'key', env: 'WEBHOOK_RECORDER_KEY' }],
+  buildUrl: () => 'recorder://',
+  format: (content, options) => ({ title: options.title, text: content }),
+  send: async ({ payload }) => {
+    require('fs').appendFileSync('sent.jsonl', JSON.stringify(payload) + '\\n');
+    return { ok: true, platform: 'recorder' };
+  },
+};`;
+
+/**
+ * Run the CLI in a project directory, sending to the recorder adapter
+ * @param {string} cwd - Directory from withProject()
+ * @param {string[]} cliArgs - Arguments after the platform selection; with
+ *   -c the channel selects the platform instead
+ * @param {string} [input] - Text piped to stdin
+ * @returns {object} { status, stdout, stderr, sent } where sent lists the recorded payloads
+ */
+function runCli(cwd, cliArgs, input = '') {
+  const { spawnSync } = require('child_process');
+  fs.writeFileSync(path.join(cwd, 'recorder.js'), RECORDER_ADAPTER);
+  const file = path.join(cwd, 'sent.jsonl');
+  fs.rmSync(file, { force: true });
+  const child = spawnSync(process.execPath,
+    [path.join(__dirname, 'cli.js'), '--adapter', './recorder.js',
+      ...(cliArgs.includes('-c') ? [] : ['-p', 'recorder']), ...cliArgs],
+    { cwd, input, env: { ...process.env, WEBHOOK_RECORDER_KEY: 'recorder-key' }, timeout: 20000 });
+  const sent = fs.existsSync(file)
+    ? fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line))
+    : [];
+  return { status: child.status, stdout: child.stdout.toString(), stderr: child.stderr.toString(), sent };
+}
+
 // ============================================================================
 // Import Module
 // ============================================================================
 
 const {
   push,
+  pushMessage,
   pushProgress,
+  createTask,
+  flushDigest,
+  verifyPlatform,
+  renderPreview,
+  flushOutbox,
+  listOutbox,
+  purgeOutbox,
   getConfig,
   isConfigured,
   getConfiguredPlatforms,
+  loadConfig,
+  getChannels,
+  resolveChannel,
+  resolveRoute,
   PLATFORMS,
   ENV_KEYS,
   STATUS_STYLES,
   DEFAULT_PLATFORM,
+  ALL_PLATFORMS,
+  REQUEST_DEFAULTS,
+  WebhookError,
+  PlatformError,
+  ConfigError,
+  signDingTalk,
+  signFeishu,
+  renderMarkdown,
+  escapeMarkdown,
+  ENV_SECRETS,
+  registerPlatform,
+  getAdapter,
+  getPlatforms,
+  COLOR_HEX,
+  DEFAULT_PRIORITY,
 } = require('./index');
 
 // ============================================================================
@@ -62,7 +279,14 @@ describe('Constants', () => {
     assert.strictEqual(PLATFORMS.FEISHU, 'feishu');
     assert.strictEqual(PLATFORMS.SLACK, 'slack');
     assert.strictEqual(PLATFORMS.TELEGRAM, 'telegram');
-    assert.strictEqual(Object.keys(PLATFORMS).length, 5);
+    assert.strictEqual(PLATFORMS.DISCORD, 'discord');
+    assert.strictEqual(PLATFORMS.TEAMS, 'teams');
+    assert.strictEqual(PLATFORMS.MATTERMOST, 'mattermost');
+    assert.strictEqual(PLATFORMS.NTFY, 'ntfy');
+    assert.strictEqual(PLATFORMS.GOTIFY, 'gotify');
+    assert.strictEqual(PLATFORMS.BARK, 'bark');
+    assert.strictEqual(PLATFORMS.EMAIL, 'email');
+    assert.strictEqual(Object.keys(PLATFORMS).length, 12);
   });
 
   test('ENV_KEYS should map platforms to environment variables', () => {
@@ -71,6 +295,9 @@ describe('Constants', () => {
     assert.strictEqual(ENV_KEYS[PLATFORMS.FEISHU], 'WEBHOOK_FEISHU_TOKEN');
     assert.strictEqual(ENV_KEYS[PLATFORMS.SLACK], 'WEBHOOK_SLACK_URL');
     assert.strictEqual(ENV_KEYS[PLATFORMS.TELEGRAM], 'WEBHOOK_TELEGRAM_TOKEN');
+    assert.strictEqual(ENV_KEYS[PLATFORMS.DISCORD], 'WEBHOOK_DISCORD_URL');
+    assert.strictEqual(ENV_KEYS[PLATFORMS.TEAMS], 'WEBHOOK_TEAMS_URL');
+    assert.strictEqual(ENV_KEYS[PLATFORMS.MATTERMOST], 'WEBHOOK_MATTERMOST_URL');
   });
 
   test('STATUS_STYLES should contain all status types', () => {
@@ -175,7 +402,7 @@ describe('Configuration Functions', () => {
   });
 
   // Restore original env
-  Object.assign(process.env, originalEnv);
+  after(() => Object.assign(process.env, originalEnv));
 });
 
 // ============================================================================
@@ -211,52 +438,2856 @@ describe('Function Signatures', () => {
 });
 
 // ============================================================================
-// Tests: Module Exports
+// Tests: Multi-platform Broadcast
 // ============================================================================
 
-describe('Module Exports', () => {
-  test('Module should export all required functions', () => {
-    const module = require('./index');
-    assert.ok(module.push);
-    assert.ok(module.pushProgress);
-    assert.ok(module.getConfig);
-    assert.ok(module.isConfigured);
-    assert.ok(module.getConfiguredPlatforms);
+describe('Multi-platform Broadcast', () => {
+  const cleanEnv = () => {
+    for (const envKey of Object.values(ENV_KEYS)) {
+      delete process.env[envKey];
+    }
+    delete process.env.WEBHOOK_TELEGRAM_CHAT_ID;
+  };
+
+  test('ALL_PLATFORMS should be "all"', () => {
+    assert.strictEqual(ALL_PLATFORMS, 'all');
   });
 
-  test('Module should export all required constants', () => {
-    const module = require('./index');
-    assert.ok(module.PLATFORMS);
-    assert.ok(module.ENV_KEYS);
-    assert.ok(module.STATUS_STYLES);
-    assert.ok(module.DEFAULT_PLATFORM);
+  test('push to a platform list should report per-platform results', async () => {
+    cleanEnv();
+    const server = await startServer((req, body, res) => json(res, 200, { ok: true }));
+    process.env.WEBHOOK_SLACK_URL = `${server.url}/slack`;
+
+    try {
+      const result = await push('Hello', { platform: ['slack', 'dingtalk'] });
+      assert.strictEqual(result.ok, false);
+      assert.deepStrictEqual(result.succeeded, ['slack']);
+      assert.deepStrictEqual(result.failed, ['dingtalk']);
+      assert.strictEqual(result.results.slack.ok, true);
+      assert.match(result.results.dingtalk.error.message, /WEBHOOK_DINGTALK_TOKEN/);
+      assert.strictEqual(server.requests.length, 1);
+    } finally {
+      await server.close();
+      cleanEnv();
+    }
+  });
+
+  test('push with "all" should target every configured platform', async () => {
+    cleanEnv();
+    const server = await startServer((req, body, res) => json(res, 200, { ok: true }));
+    process.env.WEBHOOK_SLACK_URL = `${server.url}/slack`;
+
+    try {
+      const result = await push('Hello', { platform: 'all' });
+      assert.strictEqual(result.ok, true);
+      assert.deepStrictEqual(Object.keys(result.results), ['slack']);
+    } finally {
+      await server.close();
+      cleanEnv();
+    }
+  });
+
+  test('push with "all" should reject when nothing is configured', async () => {
+    cleanEnv();
+    await assert.rejects(push('Hello', { platform: 'all' }), /No platforms configured/);
+  });
+
+  test('pushProgress to a platform list should format per platform', async () => {
+    cleanEnv();
+    const server = await startServer((req, body, res) => json(res, 200, { ok: true }));
+    process.env.WEBHOOK_SLACK_URL = `${server.url}/slack`;
+
+    try {
+      const result = await pushProgress('Build', 'failed', 'Tests failed', {
+        platform: ['slack', 'slack'],
+      });
+      assert.strictEqual(result.ok, true);
+      assert.strictEqual(server.requests.length, 1);
+      const { blocks } = JSON.parse(server.requests[0].body).attachments[0];
+      assert.strictEqual(blocks[0].text.text, 'Build - failed');
+      assert.strictEqual(blocks[2].fields[0].text, '*Status*\n❌ FAILED');
+    } finally {
+      await server.close();
+      cleanEnv();
+    }
   });
 });
 
 // ============================================================================
-// Tests: CLI Arguments Parser (via require)
+// Tests: Retries and Timeouts
 // ============================================================================
 
-describe('CLI Module', () => {
-  test('CLI module should be loadable', () => {
-    // Just verify the file exists and has proper shebang
-    const fs = require('fs');
-    const content = fs.readFileSync('./cli.js', 'utf8');
-    assert.ok(content.startsWith('#!/usr/bin/env node'));
+describe('Retries and Timeouts', () => {
+  const fast = { platform: 'slack', retryDelay: 1 };
+
+  // Serve the given responses in order, repeating the last one
+  const sequence = (...responses) => {
+    let index = 0;
+    return (req, body, res) => {
+      const [statusCode, payload, headers] = responses[Math.min(index++, responses.length - 1)];
+      res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(payload));
+    };
+  };
+
+  const withSlack = async (handler, fn) => {
+    const server = await startServer(handler);
+    process.env.WEBHOOK_SLACK_URL = `${server.url}/slack`;
+    try {
+      await fn(server);
+    } finally {
+      await server.close();
+      delete process.env.WEBHOOK_SLACK_URL;
+    }
+  };
+
+  test('REQUEST_DEFAULTS should define timeout and retry settings', () => {
+    assert.strictEqual(REQUEST_DEFAULTS.timeout, 10000);
+    assert.strictEqual(REQUEST_DEFAULTS.attempts, 3);
+    assert.ok(REQUEST_DEFAULTS.retryDelay > 0);
+    assert.ok(REQUEST_DEFAULTS.maxRetryDelay >= REQUEST_DEFAULTS.retryDelay);
+  });
+
+  test('should retry 5xx responses until success', async () => {
+    await withSlack(sequence([503, {}], [502, {}], [200, { ok: true }]), async (server) => {
+      const response = await push('Hello', fast);
+      assert.deepStrictEqual(response.raw, { ok: true });
+      assert.strictEqual(server.requests.length, 3);
+    });
+  });
+
+  test('should stop after the configured number of attempts', async () => {
+    await withSlack(sequence([500, { error: 'boom' }]), async (server) => {
+      await assert.rejects(push('Hello', { ...fast, attempts: 2 }), (error) => {
+        assert.ok(error instanceof WebhookError);
+        assert.strictEqual(error.statusCode, 500);
+        assert.strictEqual(error.attempts, 2);
+        return true;
+      });
+      assert.strictEqual(server.requests.length, 2);
+    });
+  });
+
+  test('should not retry non-retryable responses', async () => {
+    await withSlack(sequence([400, { error: 'invalid_payload' }]), async (server) => {
+      await assert.rejects(push('Hello', fast), (error) => {
+        assert.strictEqual(error.retryable, false);
+        assert.match(error.message, /HTTP 400/);
+        return true;
+      });
+      assert.strictEqual(server.requests.length, 1);
+    });
+  });
+
+  test('should honor the Retry-After header on 429', async () => {
+    await withSlack(sequence([429, {}, { 'Retry-After': '0' }], [200, { ok: true }]), async (server) => {
+      await push('Hello', { ...fast, retryDelay: 60000 });
+      assert.strictEqual(server.requests.length, 2);
+    });
+  });
+
+  test('should honor Telegram parameters.retry_after', async () => {
+    const limited = [429, { ok: false, error_code: 429, parameters: { retry_after: 5 } }];
+    await withSlack(sequence(limited), async (server) => {
+      await assert.rejects(push('Hello', { ...fast, maxRetryDelay: 1000 }), (error) => {
+        assert.strictEqual(error.retryAfter, 5000);
+        return true;
+      });
+      // Retry-After exceeds maxRetryDelay, so no second attempt is made
+      assert.strictEqual(server.requests.length, 1);
+    });
+  });
+
+  test('should time out slow requests', async () => {
+    const pending = [];
+    await withSlack((req, body, res) => pending.push(res), async (server) => {
+      await assert.rejects(push('Hello', { ...fast, timeout: 50, attempts: 2 }), (error) => {
+        assert.strictEqual(error.code, 'ETIMEDOUT');
+        assert.strictEqual(error.attempts, 2);
+        return true;
+      });
+      assert.strictEqual(server.requests.length, 2);
+      pending.forEach((res) => res.destroy());
+    });
   });
 });
 
 // ============================================================================
-// Summary
+// Tests: Response Interpretation
 // ============================================================================
 
-console.log('\n' + '='.repeat(50));
-console.log(`Test Results: ${passedTests} passed, ${failedTests} failed`);
-console.log('='.repeat(50));
+describe('Response Interpretation', () => {
+  const ok = (body, statusCode = 200, headers = {}) => ({ statusCode, headers, body });
 
-if (failedTests > 0) {
-  process.exit(1);
-}
+  const rejectsWith = (fn, check) => {
+    assert.throws(fn, (error) => {
+      assert.ok(error instanceof PlatformError);
+      assert.ok(error instanceof WebhookError);
+      check(error);
+      return true;
+    });
+  };
+
+  test('WeCom errcode 0 should be a success', () => {
+    const result = getAdapter('wecom').interpret(ok({ errcode: 0, errmsg: 'ok' }));
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.platform, 'wecom');
+    assert.deepStrictEqual(result.raw, { errcode: 0, errmsg: 'ok' });
+  });
+
+  test('WeCom non-zero errcode with HTTP 200 should be a PlatformError', () => {
+    rejectsWith(() => getAdapter('wecom').interpret(ok({ errcode: 93000, errmsg: 'invalid webhook url' })), (error) => {
+      assert.strictEqual(error.platform, 'wecom');
+      assert.strictEqual(error.platformCode, 93000);
+      assert.strictEqual(error.retryable, false);
+      assert.match(error.message, /invalid webhook url/);
+    });
+  });
+
+  test('WeCom rate limit should be retryable', () => {
+    rejectsWith(() => getAdapter('wecom').interpret(ok({ errcode: 45009, errmsg: 'api freq out of limit' })), (error) => {
+      assert.strictEqual(error.retryable, true);
+    });
+  });
+
+  test('DingTalk keyword mismatch should be a PlatformError', () => {
+    const body = { errcode: 310000, errmsg: 'keywords not in content' };
+    rejectsWith(() => getAdapter('dingtalk').interpret(ok(body)), (error) => {
+      assert.strictEqual(error.platform, 'dingtalk');
+      assert.strictEqual(error.platformCode, 310000);
+      assert.strictEqual(error.retryable, false);
+    });
+  });
+
+  test('Feishu code and legacy StatusCode should both be checked', () => {
+    assert.strictEqual(getAdapter('feishu').interpret(ok({ code: 0, msg: 'success', data: {} })).ok, true);
+    assert.strictEqual(getAdapter('feishu').interpret(ok({ StatusCode: 0, StatusMessage: 'success' })).ok, true);
+    rejectsWith(() => getAdapter('feishu').interpret(ok({ code: 19021, msg: 'sign match fail' })), (error) => {
+      assert.strictEqual(error.platformCode, 19021);
+    });
+    rejectsWith(() => getAdapter('feishu').interpret(ok({ StatusCode: 11232, StatusMessage: 'frequency limited' })), (error) => {
+      assert.strictEqual(error.retryable, true);
+    });
+  });
+
+  test('A JSON null body should be judged by the HTTP status', () => {
+    for (const platform of Object.values(PLATFORMS)) {
+      assert.strictEqual(getAdapter(platform).interpret(ok(null)).ok, true, platform);
+      assert.throws(() => getAdapter(platform).interpret(ok(null, 503)), (error) => {
+        assert.ok(error instanceof WebhookError);
+        assert.strictEqual(error.statusCode, 503);
+        assert.strictEqual(error.retryable, true);
+        return true;
+      });
+    }
+  });
+
+  test('Slack error strings should be PlatformErrors', () => {
+    assert.strictEqual(getAdapter('slack').interpret(ok({ raw: 'ok' })).ok, true);
+    rejectsWith(() => getAdapter('slack').interpret(ok({ raw: 'invalid_payload' }, 400)), (error) => {
+      assert.strictEqual(error.platformCode, 'invalid_payload');
+      assert.strictEqual(error.statusCode, 400);
+    });
+  });
+
+  test('Telegram success should expose message_id', () => {
+    const result = getAdapter('telegram').interpret(ok({ ok: true, result: { message_id: 42 } }));
+    assert.strictEqual(result.messageId, 42);
+  });
+
+  test('Telegram ok: false should be a PlatformError', () => {
+    const body = { ok: false, error_code: 400, description: "Bad Request: can't parse entities" };
+    rejectsWith(() => getAdapter('telegram').interpret(ok(body, 400)), (error) => {
+      assert.strictEqual(error.platformCode, 400);
+      assert.strictEqual(error.retryable, false);
+      assert.match(error.message, /can't parse entities/);
+    });
+
+    const limited = { ok: false, error_code: 429, description: 'Too Many Requests', parameters: { retry_after: 3 } };
+    rejectsWith(() => getAdapter('telegram').interpret(ok(limited, 429)), (error) => {
+      assert.strictEqual(error.retryable, true);
+      assert.strictEqual(error.retryAfter, 3000);
+    });
+  });
+
+  test('push should reject with a PlatformError when the platform refuses the message', async () => {
+    const server = await startServer((req, body, res) => {
+      res.writeHead(404);
+      res.end('no_service');
+    });
+    process.env.WEBHOOK_SLACK_URL = `${server.url}/slack`;
+    try {
+      await assert.rejects(push('Hello', { platform: 'slack' }), (error) => {
+        assert.ok(error instanceof PlatformError);
+        assert.strictEqual(error.platformCode, 'no_service');
+        return true;
+      });
+      assert.strictEqual(server.requests.length, 1);
+    } finally {
+      await server.close();
+      delete process.env.WEBHOOK_SLACK_URL;
+    }
+  });
+});
+
+// ============================================================================
+// Tests: Request Signing
+// ============================================================================
+
+describe('Request Signing', () => {
+  // Reference values computed with `openssl dgst -sha256 -hmac`
+  const DINGTALK_SECRET = 'SEC0123456789abcdef';
+  const DINGTALK_TIMESTAMP = 1700000000000;
+  const DINGTALK_SIGN = 'TSZbRFUuvaSQaRKUpF970OPCb2/LcQAP3wOvwZIzBZk=';
+  const FEISHU_SECRET = 'feishu-secret';
+  const FEISHU_TIMESTAMP = 1700000000;
+  const FEISHU_SIGN = 'OrBzY1Y01Gq+HgJsl+7OfWcMVwc7YocohQm5iiZwjhU=';
+
+  test('ENV_SECRETS should map DingTalk and Feishu secrets', () => {
+    assert.strictEqual(ENV_SECRETS.dingtalk, 'WEBHOOK_DINGTALK_SECRET');
+    assert.strictEqual(ENV_SECRETS.feishu, 'WEBHOOK_FEISHU_SECRET');
+  });
+
+  test('signDingTalk should match the known vector', () => {
+    assert.strictEqual(signDingTalk(DINGTALK_SECRET, DINGTALK_TIMESTAMP), DINGTALK_SIGN);
+  });
+
+  test('signFeishu should match the known vector', () => {
+    assert.strictEqual(signFeishu(FEISHU_SECRET, FEISHU_TIMESTAMP), FEISHU_SIGN);
+  });
+
+  test('DingTalk signature should be URL-encoded into the query string', () => {
+    const base = 'https://oapi.dingtalk.com/robot/send?access_token=abc';
+    const payload = { msgtype: 'markdown' };
+    const signed = getAdapter('dingtalk').sign(base, payload, { secret: DINGTALK_SECRET }, DINGTALK_TIMESTAMP);
+    const url = new URL(signed.url);
+    assert.strictEqual(url.searchParams.get('access_token'), 'abc');
+    assert.strictEqual(url.searchParams.get('timestamp'), String(DINGTALK_TIMESTAMP));
+    assert.strictEqual(url.searchParams.get('sign'), DINGTALK_SIGN);
+    assert.ok(signed.url.includes(encodeURIComponent(DINGTALK_SIGN)));
+    assert.strictEqual(signed.payload, payload);
+  });
+
+  test('Feishu signature should be added to the body', () => {
+    const signed = getAdapter('feishu').sign('https://open.feishu.cn/hook', { msg_type: 'interactive' },
+      { secret: FEISHU_SECRET }, FEISHU_TIMESTAMP);
+    assert.strictEqual(signed.url, 'https://open.feishu.cn/hook');
+    assert.strictEqual(signed.payload.timestamp, String(FEISHU_TIMESTAMP));
+    assert.strictEqual(signed.payload.sign, FEISHU_SIGN);
+    assert.strictEqual(signed.payload.msg_type, 'interactive');
+  });
+
+  test('Requests should be left unsigned without a secret', () => {
+    const base = 'https://oapi.dingtalk.com/robot/send?access_token=abc';
+    assert.strictEqual(getAdapter('dingtalk').sign(base, {}, {}).url, base);
+    assert.strictEqual(getAdapter('feishu').sign(base, {}, {}).payload.sign, undefined);
+  });
+
+  test('getConfig should include the signing secret when set', () => {
+    process.env.WEBHOOK_DINGTALK_TOKEN = 'token';
+    assert.strictEqual(getConfig('dingtalk').secret, undefined);
+    process.env.WEBHOOK_DINGTALK_SECRET = DINGTALK_SECRET;
+    assert.strictEqual(getConfig('dingtalk').secret, DINGTALK_SECRET);
+    delete process.env.WEBHOOK_DINGTALK_TOKEN;
+    delete process.env.WEBHOOK_DINGTALK_SECRET;
+  });
+});
+
+// ============================================================================
+// Tests: Platform Adapters
+// ============================================================================
+
+describe('Platform Adapters', () => {
+  const adapter = {
+    label: 'Echo',
+    config: [
+      { name: 'url', env: 'WEBHOOK_ECHO_URL', description: 'Echo webhook URL' },
+      { name: 'room', env: 'WEBHOOK_ECHO_ROOM', required: false },
+    ],
+    buildUrl: (config) => `${config.url}/rooms/${config.room || 'general'}`,
+    format: (content, options) => ({ text: content, title: options.title }),
+  };
+
+  test('getPlatforms should list the built-in platforms first', () => {
+    const builtins = Object.values(PLATFORMS);
+    assert.deepStrictEqual(getPlatforms().slice(0, builtins.length), builtins);
+  });
+
+  test('Built-in adapters should declare labels, docs and config', () => {
+    for (const platform of Object.values(PLATFORMS)) {
+      const builtin = getAdapter(platform);
+      assert.ok(builtin.label, `${platform} should have a label`);
+      assert.ok(builtin.docs, `${platform} should have docs`);
+      assert.strictEqual(builtin.config[0].env, ENV_KEYS[platform]);
+    }
+  });
+
+  test('registerPlatform should reject invalid names and adapters', () => {
+    assert.throws(() => registerPlatform('Bad Name', adapter), /Invalid platform name/);
+    assert.throws(() => registerPlatform('all', adapter), /reserved/);
+    assert.throws(() => registerPlatform('echo', { ...adapter, config: [] }), /config requirements/);
+    assert.throws(() => registerPlatform('echo', { ...adapter, format: null }), /format\(\)/);
+  });
+
+  test('Registered adapters should be reflected in configuration helpers', () => {
+    registerPlatform('echo', adapter);
+    assert.ok(getPlatforms().includes('echo'));
+    assert.strictEqual(ENV_KEYS.echo, 'WEBHOOK_ECHO_URL');
+    assert.strictEqual(isConfigured('echo'), false);
+    assert.throws(() => getConfig('echo'), /WEBHOOK_ECHO_URL/);
+
+    process.env.WEBHOOK_ECHO_URL = 'http://localhost';
+    assert.deepStrictEqual(getConfig('echo'), { url: 'http://localhost' });
+    assert.ok(getConfiguredPlatforms().includes('echo'));
+    delete process.env.WEBHOOK_ECHO_URL;
+  });
+
+  test('push and pushProgress should use the registered adapter', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, { ok: true }));
+    process.env.WEBHOOK_ECHO_URL = server.url;
+    process.env.WEBHOOK_ECHO_ROOM = 'ci';
+
+    try {
+      const result = await push('Hello', { platform: 'echo', title: 'Greeting' });
+      assert.strictEqual(result.ok, true);
+      assert.strictEqual(result.platform, 'echo');
+      assert.strictEqual(server.requests[0].url, '/rooms/ci');
+      assert.deepStrictEqual(JSON.parse(server.requests[0].body), { text: 'Hello', title: 'Greeting' });
+
+      await pushProgress('Build', 'completed', 'Done', { platform: 'echo' });
+      const payload = JSON.parse(server.requests[1].body);
+      assert.strictEqual(payload.title, 'Build - completed');
+      assert.match(payload.text, /^Done\n\n\*\*Status:\*\* ✅ COMPLETED\n\n\*\d{4}-.+\*$/);
+    } finally {
+      await server.close();
+      delete process.env.WEBHOOK_ECHO_URL;
+      delete process.env.WEBHOOK_ECHO_ROOM;
+    }
+  });
+
+  test('Adapters without interpret() should treat non-2xx as errors', async () => {
+    const server = await startServer((req, body, res) => json(res, 403, { error: 'forbidden' }));
+    process.env.WEBHOOK_ECHO_URL = server.url;
+
+    try {
+      await assert.rejects(push('Hello', { platform: 'echo' }), /HTTP 403/);
+    } finally {
+      await server.close();
+      delete process.env.WEBHOOK_ECHO_URL;
+    }
+  });
+
+  test('Unknown platforms should be rejected by pushProgress', async () => {
+    await assert.rejects(pushProgress('Build', 'started', '', { platform: 'nope' }), /Unknown platform/);
+  });
+});
+
+// ============================================================================
+// Tests: Discord, Teams and Mattermost
+// ============================================================================
+
+describe('Discord, Teams and Mattermost', () => {
+  // Run fn against a stand-in server configured as the platform's webhook URL
+  const withPlatform = async (envKey, handler, fn) => {
+    const server = await startServer(handler);
+    process.env[envKey] = `${server.url}/hook`;
+    try {
+      await fn(server, (index = 0) => JSON.parse(server.requests[index].body));
+    } finally {
+      await server.close();
+      delete process.env[envKey];
+    }
+  };
+
+  test('Discord should send plain content and return the message ID', async () => {
+    const reply = (req, body, res) => json(res, 200, { id: '1234567890' });
+    await withPlatform('WEBHOOK_DISCORD_URL', reply, async (server, payload) => {
+      const result = await push('Hello', { platform: 'discord' });
+      assert.strictEqual(result.messageId, '1234567890');
+      assert.strictEqual(server.requests[0].url, '/hook?wait=true');
+      assert.deepStrictEqual(payload(), { content: 'Hello' });
+    });
+  });
+
+  test('Discord progress should use an embed colored by status', async () => {
+    const reply = (req, body, res) => json(res, 200, { id: '1' });
+    await withPlatform('WEBHOOK_DISCORD_URL', reply, async (server, payload) => {
+      await pushProgress('Deploy', 'failed', 'Rollback started', { platform: 'discord' });
+      const [embed] = payload().embeds;
+      assert.strictEqual(embed.title, 'Deploy - failed');
+      assert.strictEqual(embed.color, parseInt(COLOR_HEX.red.slice(1), 16));
+      assert.strictEqual(embed.description, 'Rollback started');
+      assert.deepStrictEqual(embed.fields, [{ name: 'Status', value: '❌ FAILED', inline: true }]);
+      assert.match(embed.footer.text, /^\d{4}-/);
+    });
+  });
+
+  test('A color option should override the status color of progress', async () => {
+    const reply = (req, body, res) => json(res, 200, { id: '1' });
+    await withPlatform('WEBHOOK_DISCORD_URL', reply, async (server, payload) => {
+      await pushProgress('Deploy', 'failed', 'Rollback started', { platform: 'discord', color: '#123456' });
+      assert.strictEqual(payload().embeds[0].color, 0x123456);
+    });
+  });
+
+  test('Discord errors should be PlatformErrors', async () => {
+    const reply = (req, body, res) => json(res, 400, { message: 'Cannot send an empty message', code: 50006 });
+    await withPlatform('WEBHOOK_DISCORD_URL', reply, async () => {
+      await assert.rejects(push('', { platform: 'discord' }), (error) => {
+        assert.ok(error instanceof PlatformError);
+        assert.strictEqual(error.platformCode, 50006);
+        return true;
+      });
+    });
+  });
+
+  test('Teams should send an Adaptive Card', async () => {
+    const reply = (req, body, res) => res.end('1');
+    await withPlatform('WEBHOOK_TEAMS_URL', reply, async (server, payload) => {
+      await pushProgress('Build', 'completed', 'All tests passed', { platform: 'teams' });
+      const { type, attachments } = payload();
+      assert.strictEqual(type, 'message');
+      assert.strictEqual(attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
+      const card = attachments[0].content;
+      assert.strictEqual(card.type, 'AdaptiveCard');
+      assert.strictEqual(card.body[0].text, 'Build - completed');
+      assert.strictEqual(card.body[0].color, 'Good');
+      assert.match(card.body[1].text, /All tests passed/);
+    });
+  });
+
+  test('Teams errors reported with HTTP 200 should be detected', async () => {
+    const reply = (req, body, res) => res.end('Microsoft Teams endpoint returned HTTP error 429 with ContextId x');
+    await withPlatform('WEBHOOK_TEAMS_URL', reply, async (server) => {
+      await assert.rejects(push('Hello', { platform: 'teams', attempts: 1 }), (error) => {
+        assert.ok(error instanceof PlatformError);
+        assert.strictEqual(error.platformCode, 429);
+        assert.strictEqual(error.retryable, true);
+        return true;
+      });
+    });
+  });
+
+  test('Mattermost should send text with channel and username overrides', async () => {
+    const reply = (req, body, res) => res.end('ok');
+    process.env.WEBHOOK_MATTERMOST_CHANNEL = 'town-square';
+    process.env.WEBHOOK_MATTERMOST_USERNAME = 'ci-bot';
+    await withPlatform('WEBHOOK_MATTERMOST_URL', reply, async (server, payload) => {
+      await push('Hello', { platform: 'mattermost' });
+      assert.deepStrictEqual(payload(), { channel: 'town-square', username: 'ci-bot', text: 'Hello' });
+
+      await pushProgress('Build', 'started', '', { platform: 'mattermost' });
+      const [attachment] = payload(1).attachments;
+      assert.strictEqual(attachment.title, 'Build - started');
+      assert.strictEqual(attachment.color, COLOR_HEX.blue);
+    });
+    delete process.env.WEBHOOK_MATTERMOST_CHANNEL;
+    delete process.env.WEBHOOK_MATTERMOST_USERNAME;
+  });
+
+  test('Mattermost and Rocket.Chat errors should be PlatformErrors', async () => {
+    const mattermost = (req, body, res) =>
+      json(res, 400, { id: 'web.incoming_webhook.text.app_error', message: 'No text specified', status_code: 400 });
+    await withPlatform('WEBHOOK_MATTERMOST_URL', mattermost, async () => {
+      await assert.rejects(push('', { platform: 'mattermost' }), /No text specified/);
+    });
+
+    const rocketChat = (req, body, res) => json(res, 200, { success: false, error: 'Invalid integration' });
+    await withPlatform('WEBHOOK_MATTERMOST_URL', rocketChat, async () => {
+      await assert.rejects(push('Hello', { platform: 'mattermost' }), /Invalid integration/);
+    });
+  });
+
+  test('--check should list the new platforms', () => {
+    const { execFileSync } = require('child_process');
+    const output = execFileSync(process.execPath, ['cli.js', '--check'], {
+      env: { ...process.env, WEBHOOK_DISCORD_URL: 'https://discord.com/api/webhooks/1/x' },
+    }).toString();
+    assert.match(output, /✓ discord\s+WEBHOOK_DISCORD_URL/);
+    assert.match(output, /✗ teams\s+WEBHOOK_TEAMS_URL/);
+    assert.match(output, /WEBHOOK_MATTERMOST_CHANNEL \(not set\)/);
+  });
+});
+
+// ============================================================================
+// Tests: ntfy, Gotify and Bark
+// ============================================================================
+
+describe('ntfy, Gotify and Bark', () => {
+  // Run fn against a stand-in server configured through the given env vars
+  const withServer = async (env, handler, fn) => {
+    const server = await startServer(handler);
+    for (const [key, value] of Object.entries(env)) {
+      process.env[key] = value.replace('$URL', server.url);
+    }
+    try {
+      await fn(server, (index = 0) => JSON.parse(server.requests[index].body));
+    } finally {
+      await server.close();
+      Object.keys(env).forEach((key) => delete process.env[key]);
+    }
+  };
+
+  test('STATUS_STYLES should rank failures above other statuses', () => {
+    assert.strictEqual(DEFAULT_PRIORITY, 3);
+    assert.strictEqual(STATUS_STYLES.failed.priority, 4);
+    assert.strictEqual(STATUS_STYLES.in_progress.priority, 2);
+    for (const style of Object.values(STATUS_STYLES)) {
+      assert.ok(style.ntfy, 'each status should have an ntfy tag');
+    }
+  });
+
+  test('ntfy should publish JSON to a custom server with a bearer token', async () => {
+    const env = { WEBHOOK_NTFY_TOPIC: 'builds', WEBHOOK_NTFY_SERVER: '$URL/', WEBHOOK_NTFY_TOKEN: 'tk_secret' };
+    const reply = (req, body, res) => json(res, 200, { id: 'abc123', event: 'message' });
+    await withServer(env, reply, async (server, payload) => {
+      const result = await pushProgress('Deploy', 'failed', 'Rollback started', { platform: 'ntfy' });
+      assert.strictEqual(result.messageId, 'abc123');
+      assert.strictEqual(server.requests[0].url, '/');
+      assert.strictEqual(server.requests[0].headers.authorization, 'Bearer tk_secret');
+
+      const message = payload();
+      assert.strictEqual(message.topic, 'builds');
+      assert.strictEqual(message.title, 'Deploy - failed');
+      assert.strictEqual(message.priority, 4);
+      assert.deepStrictEqual(message.tags, ['x']);
+      assert.strictEqual(message.markdown, true);
+      assert.match(message.message, /Rollback started/);
+    });
+  });
+
+  test('ntfy should honor an explicit priority and report errors', async () => {
+    const env = { WEBHOOK_NTFY_TOPIC: 'builds', WEBHOOK_NTFY_SERVER: '$URL' };
+    const reply = (req, body, res) => json(res, 403, { code: 40301, http: 403, error: 'forbidden' });
+    await withServer(env, reply, async (server, payload) => {
+      await assert.rejects(push('Hello', { platform: 'ntfy', priority: 5 }), (error) => {
+        assert.strictEqual(error.platformCode, 40301);
+        return true;
+      });
+      assert.strictEqual(payload().priority, 5);
+      assert.strictEqual(server.requests[0].headers.authorization, undefined);
+    });
+  });
+
+  test('Gotify should send the app token header and a 0-10 priority', async () => {
+    const env = { WEBHOOK_GOTIFY_URL: '$URL', WEBHOOK_GOTIFY_TOKEN: 'app-token' };
+    const reply = (req, body, res) => json(res, 200, { id: 7, appid: 1 });
+    await withServer(env, reply, async (server, payload) => {
+      const result = await pushProgress('Build', 'failed', '', { platform: 'gotify' });
+      assert.strictEqual(result.messageId, 7);
+      assert.strictEqual(server.requests[0].url, '/message');
+      assert.strictEqual(server.requests[0].headers['x-gotify-key'], 'app-token');
+      assert.strictEqual(payload().priority, 8);
+      assert.strictEqual(payload().extras['client::display'].contentType, 'text/markdown');
+    });
+  });
+
+  test('Gotify errors should be PlatformErrors', async () => {
+    const env = { WEBHOOK_GOTIFY_URL: '$URL', WEBHOOK_GOTIFY_TOKEN: 'wrong' };
+    const reply = (req, body, res) =>
+      json(res, 401, { error: 'Unauthorized', errorCode: 401, errorDescription: 'you need to provide a valid access token' });
+    await withServer(env, reply, async () => {
+      await assert.rejects(push('Hello', { platform: 'gotify' }), /valid access token/);
+    });
+  });
+
+  test('Bark should map failures to time-sensitive alarms', async () => {
+    const env = { WEBHOOK_BARK_KEY: 'device-key', WEBHOOK_BARK_SERVER: '$URL' };
+    const reply = (req, body, res) => json(res, 200, { code: 200, message: 'success' });
+    await withServer(env, reply, async (server, payload) => {
+      await pushProgress('Build', 'failed', 'Tests failed', { platform: 'bark' });
+      assert.strictEqual(server.requests[0].url, '/push');
+      const message = payload();
+      assert.strictEqual(message.device_key, 'device-key');
+      assert.strictEqual(message.title, 'Build - failed');
+      assert.strictEqual(message.level, 'timeSensitive');
+      assert.strictEqual(message.sound, 'alarm');
+
+      await pushProgress('Build', 'in_progress', '', { platform: 'bark' });
+      assert.strictEqual(payload(1).level, 'passive');
+      assert.strictEqual(payload(1).sound, undefined);
+    });
+  });
+
+  test('Bark errors should be PlatformErrors', async () => {
+    const env = { WEBHOOK_BARK_KEY: 'bad-key', WEBHOOK_BARK_SERVER: '$URL' };
+    const reply = (req, body, res) => json(res, 400, { code: 400, message: 'failed to get device token' });
+    await withServer(env, reply, async () => {
+      await assert.rejects(push('Hello', { platform: 'bark' }), /failed to get device token/);
+    });
+  });
+
+  test('Configured push services should be included in getConfiguredPlatforms', () => {
+    process.env.WEBHOOK_NTFY_TOPIC = 'builds';
+    assert.ok(getConfiguredPlatforms().includes('ntfy'));
+    assert.strictEqual(isConfigured('gotify'), false);
+    delete process.env.WEBHOOK_NTFY_TOPIC;
+  });
+});
+
+// ============================================================================
+// Tests: Markdown Conversion
+// ============================================================================
+
+describe('Markdown Conversion', () => {
+  test('Slack should get mrkdwn emphasis, links and escaping', () => {
+    const slack = renderMarkdown('## Deploy\n**Done** in _2m_ by [CI](https://ci.example.com) ~~fast~~ <3 & `a<b`', 'slack');
+    assert.strictEqual(slack, '*Deploy*\n*Done* in _2m_ by <https://ci.example.com|CI> ~fast~ &lt;3 &amp; `a&lt;b`');
+  });
+
+  test('Telegram should get escaped HTML that survives underscores and asterisks', () => {
+    const telegram = renderMarkdown('**Branch** feature/my_branch_name, 2 * 3 < 7\n> [PR](https://x.example.com/?a=1&b=2)', 'telegram');
+    assert.strictEqual(telegram,
+      '<b>Branch</b> feature/my_branch_name, 2 * 3 &lt; 7\n' +
+      '<blockquote><a href="https://x.example.com/?a=1&amp;b=2">PR</a></blockquote>');
+    assert.strictEqual(getAdapter('telegram').format('x').parse_mode, 'HTML');
+  });
+
+  test('WeCom, DingTalk and Feishu should get their supported subsets', () => {
+    const source = '# Title\n*italic* ~~gone~~ `code`\nnext line';
+    assert.strictEqual(renderMarkdown(source, 'wecom'), '# Title\nitalic gone `code`\nnext line');
+    assert.strictEqual(renderMarkdown(source, 'dingtalk'), '# Title\n*italic* gone code  \nnext line');
+    assert.strictEqual(renderMarkdown(source, 'feishu'), '**Title**\n*italic* ~~gone~~ `code`\nnext line');
+  });
+
+  test('Plain text and HTML should keep structure and link targets', () => {
+    const source = 'Intro\n\n- **one**\n- [two](https://two.example.com)\n\n```\nx < y\n```';
+    assert.strictEqual(renderMarkdown(source, 'text'), 'Intro\n\n• one\n• two (https://two.example.com)\n\nx < y');
+    assert.strictEqual(renderMarkdown(source, 'html'),
+      '<p>Intro</p>\n<ul><li><strong>one</strong></li><li><a href="https://two.example.com">two</a></li></ul>\n' +
+      '<pre><code>x &lt; y</code></pre>');
+  });
+
+  test('escapeMarkdown should round-trip plain text', () => {
+    const name = 'deploy_*[prod]*_~v2~`x`';
+    for (const dialect of ['text', 'wecom', 'telegram']) {
+      assert.ok(renderMarkdown(`**${escapeMarkdown(name)}**`, dialect).includes(
+        dialect === 'telegram' ? `<b>${name}</b>` : name), dialect);
+    }
+    assert.strictEqual(renderMarkdown(escapeMarkdown(name), 'markdown'), escapeMarkdown(name));
+  });
+
+  test('Content should be converted before format(), unless sent raw', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, {}));
+    registerPlatform('slackish', {
+      config: [{ name: 'url', env: 'WEBHOOK_SLACKISH_URL' }],
+      dialect: 'slack',
+      buildUrl: (config) => config.url,
+      format: (content) => ({ text: content }),
+    });
+    process.env.WEBHOOK_SLACKISH_URL = server.url;
+    try {
+      await push('**Hi** [there](https://x.example.com)', { platform: 'slackish' });
+      await push('*already mrkdwn* <https://x.example.com|link>', { platform: 'slackish', raw: true });
+      assert.strictEqual(JSON.parse(server.requests[0].body).text, '*Hi* <https://x.example.com|there>');
+      assert.strictEqual(JSON.parse(server.requests[1].body).text, '*already mrkdwn* <https://x.example.com|link>');
+    } finally {
+      delete process.env.WEBHOOK_SLACKISH_URL;
+      await server.close();
+    }
+  });
+
+  test('Adapters with an unknown dialect should be rejected', () => {
+    assert.throws(() => registerPlatform('odd', {
+      config: [{ name: 'url', env: 'WEBHOOK_ODD_URL' }],
+      dialect: 'bbcode',
+      buildUrl: (config) => config.url,
+      format: (content) => ({ content }),
+    }), /unknown dialect: bbcode/);
+  });
+});
+
+// ============================================================================
+// Tests: Message Size Limits
+// ============================================================================
+
+describe('Message Size Limits', () => {
+  // A log-like message: header, a long code block, and a summary at the end
+  const log = [
+    '**Build failed**',
+    '```',
+    ...Array.from({ length: 200 }, (_, i) => `step ${i}: compiling module_${i} ✓`),
+    '```',
+    'Summary: 3 errors',
+  ].join('\n');
 
-console.log('\n✓ All tests passed!\n');
+  // Sends to a custom platform with a 1000-byte limit, returns the received texts
+  async function sendLimited(content, options = {}) {
+    const server = await startServer((req, body, res) => json(res, 200, {}));
+    registerPlatform('tiny', {
+      config: [{ name: 'url', env: 'WEBHOOK_TINY_URL' }],
+      dialect: 'markdown',
+      limit: { size: 1000, unit: 'bytes' },
+      buildUrl: (config) => config.url,
+      format: (text) => ({ text }),
+    });
+    process.env.WEBHOOK_TINY_URL = server.url;
+    try {
+      const result = await push(content, { platform: 'tiny', ...options });
+      return { result, texts: server.requests.map((request) => JSON.parse(request.body).text) };
+    } finally {
+      delete process.env.WEBHOOK_TINY_URL;
+      await server.close();
+    }
+  }
+
+  test('Content within the limit should be sent unchanged', async () => {
+    const { texts } = await sendLimited('short message');
+    assert.deepStrictEqual(texts, ['short message']);
+  });
+
+  test('Truncation should keep the head and tail and close code fences', async () => {
+    const { texts } = await sendLimited(log);
+    assert.strictEqual(texts.length, 1);
+    const text = texts[0];
+    assert.ok(Buffer.byteLength(text) <= 1000);
+    assert.ok(text.startsWith('**Build failed**\n```\nstep 0:'));
+    assert.ok(text.endsWith('step 199: compiling module_199 ✓\n```\nSummary: 3 errors'));
+    assert.match(text, /```\n\n… \d+ lines truncated …\n\n```\n/);
+  });
+
+  test('A single huge line should be truncated by characters', async () => {
+    const { texts } = await sendLimited('界'.repeat(2000));
+    assert.ok(Buffer.byteLength(texts[0]) <= 1000);
+    assert.match(texts[0], /^界+\n\n… \d+ characters truncated …\n\n界+$/);
+  });
+
+  test('Split should send numbered parts in order, each within the limit', async () => {
+    const { result, texts } = await sendLimited(log, { overflow: 'split' });
+    assert.ok(texts.length > 1);
+    assert.strictEqual(result.parts.length, texts.length);
+    texts.forEach((text, index) => {
+      assert.ok(Buffer.byteLength(text) <= 1000);
+      assert.ok(text.startsWith(`(${index + 1}/${texts.length})\n`));
+      // Every part has balanced fences
+      assert.strictEqual((text.match(/```/g) || []).length % 2, 0);
+    });
+    const lines = texts.join('\n').split('\n').filter((line) => line.startsWith('step '));
+    assert.strictEqual(lines.length, 200);
+    assert.ok(texts[texts.length - 1].endsWith('Summary: 3 errors'));
+  });
+
+  test('Split should stop at ten parts and truncate the last one', async () => {
+    const lines = Array.from({ length: 1000 }, (_, i) => `line ${i}: ${'x'.repeat(40)}`);
+    const { result, texts } = await sendLimited(lines.join('\n'), { overflow: 'split' });
+    assert.strictEqual(texts.length, 10);
+    assert.strictEqual(result.parts.length, 10);
+    texts.forEach((text, index) => {
+      assert.ok(Buffer.byteLength(text) <= 1000);
+      assert.ok(text.startsWith(`(${index + 1}/10)\n`));
+    });
+    assert.ok(texts[0].startsWith('(1/10)\nline 0: '));
+    assert.match(texts[9], /… \d+ lines truncated …/);
+    assert.ok(texts[9].endsWith(lines[999]));
+  });
+
+  test('Invalid overflow modes should be rejected', async () => {
+    await assert.rejects(() => sendLimited(log, { overflow: 'drop' }), /Invalid overflow mode: drop/);
+  });
+
+  test('Built-in platforms should declare their limits', () => {
+    assert.deepStrictEqual(getAdapter('wecom').limit, { size: 4096, unit: 'bytes' });
+    assert.deepStrictEqual(getAdapter('telegram').limit, { size: 4096, unit: 'chars' });
+    assert.strictEqual(getAdapter('discord').limit({}).size, 2000);
+    assert.strictEqual(getAdapter('discord').limit({ title: 'Build' }).size, 4096);
+  });
+
+  test('Slack should spread long text over sections of at most 3000 characters', () => {
+    const text = renderMarkdown(log.repeat(3), 'slack');
+    const { blocks } = getAdapter('slack').format(text);
+    assert.ok(blocks.length > 1);
+    assert.ok(blocks.every((block) => block.text.text.length <= 3000));
+  });
+});
+
+// ============================================================================
+// Tests: Rich Messages
+// ============================================================================
+
+describe('Rich Messages', () => {
+  const release = {
+    title: 'Release v2.1.0',
+    summary: 'Published to **npm**',
+    fields: [{ name: 'Version', value: '2.1.0', short: true }, { name: 'Tag', value: '`latest`', short: true }],
+    buttons: [{ text: 'Changelog', url: 'https://example.com/changelog' }],
+    footer: 'release.yml',
+    color: 'green',
+  };
+  const identity = (markdown) => markdown;
+
+  // Send to a stand-in server configured as the platform's webhook URL
+  const sendTo = async (envKey, reply, send) => {
+    const server = await startServer(reply);
+    process.env[envKey] = `${server.url}/hook`;
+    try {
+      await send();
+      return JSON.parse(server.requests[0].body);
+    } finally {
+      await server.close();
+      delete process.env[envKey];
+    }
+  };
+
+  test('Slack should get Block Kit with fields, buttons and a context footer', async () => {
+    const payload = await sendTo('WEBHOOK_SLACK_URL', (req, body, res) => res.end('ok'),
+      () => pushMessage(release, { platform: 'slack' }));
+    assert.strictEqual(payload.text, 'Release v2.1.0');
+    assert.strictEqual(payload.attachments[0].color, COLOR_HEX.green);
+    assert.deepStrictEqual(payload.attachments[0].blocks.map((block) => block.type),
+      ['header', 'section', 'section', 'actions', 'context']);
+    const [, summary, fields, actions, context] = payload.attachments[0].blocks;
+    assert.strictEqual(summary.text.text, 'Published to *npm*');
+    assert.deepStrictEqual(fields.fields.map((field) => field.text), ['*Version*\n2.1.0', '*Tag*\n`latest`']);
+    assert.deepStrictEqual(actions.elements[0].url, 'https://example.com/changelog');
+    assert.strictEqual(context.elements[0].text, 'release.yml');
+  });
+
+  test('Teams should get a FactSet and OpenUrl actions', async () => {
+    const payload = await sendTo('WEBHOOK_TEAMS_URL', (req, body, res) => res.end('1'),
+      () => pushMessage(release, { platform: 'teams' }));
+    const card = payload.attachments[0].content;
+    assert.strictEqual(card.body[0].text, 'Release v2.1.0');
+    assert.strictEqual(card.body[0].color, 'Good');
+    assert.deepStrictEqual(card.body[2].facts, [{ title: 'Version', value: '2.1.0' }, { title: 'Tag', value: 'latest' }]);
+    assert.deepStrictEqual(card.actions, [{ type: 'Action.OpenUrl', title: 'Changelog', url: 'https://example.com/changelog' }]);
+  });
+
+  test('Discord should get embed fields, with buttons degraded to links', async () => {
+    const payload = await sendTo('WEBHOOK_DISCORD_URL', (req, body, res) => json(res, 200, { id: '1' }),
+      () => pushMessage(release, { platform: 'discord' }));
+    const [embed] = payload.embeds;
+    assert.strictEqual(embed.description, 'Published to **npm**\n\n[Changelog](https://example.com/changelog)');
+    assert.deepStrictEqual(embed.fields[1], { name: 'Tag', value: '`latest`', inline: true });
+    assert.deepStrictEqual(embed.footer, { text: 'release.yml' });
+  });
+
+  test('Feishu, DingTalk and Telegram should get their native layouts', () => {
+    const message = { ...release, fields: release.fields.map((field) => ({ ...field })) };
+    const render = (dialect) => (markdown) => renderMarkdown(markdown, dialect);
+
+    const { card } = getAdapter('feishu').formatMessage(message, {}, {}, render('feishu'));
+    assert.strictEqual(card.header.template, 'green');
+    const hex = getAdapter('feishu').formatMessage({ ...message, color: '#2ECC71' }, {}, {}, render('feishu'));
+    assert.strictEqual(hex.card.header.template, 'green');
+    assert.strictEqual(getAdapter('feishu').format('x', { color: '#C0392B' }).card.header.template, 'red');
+    assert.strictEqual(getAdapter('feishu').format('x', { color: 'orange' }).card.header.template, 'orange');
+    assert.deepStrictEqual(card.elements.map((element) => element.tag), ['markdown', 'div', 'action', 'note']);
+    assert.strictEqual(card.elements[1].fields[0].text.content, '**Version**\n2.1.0');
+    assert.strictEqual(card.elements[2].actions[0].url, 'https://example.com/changelog');
+
+    const dingtalk = getAdapter('dingtalk').formatMessage(message, {}, {}, render('dingtalk'));
+    assert.strictEqual(dingtalk.msgtype, 'actionCard');
+    assert.deepStrictEqual(dingtalk.actionCard.btns, [{ title: 'Changelog', actionURL: 'https://example.com/changelog' }]);
+    assert.match(dingtalk.actionCard.text, /^### Release v2\.1\.0\n\nPublished to \*\*npm\*\*/);
+    assert.strictEqual(getAdapter('dingtalk').formatMessage({ ...message, buttons: [] }, {}, {}, identity).msgtype, 'markdown');
+
+    const telegram = getAdapter('telegram').formatMessage(message, {}, {}, render('telegram'));
+    assert.deepStrictEqual(telegram.reply_markup.inline_keyboard, [[{ text: 'Changelog', url: 'https://example.com/changelog' }]]);
+    assert.match(telegram.text, /^<b>Release v2\.1\.0<\/b>\n\nPublished to <b>npm<\/b>/);
+    assert.doesNotMatch(telegram.text, /Changelog/);
+  });
+
+  test('Adapters without formatMessage() should get the message as markdown', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, {}));
+    registerPlatform('plain', {
+      config: [{ name: 'url', env: 'WEBHOOK_PLAIN_URL' }],
+      buildUrl: (config) => config.url,
+      format: (content, options) => ({ content, title: options.title, color: options.color }),
+    });
+    process.env.WEBHOOK_PLAIN_URL = server.url;
+    try {
+      await pushMessage(release, { platform: 'plain' });
+      assert.deepStrictEqual(JSON.parse(server.requests[0].body), {
+        content: 'Published to **npm**\n\n**Version:** 2.1.0  \n**Tag:** `latest`\n\n' +
+          '[Changelog](https://example.com/changelog)\n\n*release.yml*',
+        title: 'Release v2.1.0',
+        color: 'green',
+      });
+    } finally {
+      delete process.env.WEBHOOK_PLAIN_URL;
+      await server.close();
+    }
+  });
+
+  test('Incomplete fields and buttons should be rejected', async () => {
+    await assert.rejects(pushMessage({ buttons: [{ text: 'Logs' }] }, { platform: 'slack' }), /buttons need text and a url/);
+    await assert.rejects(pushMessage({ fields: [{ name: 'Version' }] }, { platform: 'slack' }), /fields need a name and a value/);
+  });
+
+  test('pushProgress should add duration, commit and a logs button', async () => {
+    const options = {
+      platform: 'slack',
+      duration: 83000,
+      commit: '0123456789abcdef0123456789abcdef01234567',
+      logsUrl: 'https://ci.example.com/runs/42',
+    };
+    const payload = await sendTo('WEBHOOK_SLACK_URL', (req, body, res) => res.end('ok'),
+      () => pushProgress('Build', 'completed', 'All tests passed', options));
+    const blocks = payload.attachments[0].blocks;
+    assert.deepStrictEqual(blocks[2].fields.map((field) => field.text),
+      ['*Status*\n✅ COMPLETED', '*Duration*\n1m 23s', '*Commit*\n`0123456`']);
+    assert.strictEqual(blocks[3].elements[0].text.text, 'View logs');
+    assert.strictEqual(blocks[3].elements[0].url, 'https://ci.example.com/runs/42');
+  });
+
+  test('Adapters with formatProgress() should keep their own layout', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, {}));
+    registerPlatform('legacy', {
+      config: [{ name: 'url', env: 'WEBHOOK_LEGACY_URL' }],
+      buildUrl: (config) => config.url,
+      format: (content) => ({ content }),
+      formatProgress: (taskName, status) => `${taskName} is ${status}`,
+    });
+    process.env.WEBHOOK_LEGACY_URL = server.url;
+    try {
+      await pushProgress('Build', 'started', '', { platform: 'legacy' });
+      assert.deepStrictEqual(JSON.parse(server.requests[0].body), { content: 'Build is started' });
+    } finally {
+      delete process.env.WEBHOOK_LEGACY_URL;
+      await server.close();
+    }
+  });
+
+  test('Native layouts should truncate a summary over the size limit', async () => {
+    const payload = await sendTo('WEBHOOK_DISCORD_URL', (req, body, res) => json(res, 200, { id: '1' }),
+      () => pushMessage({ title: 'Log', summary: Array.from({ length: 500 }, (_, i) => `line ${i}`).join('\n') }, { platform: 'discord' }));
+    const { description } = payload.embeds[0];
+    assert.ok(description.length <= 4096);
+    assert.match(description, /^line 0\n[\s\S]+… \d+ lines truncated …[\s\S]+line 499$/);
+  });
+});
+
+// ============================================================================
+// Tests: Attachments
+// ============================================================================
+
+describe('Attachments', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-push-attach-'));
+  const screenshot = path.join(dir, 'diff.png');
+  const log = path.join(dir, 'build.log');
+  fs.writeFileSync(screenshot, Buffer.from('89504e470d0a1a0a', 'hex'));
+  fs.writeFileSync(log, 'step 1 ok\nstep 2 failed\n');
+
+  // An attachment as planned for an adapter's attach()
+  const upload = (file, kind, contentType) => {
+    const data = fs.readFileSync(file);
+    return { name: path.basename(file), contentType, size: data.length, data, kind };
+  };
+
+  // Records the requests an adapter's attach() would send
+  const recorder = (replies = []) => {
+    const calls = [];
+    const send = async (url, data, headers) => {
+      calls.push({ url, data, headers });
+      return { ok: true, raw: replies[calls.length - 1] || {} };
+    };
+    return { calls, send };
+  };
+
+  test('Discord should upload files as multipart messages after the text', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, { id: String(server.requests.length) }));
+    process.env.WEBHOOK_DISCORD_URL = `${server.url}/hook`;
+    try {
+      const result = await push('Visual diff failed', { platform: 'discord', attachments: [log] });
+      assert.strictEqual(result.messageId, '1');
+      assert.strictEqual(result.attachments[0].messageId, '2');
+
+      const upload = server.requests[1];
+      assert.strictEqual(upload.url, '/hook?wait=true');
+      const boundary = upload.headers['content-type'].match(/^multipart\/form-data; boundary=(.+)$/)[1];
+      assert.ok(upload.body.includes(`--${boundary}\r\nContent-Disposition: form-data; name="payload_json"\r\n\r\n{}\r\n`));
+      assert.ok(upload.body.includes(
+        'Content-Disposition: form-data; name="files[0]"; filename="build.log"\r\n' +
+        'Content-Type: text/plain\r\n\r\nstep 1 ok\nstep 2 failed\n\r\n'));
+      assert.ok(upload.body.endsWith(`--${boundary}--\r\n`));
+    } finally {
+      delete process.env.WEBHOOK_DISCORD_URL;
+      await server.close();
+    }
+  });
+
+  test('Platforms without uploads should link or describe attachments', async () => {
+    const server = await startServer((req, body, res) => res.end('ok'));
+    process.env.WEBHOOK_SLACK_URL = `${server.url}/hook`;
+    try {
+      const attachments = [screenshot, { url: 'https://ci.example.com/artifacts/report_1.html' }];
+      await push('Visual diff failed', { platform: 'slack', attachments });
+      assert.strictEqual(JSON.parse(server.requests[0].body).blocks[0].text.text,
+        'Visual diff failed\n\n📎 diff.png (8 B)  \n📎 <https://ci.example.com/artifacts/report_1.html|report_1.html>');
+
+      await pushMessage({ title: 'Screenshots' }, { platform: 'slack', attachments: [log] });
+      assert.strictEqual(JSON.parse(server.requests[1].body).blocks[1].text.text, '📎 build.log (24 B)');
+      assert.strictEqual(server.requests.length, 2);
+    } finally {
+      delete process.env.WEBHOOK_SLACK_URL;
+      await server.close();
+    }
+  });
+
+  test('WeCom should send images as base64 and upload files for a media_id', async () => {
+    const wecom = getAdapter('wecom');
+    const image = upload(screenshot, 'image', 'image/png');
+    const file = upload(log, 'file', 'text/plain');
+
+    const images = recorder();
+    await wecom.attach(image, { key: 'k1' }, {}, images.send);
+    assert.strictEqual(images.calls[0].url, 'https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=k1');
+    assert.deepStrictEqual(images.calls[0].data, {
+      msgtype: 'image',
+      image: { base64: 'iVBORw0KGgo=', md5: require('crypto').createHash('md5').update(image.data).digest('hex') },
+    });
+
+    const files = recorder([{ errcode: 0, media_id: 'm-123' }]);
+    await wecom.attach(file, { key: 'k1' }, {}, files.send);
+    assert.strictEqual(files.calls[0].url, 'https://qyapi.weixin.qq.com/cgi-bin/webhook/upload_media?key=k1&type=file');
+    assert.match(files.calls[0].data.toString(), /name="media"; filename="build\.log"/);
+    assert.deepStrictEqual(files.calls[1].data, { msgtype: 'file', file: { media_id: 'm-123' } });
+  });
+
+  test('Telegram should use sendPhoto for images and sendDocument for files', async () => {
+    const telegram = getAdapter('telegram');
+    const { calls, send } = recorder();
+    await telegram.attach(upload(screenshot, 'image', 'image/png'), { key: 'T', extra: '-100' }, {}, send);
+    await telegram.attach(upload(log, 'file', 'text/plain'), { key: 'T', extra: '-100' }, {}, send);
+    assert.deepStrictEqual(calls.map((call) => call.url),
+      ['https://api.telegram.org/botT/sendPhoto', 'https://api.telegram.org/botT/sendDocument']);
+    assert.match(calls[0].data.toString(), /name="chat_id"\r\n\r\n-100\r\n/);
+    assert.match(calls[0].data.toString(), /name="photo"; filename="diff\.png"\r\nContent-Type: image\/png/);
+    assert.match(calls[1].data.toString(), /name="document"; filename="build\.log"/);
+  });
+
+  test('Attachments over the upload limit should be rejected before sending', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, { id: '1' }));
+    process.env.WEBHOOK_DISCORD_URL = `${server.url}/hook`;
+    try {
+      const attachments = [{ name: 'huge.zip', data: Buffer.alloc(11 * 1024 * 1024) }];
+      await assert.rejects(push('Artifacts', { platform: 'discord', attachments }),
+        /huge\.zip is 11\.0 MB, over the 10\.0 MB upload limit of Discord/);
+      assert.strictEqual(server.requests.length, 0);
+    } finally {
+      delete process.env.WEBHOOK_DISCORD_URL;
+      await server.close();
+    }
+  });
+
+  test('Missing files should be reported', async () => {
+    await assert.rejects(push('Hello', { platform: 'slack', attachments: [path.join(dir, 'missing.png')] }),
+      /Cannot read attachment .*missing\.png/);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+// ============================================================================
+// Tests: Email (SMTP)
+// ============================================================================
+
+describe('Email (SMTP)', () => {
+  // Run fn against an SMTP stand-in with WEBHOOK_EMAIL_* set from env
+  const withSmtp = async (env, handler, fn) => {
+    const server = await startSmtpServer(handler);
+    const settings = {
+      WEBHOOK_EMAIL_HOST: '127.0.0.1',
+      WEBHOOK_EMAIL_PORT: String(server.port),
+      WEBHOOK_EMAIL_FROM: 'ci@example.com',
+      WEBHOOK_EMAIL_TO: 'dev@example.com',
+      ...env,
+    };
+    Object.assign(process.env, settings);
+    try {
+      await fn(server);
+    } finally {
+      await server.close();
+      Object.keys(settings).forEach((key) => delete process.env[key]);
+    }
+  };
+
+  // Decode the base64 text and HTML parts of a received message
+  const decodeParts = (data) => {
+    const parts = {};
+    const pattern = /Content-Type: text\/(plain|html); charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n([\s\S]*?)\r\n--/g;
+    let match;
+    while ((match = pattern.exec(data))) {
+      parts[match[1]] = Buffer.from(match[2].replace(/\r\n/g, ''), 'base64').toString('utf8');
+    }
+    return parts;
+  };
+
+  test('Email should deliver to every recipient with a text and HTML part', async () => {
+    const env = {
+      WEBHOOK_EMAIL_TO: 'dev@example.com, ops@example.com',
+      WEBHOOK_EMAIL_USER: 'mailer',
+      WEBHOOK_EMAIL_PASS: 'p4ss',
+      WEBHOOK_EMAIL_TLS: 'none',
+    };
+    await withSmtp(env, undefined, async (server) => {
+      const result = await pushProgress('Deploy', 'failed', '**Rollback** started', { platform: 'email' });
+      assert.strictEqual(result.platform, 'email');
+      assert.match(result.messageId, /^<.+@example\.com>$/);
+
+      const { commands, data } = server.sessions[0];
+      const auth = commands.find((command) => command.startsWith('AUTH PLAIN '));
+      assert.strictEqual(Buffer.from(auth.slice(11), 'base64').toString(), '\0mailer\0p4ss');
+      assert.ok(commands.includes('MAIL FROM:<ci@example.com>'));
+      assert.ok(commands.includes('RCPT TO:<dev@example.com>'));
+      assert.ok(commands.includes('RCPT TO:<ops@example.com>'));
+      assert.match(data, /^Subject: Deploy - failed\r$/m);
+      assert.match(data, /^To: dev@example\.com, ops@example\.com\r$/m);
+
+      const parts = decodeParts(data);
+      assert.match(parts.plain, /Status: ❌ FAILED/);
+      assert.match(parts.plain, /Rollback started/);
+      assert.match(parts.html, /<strong>Rollback<\/strong> started/);
+      assert.ok(parts.html.includes(COLOR_HEX.red), 'HTML should carry the status color');
+    });
+  });
+
+  test('Email should refuse to send credentials without TLS by default', async () => {
+    await withSmtp({ WEBHOOK_EMAIL_USER: 'mailer', WEBHOOK_EMAIL_PASS: 'p4ss' }, undefined, async (server) => {
+      await assert.rejects(push('Hello', { platform: 'email' }), (error) => {
+        assert.ok(error instanceof PlatformError);
+        assert.match(error.message, /unencrypted/);
+        assert.strictEqual(error.attempts, 1);
+        return true;
+      });
+      assert.ok(!server.sessions[0].commands.some((command) => command.startsWith('AUTH')));
+    });
+  });
+
+  test('Email should fail when TLS is required but STARTTLS is not offered', async () => {
+    await withSmtp({ WEBHOOK_EMAIL_TLS: 'required' }, undefined, async () => {
+      await assert.rejects(push('Hello', { platform: 'email' }), /does not support STARTTLS/);
+    });
+  });
+
+  test('Rejected recipients should be permanent PlatformErrors', async () => {
+    const handler = (command) => (command.startsWith('RCPT') ? '550 5.1.1 No such user' : undefined);
+    await withSmtp({}, handler, async (server) => {
+      await assert.rejects(push('Hello', { platform: 'email' }), (error) => {
+        assert.strictEqual(error.platform, 'email');
+        assert.strictEqual(error.platformCode, 550);
+        assert.strictEqual(error.retryable, false);
+        assert.strictEqual(error.attempts, 1);
+        return true;
+      });
+      assert.strictEqual(server.sessions.length, 1);
+    });
+  });
+
+  test('Verification should check the recipients without sending', async () => {
+    await withSmtp({}, undefined, async (server) => {
+      const result = await verifyPlatform('email');
+      assert.strictEqual(result.ok, true);
+      assert.strictEqual(result.method, 'api');
+      assert.strictEqual(result.details, '127.0.0.1 accepted dev@example.com');
+      assert.ok(server.sessions[0].commands.includes('RCPT TO:<dev@example.com>'));
+      assert.ok(!server.sessions[0].commands.includes('DATA'));
+    });
+
+    const handler = (command) => (command.startsWith('RCPT') ? '550 5.1.1 No such user' : undefined);
+    await withSmtp({}, handler, async () => {
+      const result = await verifyPlatform('email');
+      assert.deepStrictEqual([result.ok, result.reachable, result.authorized], [false, true, false]);
+      assert.strictEqual(result.error.platformCode, 550);
+    });
+  });
+
+  test('Transient 4xx replies should be retried', async () => {
+    let busy = true;
+    const handler = (command) => {
+      if (command.startsWith('MAIL FROM') && busy) {
+        busy = false;
+        return '451 4.3.2 Try again later';
+      }
+      return undefined;
+    };
+    await withSmtp({}, handler, async (server) => {
+      const result = await push('Hello', { platform: 'email', retryDelay: 1 });
+      assert.strictEqual(result.ok, true);
+      assert.strictEqual(server.sessions.length, 2);
+    });
+  });
+
+  test('Email subject should default to the first line of the message', () => {
+    const adapter = getAdapter('email');
+    const message = adapter.format('## Build *done*\n\nSee [logs](https://ci.example.com/1)', {});
+    assert.strictEqual(message.subject, 'Build done');
+    assert.match(message.text, /See logs \(https:\/\/ci\.example\.com\/1\)/);
+    assert.match(message.html, /<h2>Build <em>done<\/em><\/h2>/);
+    assert.match(message.html, /<a href="https:\/\/ci\.example\.com\/1">logs<\/a>/);
+    assert.strictEqual(adapter.buildUrl({ host: 'smtp.example.com', tls: 'tls' }), 'smtps://smtp.example.com:465');
+  });
+});
+
+// ============================================================================
+// Tests: Config Files and Channels
+// ============================================================================
+
+describe('Config Files and Channels', () => {
+  test('Config files should be found by walking up, with project channels overriding user ones', async () => {
+    const files = {
+      './webhook-push.config.json': { channels: { ci: { platform: 'ntfy', topic: 'project-ci' } } },
+      '~/.webhookpushrc': {
+        defaultChannel: 'ci',
+        channels: { ci: { platform: 'ntfy', topic: 'user-ci' }, home: { platform: 'bark', key: 'k' } },
+      },
+    };
+    await withProject(files, async ({ project, home }) => {
+      process.env.WEBHOOK_GOTIFY_URL = 'https://gotify.example.com';
+      process.env.WEBHOOK_GOTIFY_TOKEN = 'app-token';
+      try {
+        const config = loadConfig();
+        assert.deepStrictEqual(config.files, [
+          path.join(project, 'webhook-push.config.json'),
+          path.join(home, '.webhookpushrc'),
+        ]);
+        assert.strictEqual(config.defaultChannel, 'ci');
+        assert.strictEqual(resolveChannel('ci').config.topic, 'project-ci');
+
+        const channels = getChannels();
+        const ci = channels.find((channel) => channel.name === 'ci');
+        assert.strictEqual(ci.source, path.join(project, 'webhook-push.config.json'));
+        assert.strictEqual(ci.isDefault, true);
+        assert.strictEqual(channels.find((channel) => channel.name === 'home').source, path.join(home, '.webhookpushrc'));
+        assert.deepStrictEqual(channels.find((channel) => channel.name === 'gotify'),
+          { name: 'gotify', platform: 'gotify', source: 'env', isDefault: false });
+      } finally {
+        delete process.env.WEBHOOK_GOTIFY_URL;
+        delete process.env.WEBHOOK_GOTIFY_TOKEN;
+      }
+    });
+  });
+
+  test('Channels should route push() to their own bot with default options', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, { id: 'm1' }));
+    const files = {
+      './.webhookpushrc': {
+        channels: {
+          ci: { platform: 'ntfy', server: server.url, topic: 'builds' },
+          oncall: { platform: 'ntfy', server: server.url, topic: '${ONCALL_TOPIC}', title: 'On-call', priority: 5 },
+        },
+      },
+    };
+    process.env.ONCALL_TOPIC = 'pager';
+    try {
+      await withProject(files, async () => {
+        await push('Hello CI', { channel: 'ci' });
+        await push('Disk full', { channel: 'oncall' });
+        await push('Overridden', { channel: 'oncall', title: 'Custom' });
+        await pushProgress('Deploy', 'failed', '', { channel: 'oncall' });
+
+        const [ci, oncall, overridden, progress] = server.requests.map((request) => JSON.parse(request.body));
+        assert.strictEqual(ci.topic, 'builds');
+        assert.strictEqual(ci.title, undefined);
+        assert.strictEqual(oncall.topic, 'pager');
+        assert.strictEqual(oncall.title, 'On-call');
+        assert.strictEqual(oncall.priority, 5);
+        assert.strictEqual(overridden.title, 'Custom');
+        assert.strictEqual(progress.topic, 'pager');
+        assert.strictEqual(progress.title, 'Deploy - failed');
+      });
+    } finally {
+      delete process.env.ONCALL_TOPIC;
+      await server.close();
+    }
+  });
+
+  test('defaultChannel should apply only when no platform is given', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, { id: 'm1' }));
+    const files = {
+      './webhook-push.config.js': `module.exports = ${JSON.stringify({
+        defaultChannel: 'ci',
+        channels: { ci: { platform: 'ntfy', server: server.url, topic: 'builds' } },
+      })};`,
+    };
+    process.env.WEBHOOK_NTFY_SERVER = server.url;
+    process.env.WEBHOOK_NTFY_TOPIC = 'env-topic';
+    try {
+      await withProject(files, async () => {
+        await push('Default');
+        await push('Explicit', { platform: 'ntfy' });
+        assert.strictEqual(JSON.parse(server.requests[0].body).topic, 'builds');
+        assert.strictEqual(JSON.parse(server.requests[1].body).topic, 'env-topic');
+      });
+    } finally {
+      delete process.env.WEBHOOK_NTFY_SERVER;
+      delete process.env.WEBHOOK_NTFY_TOPIC;
+      await server.close();
+    }
+  });
+
+  test('Channels should fall back to platform environment variables for unset fields', async () => {
+    const files = { './webhook-push.config.json': { channels: { alerts: { platform: 'telegram', extra: '-100' } } } };
+    await withProject(files, async ({ project }) => {
+      assert.throws(() => resolveChannel('alerts'), (error) => {
+        assert.match(error.message, /Channel "alerts" is missing "key" \(Telegram bot token\)/);
+        assert.ok(error.message.includes(path.join(project, 'webhook-push.config.json')));
+        assert.match(error.message, /WEBHOOK_TELEGRAM_TOKEN/);
+        return true;
+      });
+
+      process.env.WEBHOOK_TELEGRAM_TOKEN = '123:abc';
+      process.env.WEBHOOK_TELEGRAM_CHAT_ID = '-200';
+      try {
+        assert.deepStrictEqual(resolveChannel('alerts').config, { key: '123:abc', extra: '-100' });
+        const implicit = resolveChannel('telegram');
+        assert.strictEqual(implicit.source, 'env');
+        assert.deepStrictEqual(implicit.config, { key: '123:abc', extra: '-200' });
+      } finally {
+        delete process.env.WEBHOOK_TELEGRAM_TOKEN;
+        delete process.env.WEBHOOK_TELEGRAM_CHAT_ID;
+      }
+    });
+  });
+
+  test('The example config in --help should configure each channel', async () => {
+    await withProject({}, async ({ cwd, project }) => {
+      const help = runCli(cwd, ['--help']).stdout;
+      const example = help.slice(help.indexOf('CONFIG FILE:')).match(/\n {2}\{\n[\s\S]*?\n {2}\}\n/)[0];
+      fs.writeFileSync(path.join(project, 'webhook-push.config.json'), example);
+
+      process.env.WECOM_CI_KEY = 'ci-key';
+      process.env.SLACK_ONCALL_URL = 'https://hooks.slack.com/services/T0/B0/oncall';
+      try {
+        assert.deepStrictEqual(resolveChannel('ci').config, { key: 'ci-key' });
+        const oncall = resolveChannel('oncall');
+        assert.strictEqual(oncall.config.key, process.env.SLACK_ONCALL_URL);
+        assert.deepStrictEqual(oncall.options, { title: 'On-call' });
+      } finally {
+        delete process.env.WECOM_CI_KEY;
+        delete process.env.SLACK_ONCALL_URL;
+      }
+    });
+  });
+
+  test('Unknown channels and unset references should be reported', async () => {
+    const files = { './webhook-push.config.json': { channels: { ci: { platform: 'wecom', key: '${MISSING_CI_KEY}' } } } };
+    await withProject(files, async () => {
+      await assert.rejects(push('Hello', { channel: 'nope' }), /Unknown channel: nope\nAvailable channels: ci/);
+      await assert.rejects(push('Hello', { channel: 'ci' }), /uses \$\{MISSING_CI_KEY\}, but MISSING_CI_KEY is not set/);
+    });
+    await withProject({ './.webhookpushrc': '{ not json' }, async () => {
+      assert.throws(() => loadConfig(), /Cannot read config file .*\.webhookpushrc/);
+    });
+  });
+
+  test('--check should list channels with their source', async () => {
+    const { execFileSync } = require('child_process');
+    const files = {
+      './webhook-push.config.json': { defaultChannel: 'oncall', channels: { oncall: { platform: 'slack', url: 'https://hooks.slack.com/x' } } },
+    };
+    await withProject(files, async ({ cwd, home }) => {
+      const output = execFileSync(process.execPath, [path.join(__dirname, 'cli.js'), '--check'], {
+        cwd,
+        env: { ...process.env, HOME: home, WEBHOOK_BARK_KEY: 'device-key' },
+      }).toString();
+      assert.match(output, /oncall \*\s+slack\s+\.\.\/\.\.\/webhook-push\.config\.json/);
+      assert.match(output, /bark\s+bark\s+environment variables/);
+      assert.match(output, /\(\* default channel\)/);
+    });
+  });
+});
+
+// ============================================================================
+// Tests: Routing Rules
+// ============================================================================
+
+describe('Routing Rules', () => {
+  const config = (url) => ({
+    channels: {
+      oncall: { platform: 'ntfy', server: url, topic: 'oncall' },
+      team: { platform: 'ntfy', server: url, topic: 'team' },
+      releases: { platform: 'ntfy', server: url, topic: 'releases' },
+    },
+    routes: [
+      { name: 'failures', status: 'failed', to: ['oncall', 'team'] },
+      { task: 'Release*', tags: ['prod'], to: 'releases', continue: true },
+      { task: '/^release-v\\d+$/i', severity: 4, to: 'oncall' },
+    ],
+    defaultRoute: 'team',
+  });
+
+  test('Routes should match status, task globs and regexes, tags and severity', async () => {
+    await withProject({ './.webhookpushrc': config('http://127.0.0.1:1') }, async () => {
+      const failed = resolveRoute({ task: 'Deploy', status: 'failed' });
+      assert.deepStrictEqual(failed.targets, ['oncall', 'team']);
+      assert.strictEqual(failed.source, 'route');
+      assert.deepStrictEqual(failed.rules.map((rule) => rule.result), ['matched', 'not evaluated', 'not evaluated']);
+
+      assert.deepStrictEqual(resolveRoute({ task: 'release-v2', tags: ['prod', 'eu'] }).targets, ['releases']);
+      assert.deepStrictEqual(resolveRoute({ task: 'release-v2', tags: ['prod'], priority: 5 }).targets, ['releases', 'oncall']);
+      assert.deepStrictEqual(resolveRoute({ task: 'Release notes', tags: ['prod'] }).targets, ['releases']);
+      assert.deepStrictEqual(resolveRoute({ task: 'Release notes' }).targets, ['team']);
+
+      const fallback = resolveRoute({ task: 'Lint', status: 'completed' });
+      assert.strictEqual(fallback.source, 'defaultRoute');
+      assert.deepStrictEqual(fallback.rules.map((rule) => rule.result), ['no match', 'no match', 'no match']);
+      assert.strictEqual(fallback.rules[1].conditions, 'task=Release*, tags=prod');
+    });
+  });
+
+  test('pushProgress should deliver to every routed channel', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, { id: 'm1' }));
+    try {
+      await withProject({ './.webhookpushrc': config(server.url) }, async () => {
+        const result = await pushProgress('Deploy', 'failed', 'Rollback started');
+        assert.strictEqual(result.ok, true);
+        assert.deepStrictEqual(result.succeeded, ['oncall', 'team']);
+        const topics = server.requests.map((request) => JSON.parse(request.body).topic).sort();
+        assert.deepStrictEqual(topics, ['oncall', 'team']);
+
+        // Single targets keep the normal result, explicit platforms bypass routing
+        const single = await pushProgress('Lint', 'completed');
+        assert.strictEqual(single.platform, 'ntfy');
+        assert.strictEqual(JSON.parse(server.requests[2].body).topic, 'team');
+        await assert.rejects(push('Direct', { platform: 'ntfy' }), /WEBHOOK_NTFY_TOPIC/);
+      });
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('Routes should be validated when the config is loaded', async () => {
+    await withProject({ './.webhookpushrc': { routes: [{ status: 'failed' }] } }, async () => {
+      assert.throws(() => resolveRoute({ status: 'failed' }), /Route 1 in .* must set "to"/);
+    });
+  });
+
+  test('route --explain should print the matched rule and targets', async () => {
+    const { execFileSync } = require('child_process');
+    await withProject({ './.webhookpushrc': config('http://127.0.0.1:1') }, async ({ cwd, home }) => {
+      const output = execFileSync(process.execPath,
+        [path.join(__dirname, 'cli.js'), 'route', '--explain', '-t', 'Deploy', '-s', 'failed'],
+        { cwd, env: { ...process.env, HOME: home } }).toString();
+      assert.match(output, /Routing task "Deploy", status failed, tags \(none\), severity 4/);
+      assert.match(output, /✓ #1 failures\s+status=failed → oncall, team \(matched\)/);
+      assert.match(output, /- #2\s+task=Release\*, tags=prod → releases \(not evaluated\)/);
+      assert.match(output, /Targets: oncall \(ntfy\), team \(ntfy\) via matched route/);
+    });
+  });
+});
+
+// ============================================================================
+// Tests: Mentions
+// ============================================================================
+
+describe('Mentions', () => {
+  const people = {
+    people: {
+      alice: { slack: 'U024BE7LH', wecom: 'zhangsan', dingtalk: '13800000000', feishu: 'ou_alice', telegram: 'alice_dev', discord: '8035' },
+      bob: { wecom: '13900000000', slack: 'U0BOB', oncall: 'U0ONCALL', telegram: '42', mattermost: 'bob' },
+    },
+  };
+
+  // Run fn with the people config, sending to a stand-in server for the platform
+  const withPeople = async (envKey, reply, fn) => {
+    const server = await startServer(reply);
+    process.env[envKey] = `${server.url}/hook`;
+    try {
+      await withProject({ './.webhookpushrc': people }, () =>
+        fn((index = 0) => JSON.parse(server.requests[index].body)));
+    } finally {
+      await server.close();
+      delete process.env[envKey];
+    }
+  };
+
+  test('loadConfig should read the people map', async () => {
+    await withProject({ './.webhookpushrc': people, '~/.webhookpushrc': { people: { carol: { slack: 'U0CAROL' } } } }, () => {
+      assert.deepStrictEqual(Object.keys(loadConfig().people).sort(), ['alice', 'bob', 'carol']);
+    });
+    await withProject({ './.webhookpushrc': { people: { alice: 'U1' } } }, () => {
+      assert.throws(() => loadConfig(), /Person "alice" .* must map platforms to identities/);
+    });
+  });
+
+  test('Slack should mention members and the channel in a section', async () => {
+    await withPeople('WEBHOOK_SLACK_URL', (req, body, res) => res.end('ok'), async (payload) => {
+      await push('Deploy failed', { platform: 'slack', mentions: ['alice', 'bob', 'dave'], mentionAll: true });
+      const { blocks } = payload();
+      assert.strictEqual(blocks[0].text.text, 'Deploy failed');
+      assert.strictEqual(blocks[1].text.text, '<!channel> <@U024BE7LH> <@U0BOB> @dave');
+    });
+  });
+
+  test('Channel identities should win over platform identities', async () => {
+    const server = await startServer((req, body, res) => res.end('ok'));
+    const config = { ...people, channels: { oncall: { platform: 'slack', key: `${server.url}/hook` } } };
+    try {
+      await withProject({ './.webhookpushrc': config }, async () => {
+        await pushProgress('Deploy', 'failed', '', { channel: 'oncall', mentions: ['bob'] });
+        const { blocks } = JSON.parse(server.requests[0].body);
+        assert.strictEqual(blocks[blocks.length - 1].text.text, '<@U0ONCALL>');
+      });
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('Discord and Mattermost should mention in the top-level text', async () => {
+    await withPeople('WEBHOOK_DISCORD_URL', (req, body, res) => json(res, 200, { id: '1' }), async (payload) => {
+      await pushProgress('Deploy', 'failed', '', { platform: 'discord', mentions: ['alice'], mentionAll: true });
+      assert.strictEqual(payload().content, '@everyone <@8035>');
+      assert.deepStrictEqual(payload().allowed_mentions, { parse: ['everyone'], users: ['8035'] });
+    });
+    await withPeople('WEBHOOK_MATTERMOST_URL', (req, body, res) => res.end('ok'), async (payload) => {
+      await push('Deploy failed', { platform: 'mattermost', mentions: ['bob'] });
+      assert.strictEqual(payload().text, 'Deploy failed\n\n@bob');
+    });
+  });
+
+  test('WeCom should mention user IDs inline and switch to text for phones and @all', () => {
+    const wecom = getAdapter('wecom');
+    const markdown = wecom.format('**Deploy** failed');
+    const inline = wecom.mention(markdown, { all: false, users: [{ name: 'alice', id: 'zhangsan' }], unresolved: [] }, '');
+    assert.strictEqual(inline.markdown.content, '**Deploy** failed\n\n<@zhangsan>');
+
+    const mentions = { all: true, users: [{ name: 'alice', id: 'zhangsan' }, { name: 'bob', id: '13900000000' }], unresolved: ['dave'] };
+    const text = wecom.mention(markdown, mentions, '**Deploy** failed');
+    assert.deepStrictEqual(text, {
+      msgtype: 'text',
+      text: {
+        content: 'Deploy failed\n\n@dave',
+        mentioned_list: ['zhangsan', '@all'],
+        mentioned_mobile_list: ['13900000000'],
+      },
+    });
+  });
+
+  test('DingTalk, Feishu and Telegram should use their mention syntax', () => {
+    const mentions = { all: true, users: [{ name: 'alice', id: '13800000000' }, { name: 'bob', id: 'manager123' }], unresolved: [] };
+    const dingtalk = getAdapter('dingtalk').mention(getAdapter('dingtalk').format('Failed'), mentions);
+    assert.strictEqual(dingtalk.markdown.text, 'Failed\n\n@13800000000 @manager123');
+    assert.deepStrictEqual(dingtalk.at, { atMobiles: ['13800000000'], atUserIds: ['manager123'], isAtAll: true });
+
+    const feishu = getAdapter('feishu').mention(getAdapter('feishu').format('Failed'),
+      { all: true, users: [{ name: 'alice', id: 'ou_alice' }, { name: 'bob', id: 'bob@example.com' }], unresolved: [] });
+    assert.deepStrictEqual(feishu.card.elements[1],
+      { tag: 'markdown', content: '<at id=all></at> <at id=ou_alice></at> <at email=bob@example.com></at>' });
+
+    const telegram = getAdapter('telegram').mention(getAdapter('telegram').format('Failed'),
+      { all: true, users: [{ name: 'alice', id: 'alice_dev' }, { name: 'Bob <ops>', id: '42' }], unresolved: [] });
+    assert.strictEqual(telegram.text, 'Failed\n\n@alice_dev <a href="tg://user?id=42">Bob &lt;ops&gt;</a>');
+  });
+
+  test('Teams should add mention entities', () => {
+    const teams = getAdapter('teams');
+    const payload = teams.mention(teams.format('Failed'), { all: false, users: [{ name: 'Alice', id: 'alice@contoso.com' }], unresolved: [] });
+    const card = payload.attachments[0].content;
+    assert.strictEqual(card.body[card.body.length - 1].text, '<at>Alice</at>');
+    assert.deepStrictEqual(card.msteams.entities,
+      [{ type: 'mention', text: '<at>Alice</at>', mentioned: { id: 'alice@contoso.com', name: 'Alice' } }]);
+  });
+
+  test('Platforms without mentions should send the message unchanged', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, { id: 'n1' }));
+    process.env.WEBHOOK_NTFY_TOPIC = 'builds';
+    process.env.WEBHOOK_NTFY_SERVER = server.url;
+    try {
+      await push('Hello', { platform: 'ntfy', mentions: ['alice'], mentionAll: true });
+      assert.strictEqual(JSON.parse(server.requests[0].body).message, 'Hello');
+    } finally {
+      delete process.env.WEBHOOK_NTFY_TOPIC;
+      delete process.env.WEBHOOK_NTFY_SERVER;
+      await server.close();
+    }
+  });
+});
+
+// ============================================================================
+// Tests: Rate Limiting
+// ============================================================================
+
+describe('Rate Limiting', () => {
+  const sent = [];
+  registerPlatform('metered', {
+    config: [{ name: 'url', env: 'WEBHOOK_METERED_URL' }],
+    buildUrl: (config) => config.url,
+    format: (content) => ({ content }),
+    rateLimit: { limit: 2, interval: 300 },
+    send: async ({ payload }) => {
+      sent.push({ content: payload.content, at: Date.now() });
+      return { ok: true, platform: 'metered' };
+    },
+  });
+  // A fresh bucket for each test
+  let webhook = 0;
+  const options = (extra = {}) => {
+    process.env.WEBHOOK_METERED_URL = `metered://${++webhook}`;
+    sent.length = 0;
+    return { platform: 'metered', ...extra };
+  };
+
+  test('Messages over the limit should wait for a token, in order', async () => {
+    const start = Date.now();
+    const opts = options();
+    await Promise.all(['one', 'two', 'three'].map((content) => push(content, opts)));
+    assert.deepStrictEqual(sent.map((item) => item.content), ['one', 'two', 'three']);
+    assert.ok(sent[1].at - start < 100);
+    assert.ok(sent[2].at - start >= 140, `third message sent after ${sent[2].at - start}ms`);
+  });
+
+  test('drop and coalesce-latest should skip messages over the limit', async () => {
+    let opts = options({ onRateLimit: 'drop' });
+    const results = [];
+    for (const content of ['one', 'two', 'three']) {
+      results.push(await push(content, opts));
+    }
+    assert.deepStrictEqual(results[2], { ok: true, platform: 'metered', dropped: true });
+    assert.deepStrictEqual(sent.map((item) => item.content), ['one', 'two']);
+
+    opts = options({ onRateLimit: 'coalesce-latest' });
+    const coalesced = await Promise.all(['a', 'b', 'c', 'd', 'e'].map((content) => push(content, opts)));
+    assert.deepStrictEqual(sent.map((item) => item.content), ['a', 'b', 'e']);
+    assert.deepStrictEqual(coalesced.map((result) => Boolean(result.coalesced)), [false, false, true, true, false]);
+    await assert.rejects(push('x', { ...opts, onRateLimit: 'later' }), /Invalid rate limit policy "later"/);
+  });
+
+  test('Each part of a split message should take a token', async () => {
+    const parts = [];
+    registerPlatform('metered-split', {
+      config: [{ name: 'url', env: 'WEBHOOK_METERED_URL' }],
+      buildUrl: (config) => config.url,
+      format: (content) => ({ content }),
+      limit: { size: 40, unit: 'chars' },
+      rateLimit: { limit: 2, interval: 300 },
+      send: async ({ payload }) => {
+        parts.push({ content: payload.content, at: Date.now() });
+        return { ok: true, platform: 'metered-split' };
+      },
+    });
+    const opts = { ...options({ onRateLimit: 'drop' }), platform: 'metered-split', overflow: 'split' };
+    const start = Date.now();
+    const result = await push(['First part here.', 'Second part here.', 'Third part here.'].join('\n'), opts);
+
+    // The policy applies to the message; its later parts wait instead of being dropped
+    assert.strictEqual(result.parts.length, 3);
+    assert.strictEqual(parts.length, 3);
+    assert.ok(parts[2].at - start >= 140, `third part sent after ${parts[2].at - start}ms`);
+    assert.strictEqual((await push('Next', opts)).dropped, true);
+  });
+
+  test('A rate limit file should share buckets between processes', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-push-rate-'));
+    const file = path.join(dir, 'rate.json');
+    try {
+      const opts = options({ rateLimitFile: file, rateLimit: { limit: 1, interval: 60000 } });
+      // A lock left behind by a crashed process is taken over
+      fs.writeFileSync(`${file}.lock`, '');
+      fs.utimesSync(`${file}.lock`, new Date(0), new Date(0));
+      await push('first', opts);
+      assert.ok(!fs.existsSync(`${file}.lock`));
+
+      const script = `
+        const { registerPlatform, push } = require(${JSON.stringify(path.join(__dirname, 'index.js'))});
+        registerPlatform('metered', {
+          config: [{ name: 'url', env: 'WEBHOOK_METERED_URL' }],
+          buildUrl: (config) => config.url,
+          format: (content) => ({ content }),
+          send: async () => ({ ok: true, platform: 'metered' }),
+        });
+        push('second', ${JSON.stringify({ ...opts, onRateLimit: 'drop' })})
+          .then((result) => console.log(JSON.stringify(result)));`;
+      const output = require('child_process').execFileSync(process.execPath, ['-e', script], {
+        env: { ...process.env, WEBHOOK_METERED_URL: process.env.WEBHOOK_METERED_URL },
+      }).toString();
+      assert.deepStrictEqual(JSON.parse(output), { ok: true, platform: 'metered', dropped: true });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('An unusable rate limit file should limit this process only, without blocking delivery', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-push-rate-'));
+    const blocker = path.join(dir, 'not-a-directory');
+    fs.writeFileSync(blocker, '');
+    const warnings = [];
+    const onWarning = (warning) => warnings.push(warning.message);
+    process.on('warning', onWarning);
+    try {
+      const opts = options({ rateLimitFile: path.join(blocker, 'rate.json'), onRateLimit: 'drop' });
+      const results = [];
+      for (const content of ['one', 'two', 'three']) {
+        results.push(await push(content, opts));
+      }
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.deepStrictEqual(sent.map((item) => item.content), ['one', 'two']);
+      assert.strictEqual(results[2].dropped, true);
+      assert.strictEqual(warnings.length, 1);
+      assert.match(warnings[0], /Rate limit state .*rate\.json is unusable, limiting this process only/);
+    } finally {
+      process.removeListener('warning', onWarning);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('Config files should override rate limits by channel or platform', async () => {
+    const files = {
+      './webhook-push.config.json': {
+        channels: { loud: { platform: 'metered', url: 'metered://loud' } },
+        rateLimits: { metered: false, loud: { limit: 1, interval: 60000 } },
+      },
+    };
+    await withProject(files, async () => {
+      const opts = options({ onRateLimit: 'drop' });
+      for (let i = 0; i < 3; i++) {
+        await push('platform', opts);
+      }
+      assert.strictEqual(sent.length, 3);
+      await push('channel', { channel: 'loud', onRateLimit: 'drop' });
+      assert.strictEqual((await push('channel', { channel: 'loud', onRateLimit: 'drop' })).dropped, true);
+    });
+    await withProject({ './.webhookpushrc': { rateLimits: { wecom: { limit: 0 } } } }, async () => {
+      assert.throws(() => loadConfig(), /Rate limit "wecom" in .* must be false or \{ "limit": n, "interval": ms \}/);
+    });
+    delete process.env.WEBHOOK_METERED_URL;
+  });
+});
+
+// ============================================================================
+// Tests: Deduplication
+// ============================================================================
+
+describe('Deduplication', () => {
+  const sent = [];
+  let failing = false;
+  registerPlatform('repeater', {
+    config: [{ name: 'url', env: 'WEBHOOK_REPEATER_URL' }],
+    buildUrl: (config) => config.url,
+    format: (content) => ({ content }),
+    send: async ({ payload }) => {
+      if (failing) {
+        throw new WebhookError('Connection refused', { platform: 'repeater' });
+      }
+      sent.push(payload.content);
+      return { ok: true, platform: 'repeater' };
+    },
+  });
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  test('Repeats within the window should be suppressed, then counted in a follow-up', async () => {
+    process.env.WEBHOOK_REPEATER_URL = 'repeater://1';
+    const options = { platform: 'repeater', dedupWindow: 150 };
+    await push('Deploy failed', options);
+    const repeat = await push('Deploy failed', options);
+    assert.deepStrictEqual(repeat, { ok: true, platform: 'repeater', duplicate: true, repeats: 1 });
+    await push('Deploy failed', options);
+    await push('Deploy started', options);
+    await push('Deploy failed', { platform: 'repeater' });
+    assert.deepStrictEqual(sent, ['Deploy failed', 'Deploy started', 'Deploy failed']);
+
+    await wait(250);
+    assert.match(sent[3], /^🔁 Repeated 2 more times in \d+ms: Deploy failed$/);
+    assert.strictEqual((await push('Deploy failed', options)).duplicate, undefined);
+
+    // A key groups different content, per target
+    sent.length = 0;
+    await pushProgress('Deploy', 'failed', 'Attempt 1', { platform: 'repeater', dedupKey: 'deploy' });
+    await pushProgress('Deploy', 'failed', 'Attempt 2', { platform: 'repeater', dedupKey: 'deploy' });
+    process.env.WEBHOOK_REPEATER_URL = 'repeater://2';
+    await pushProgress('Deploy', 'failed', 'Attempt 3', { platform: 'repeater', dedupKey: 'deploy' });
+    assert.strictEqual(sent.length, 2);
+    assert.match(sent[1], /^Attempt 3/);
+  });
+
+  test('Messages that fail to send should not suppress their retries', async () => {
+    process.env.WEBHOOK_REPEATER_URL = 'repeater://3';
+    sent.length = 0;
+    const options = { platform: 'repeater', dedupWindow: 60000, attempts: 1 };
+    failing = true;
+    await assert.rejects(push('Backup failed', options), /Connection refused/);
+    failing = false;
+    await push('Backup failed', options);
+    assert.deepStrictEqual(sent, ['Backup failed']);
+    await assert.rejects(push('x', { platform: 'repeater', dedupWindow: 0 }), /dedupWindow must be a window in ms/);
+  });
+
+  test('CLI runs should share dedup windows through the state file', async () => {
+    await withProject({}, async ({ cwd }) => {
+      process.env.WEBHOOK_PUSH_DEDUP_FILE = path.join(cwd, 'dedup.json');
+      try {
+        const args = ['--dedup-key', 'deploy', '--dedup-window', '300', '-t', 'Deploy', '-s', 'failed'];
+        assert.strictEqual(runCli(cwd, [...args, '-d', 'Attempt 1']).sent.length, 1);
+        const repeat = runCli(cwd, [...args, '-d', 'Attempt 2']);
+        assert.match(repeat.stdout, /suppressed as a duplicate \(repeated 1 time so far\)/);
+        assert.strictEqual(repeat.sent.length, 0);
+
+        // The first message after the window sends the follow-up
+        await wait(350);
+        const next = runCli(cwd, ['--dedup-window', '300', 'Rolled back']);
+        assert.strictEqual(next.sent.length, 2);
+        assert.match(next.sent[0].text, /^🔁 Repeated 1 more time in .+: Deploy - failed$/);
+        assert.strictEqual(next.sent[1].text, 'Rolled back');
+      } finally {
+        delete process.env.WEBHOOK_PUSH_DEDUP_FILE;
+      }
+    });
+  });
+
+  test('The CLI should keep its dedup file where only the current user can read it', async () => {
+    await withProject({}, async ({ cwd, home }) => {
+      runCli(cwd, ['--dedup-key', 'deploy', 'Deploy failed']);
+      const file = path.join(home, '.webhook-push', 'dedup.json');
+      assert.ok(fs.existsSync(file));
+      if (process.platform !== 'win32') {
+        assert.strictEqual(fs.statSync(path.dirname(file)).mode & 0o777, 0o700);
+        assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+      }
+    });
+  });
+
+  after(() => {
+    delete process.env.WEBHOOK_REPEATER_URL;
+  });
+});
+
+// ============================================================================
+// Tests: Dry Run
+// ============================================================================
+
+describe('Dry Run', () => {
+  test('Dry runs should format and sign without sending, with secrets redacted', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, {}));
+    const env = {
+      WEBHOOK_NTFY_SERVER: server.url,
+      WEBHOOK_NTFY_TOPIC: 'builds',
+      WEBHOOK_NTFY_TOKEN: 'tk_secret',
+      WEBHOOK_DINGTALK_TOKEN: 'dt_token',
+      WEBHOOK_DINGTALK_SECRET: 'SEC_dingtalk',
+    };
+    Object.assign(process.env, env);
+    try {
+      const result = await push('Deploy **done**', { platform: ['ntfy', 'dingtalk'], title: 'CI', dryRun: true });
+      const ntfy = result.results.ntfy.response;
+      assert.strictEqual(ntfy.dryRun, true);
+      assert.deepStrictEqual(ntfy.request.headers, { 'Content-Type': 'application/json', Authorization: 'Bearer ***' });
+      assert.strictEqual(ntfy.request.payload.message, 'Deploy **done**');
+      assert.strictEqual(ntfy.request.payload.topic, '***');
+      const mentioned = await push('The builds of buildings failed', { platform: 'ntfy', dryRun: true });
+      assert.strictEqual(mentioned.request.payload.message, 'The builds of buildings failed');
+      assert.strictEqual(mentioned.request.payload.topic, '***');
+      // The size is the real body's, topic included
+      assert.strictEqual(ntfy.request.size, Buffer.byteLength(JSON.stringify({ ...ntfy.request.payload, topic: 'builds' })));
+
+      const { request } = result.results.dingtalk.response;
+      assert.match(request.url, /^https:\/\/oapi\.dingtalk\.com\/robot\/send\?access_token=\*\*\*&timestamp=\d+&sign=/);
+      assert.strictEqual(request.payload.markdown.title, 'CI');
+      assert.ok(!JSON.stringify(result).includes('dt_token') && !JSON.stringify(result).includes('SEC_dingtalk'));
+      assert.strictEqual(server.requests.length, 0);
+    } finally {
+      for (const name of Object.keys(env)) {
+        delete process.env[name];
+      }
+      await server.close();
+    }
+  });
+
+  test('Dry runs should leave rate limits, dedup windows and digests alone', async () => {
+    const sends = [];
+    registerPlatform('rehearsal', {
+      config: [{ name: 'url', env: 'WEBHOOK_REHEARSAL_URL' }],
+      buildUrl: (config) => config.url,
+      format: (content) => ({ content }),
+      rateLimit: { limit: 1, interval: 60000 },
+      send: async ({ payload }) => {
+        sends.push(payload);
+        return { ok: true, platform: 'rehearsal' };
+      },
+    });
+    process.env.WEBHOOK_REHEARSAL_URL = 'https://chat.example.com/hooks/abc';
+    const options = { platform: 'rehearsal', onRateLimit: 'drop', dedupWindow: 60000, dryRun: true };
+    for (let i = 0; i < 3; i++) {
+      const result = await push('Same message', options);
+      assert.strictEqual(result.request.url, 'https://chat.example.com/***');
+    }
+    const progress = await pushProgress('Build', 'completed', '', { ...options, digest: true });
+    assert.strictEqual(progress.dryRun, true);
+    assert.deepStrictEqual(await flushDigest(), { sent: [], failed: [] });
+    assert.strictEqual(sends.length, 0);
+    delete process.env.WEBHOOK_REHEARSAL_URL;
+  });
+
+  test('Previews should show the formatting each platform supports', async () => {
+    process.env.WEBHOOK_WECOM_KEY = 'wecom_key';
+    process.env.WEBHOOK_TELEGRAM_TOKEN = '123:tg';
+    process.env.WEBHOOK_TELEGRAM_CHAT_ID = '42';
+    try {
+      const content = '**Release** *v2* [notes](https://example.com/notes)';
+      const wecom = await push(content, { platform: 'wecom', title: 'CI', dryRun: true });
+      assert.strictEqual(renderPreview(wecom), '╭─ WeCom\n│ CI\n│\n│ Release v2 notes (https://example.com/notes)\n╰─');
+      const colored = renderPreview(wecom, { color: true });
+      assert.ok(colored.includes('\x1b[1mRelease\x1b[22m') && !colored.includes('\x1b[3m'));
+
+      const telegram = await push('x'.repeat(5000), { platform: 'telegram', overflow: 'split', dryRun: true });
+      assert.strictEqual(telegram.parts.length, 2);
+      assert.match(renderPreview(telegram, { color: true }), /╰─ split into 2 messages$/);
+      assert.ok(renderPreview(await pushMessage({ summary: '*v2*' }, { platform: 'telegram', dryRun: true }), { color: true })
+        .includes('\x1b[3mv2\x1b[23m'));
+    } finally {
+      delete process.env.WEBHOOK_WECOM_KEY;
+      delete process.env.WEBHOOK_TELEGRAM_TOKEN;
+      delete process.env.WEBHOOK_TELEGRAM_CHAT_ID;
+    }
+  });
+
+  test('--dry-run and --render should print without sending', async () => {
+    await withProject({}, async ({ cwd }) => {
+      let result = runCli(cwd, ['--dry-run', '--title', 'CI', 'Hello']);
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.sent.length, 0);
+      assert.match(result.stdout, /── recorder ─+\nrecorder:\/\/\n\n\{\n {2}"title": "CI",\n {2}"text": "Hello"\n\}/);
+      assert.match(result.stdout, /Dry run: nothing was sent\./);
+
+      result = runCli(cwd, ['--render', '-t', 'Build', '-s', 'completed']);
+      assert.strictEqual(result.sent.length, 0);
+      assert.match(result.stdout, /╭─ recorder\n│ Build - completed\n│\n│ Status: ✅ COMPLETED/);
+    });
+  });
+});
+
+// ============================================================================
+// Tests: Outbox
+// ============================================================================
+
+describe('Outbox', () => {
+  const outbox = path.join(os.tmpdir(), `webhook-push-outbox-${process.pid}`);
+  let status = 503;
+  // Statuses for the next requests, before falling back to `status`
+  const statuses = [];
+  let server;
+  const options = { platform: 'ntfy', outbox, attempts: 1 };
+  const start = async () => {
+    server = await startServer((req, body, res) => json(res, statuses.shift() || status, { id: 'm1' }));
+    process.env.WEBHOOK_NTFY_SERVER = server.url;
+    process.env.WEBHOOK_NTFY_TOPIC = 'builds';
+  };
+
+  test('Deliveries that still fail should be saved and flushed later', async () => {
+    await start();
+    status = 503;
+    const error = await push('Backup done', options).catch((caught) => caught);
+    assert.match(error.message, /HTTP 503/);
+
+    const [entry] = listOutbox({ outbox });
+    assert.strictEqual(entry.id, error.outbox);
+    assert.strictEqual(entry.platform, 'ntfy');
+    assert.strictEqual(entry.attempts, 1);
+    if (process.platform !== 'win32') {
+      assert.strictEqual(fs.statSync(path.join(outbox, `${entry.id}.json`)).mode & 0o777, 0o600);
+    }
+
+    status = 200;
+    const result = await flushOutbox({ outbox });
+    assert.deepStrictEqual(result, { sent: [entry.id], failed: [], expired: [], remaining: 0 });
+    assert.strictEqual(server.requests[1].body, server.requests[0].body);
+    assert.deepStrictEqual(listOutbox({ outbox }), []);
+  });
+
+  test('Flushing should keep retryable failures and drop rejected and expired entries', async () => {
+    status = 503;
+    await push('Kept', options).catch(() => {});
+    await push('Expired', { ...options, outboxExpiry: -1 }).catch(() => {});
+    let result = await flushOutbox({ outbox });
+    assert.strictEqual(result.expired.length, 1);
+    assert.strictEqual(result.remaining, 1);
+    assert.strictEqual(listOutbox({ outbox })[0].attempts, 2);
+
+    status = 400;
+    result = await flushOutbox({ outbox });
+    assert.strictEqual(result.failed.length, 1);
+    assert.strictEqual(result.remaining, 0);
+    assert.deepStrictEqual(listOutbox({ outbox }), []);
+  });
+
+  test('The parts after a failed part should be saved behind it, in order', async () => {
+    const paragraphs = ['first', 'second', 'third'].map((word) => `${word} `.repeat(500).trim());
+    statuses.push(200, 503);
+    status = 200;
+    const error = await push(paragraphs.join('\n\n'), { ...options, overflow: 'split' }).catch((caught) => caught);
+    assert.match(error.message, /HTTP 503/);
+
+    const entries = listOutbox({ outbox });
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(entries[0].id, error.outbox);
+
+    // A part that fails again holds back the ones after it
+    const sentBefore = server.requests.length;
+    statuses.push(503);
+    let result = await flushOutbox({ outbox });
+    assert.deepStrictEqual([result.sent, result.remaining], [[], 2]);
+    assert.strictEqual(server.requests.length, sentBefore + 1);
+
+    result = await flushOutbox({ outbox });
+    assert.strictEqual(result.sent.length, 2);
+    const resent = server.requests.slice(-2).map((request) => JSON.parse(request.body).message);
+    assert.match(resent[0], /^\(2\/3\)\nsecond/);
+    assert.match(resent[1], /^\(3\/3\)\nthird/);
+  });
+
+  test('Entries for unknown platforms should fail without stopping the flush', async () => {
+    status = 503;
+    const unknown = await push('Custom adapter', options).catch((caught) => caught);
+    const file = path.join(outbox, `${unknown.outbox}.json`);
+    fs.writeFileSync(file, JSON.stringify({ ...JSON.parse(fs.readFileSync(file, 'utf8')), platform: 'myhook' }));
+    const valid = await push('Built-in', options).catch((caught) => caught);
+
+    status = 200;
+    const result = await flushOutbox({ outbox });
+    assert.deepStrictEqual(result.sent, [valid.outbox]);
+    assert.strictEqual(result.failed[0].id, unknown.outbox);
+    assert.match(result.failed[0].error.message, /Unknown platform: myhook/);
+    assert.strictEqual(result.remaining, 1);
+    assert.deepStrictEqual(fs.readdirSync(outbox), [`${unknown.outbox}.json`]);
+    assert.strictEqual(purgeOutbox({ outbox }), 1);
+  });
+
+  test('Only enabled outboxes should keep retryable failures', async () => {
+    status = 400;
+    const rejected = await push('Bad request', options).catch((caught) => caught);
+    assert.strictEqual(rejected.outbox, undefined);
+    status = 503;
+    const failed = await push('No outbox', { platform: 'ntfy', attempts: 1 }).catch((caught) => caught);
+    assert.strictEqual(failed.outbox, undefined);
+    assert.deepStrictEqual(listOutbox({ outbox }), []);
+
+    await push('Purged', options).catch(() => {});
+    assert.strictEqual(purgeOutbox({ outbox, expired: true }), 0);
+    assert.strictEqual(purgeOutbox({ outbox }), 1);
+  });
+
+  after(async () => {
+    delete process.env.WEBHOOK_NTFY_SERVER;
+    delete process.env.WEBHOOK_NTFY_TOPIC;
+    await server.close();
+    fs.rmSync(outbox, { recursive: true, force: true });
+  });
+});
+
+// ============================================================================
+// Tests: Digest
+// ============================================================================
+
+describe('Digest', () => {
+  const sent = [];
+  registerPlatform('ledger', {
+    config: [{ name: 'url', env: 'WEBHOOK_LEDGER_URL' }],
+    buildUrl: (config) => config.url,
+    format: (content, options) => ({ title: options.title, content }),
+    send: async ({ payload }) => {
+      sent.push(payload);
+      return { ok: true, platform: 'ledger' };
+    },
+  });
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  test('Notifications in the window should be sent as one digest grouped by task', async () => {
+    process.env.WEBHOOK_LEDGER_URL = 'ledger://';
+    sent.length = 0;
+    const options = { platform: 'ledger', digest: 150 };
+    const result = await pushProgress('Lint', 'started', '', options);
+    assert.deepStrictEqual(result, { ok: true, platform: 'ledger', digested: true });
+    await pushProgress('Lint', 'completed', 'No warnings', options);
+    await pushProgress('Tests', 'in_progress', '100/400', options);
+    await pushProgress('Tests', 'in_progress', '300/400', options);
+    await pushProgress('Tests', 'failed', '3 failed', options);
+
+    // Failures go out right away, everything else waits for the window
+    assert.deepStrictEqual(sent.map((payload) => payload.title), ['Tests - failed']);
+    await wait(250);
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(sent[1].title, 'Digest: 5 updates from 2 tasks');
+    assert.match(sent[1].content, /\*\*Lint\*\*: ✅ COMPLETED {2}\n\*1 started · 1 completed\* {2}\nNo warnings/);
+    assert.match(sent[1].content, /\*\*Tests\*\*: ❌ FAILED {2}\n\*2 in\\_progress · 1 failed\* {2}\n3 failed/);
+    assert.deepStrictEqual(await flushDigest(), { sent: [], failed: [] });
+  });
+
+  test('flushDigest() should send what was collected, holding failures when asked', async () => {
+    sent.length = 0;
+    const options = { platform: 'ledger', digest: Infinity, digestImmediate: [] };
+    await pushProgress('Backup', 'failed', 'Disk full', options);
+    assert.strictEqual(sent.length, 0);
+    assert.deepStrictEqual(await flushDigest(), { sent: ['ledger'], failed: [] });
+    assert.strictEqual(sent[0].title, 'Digest: 1 update from 1 task');
+
+    // Nothing is left to send when every notification went out right away
+    await pushProgress('Backup', 'failed', 'Disk full', { ...options, digestImmediate: ['failed'] });
+    assert.deepStrictEqual(await flushDigest(), { sent: [], failed: [] });
+    assert.strictEqual(sent.length, 2);
+    await assert.rejects(pushProgress('Backup', 'started', '', { platform: 'ledger', digest: -1 }),
+      /digest must be true or a window in ms/);
+  });
+
+  test('CLI runs should share digests through the digest file', async () => {
+    await withProject({}, async ({ cwd }) => {
+      process.env.WEBHOOK_PUSH_DIGEST_FILE = path.join(cwd, 'digest.json');
+      try {
+        let result = runCli(cwd, ['--digest', '200', '-t', 'Import', '-s', 'started']);
+        assert.match(result.stdout, /Notification added to the digest/);
+        assert.strictEqual(result.sent.length, 0);
+        if (process.platform !== 'win32') {
+          assert.strictEqual(fs.statSync(process.env.WEBHOOK_PUSH_DIGEST_FILE).mode & 0o777, 0o600);
+        }
+
+        // The first notification after the window sends the digest
+        await wait(250);
+        result = runCli(cwd, ['--digest', '200', '-t', 'Import', '-s', 'completed', '-d', '1200 rows']);
+        assert.match(result.stdout, /added to the digest, digest sent/);
+        assert.strictEqual(result.sent.length, 1);
+        assert.match(result.sent[0].text, /\*1 started · 1 completed\* {2}\n1200 rows/);
+
+        runCli(cwd, ['--digest', 'manual', '-t', 'Export', '-s', 'started']);
+        result = runCli(cwd, ['digest', 'flush']);
+        assert.match(result.stdout, /1 sent, 0 failed/);
+        assert.strictEqual(result.sent[0].title, 'Digest: 1 update from 1 task');
+      } finally {
+        delete process.env.WEBHOOK_PUSH_DIGEST_FILE;
+      }
+    });
+  });
+
+  test('The CLI should keep its digest file where only the current user can read it', async () => {
+    await withProject({}, async ({ cwd, home }) => {
+      runCli(cwd, ['--digest', 'manual', '-t', 'Export', '-s', 'started']);
+      const file = path.join(home, '.webhook-push', 'digest.json');
+      assert.ok(fs.existsSync(file));
+      if (process.platform !== 'win32') {
+        assert.strictEqual(fs.statSync(path.dirname(file)).mode & 0o777, 0o700);
+        assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+      }
+    });
+  });
+
+  after(() => {
+    delete process.env.WEBHOOK_LEDGER_URL;
+  });
+});
+
+// ============================================================================
+// Tests: Verification
+// ============================================================================
+
+describe('Verification', () => {
+  test('Discord should be verified by reading the webhook, without posting', async () => {
+    const server = await startServer((req, body, res) => {
+      if (req.url.endsWith('/revoked')) {
+        json(res, 401, { message: '401: Unauthorized', code: 0 });
+      } else {
+        json(res, 200, { id: '1', name: 'CI hook' });
+      }
+    });
+    try {
+      let result = await verifyPlatform('discord', {}, { key: `${server.url}/api/webhooks/1/token` });
+      assert.strictEqual(result.ok, true);
+      assert.strictEqual(result.method, 'api');
+      assert.strictEqual(result.details, 'webhook "CI hook"');
+      assert.ok(result.latency >= 0);
+      assert.deepStrictEqual(server.requests.map((request) => request.method), ['GET']);
+      assert.strictEqual(server.requests[0].body, '');
+
+      result = await verifyPlatform('discord', {}, { key: `${server.url}/api/webhooks/1/revoked` });
+      assert.deepStrictEqual([result.ok, result.reachable, result.authorized], [false, true, false]);
+      assert.ok(result.error instanceof PlatformError);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('Platforms without a verify hook should get a test message', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, { ok: true }));
+    try {
+      const result = await verifyPlatform('mattermost', {}, { key: `${server.url}/hooks/abc` });
+      assert.strictEqual(result.ok, true);
+      assert.strictEqual(result.method, 'message');
+      assert.match(JSON.parse(server.requests[0].body).text, /webhook-push test message/);
+    } finally {
+      await server.close();
+    }
+
+    // A closed port is unreachable after a single attempt, and the test message
+    // is not kept for later
+    const closed = await startServer(() => {});
+    await closed.close();
+    const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-push-outbox-'));
+    process.env.WEBHOOK_PUSH_OUTBOX = outbox;
+    try {
+      const result = await verifyPlatform('mattermost', {}, { key: `${closed.url}/hooks/abc` });
+      assert.deepStrictEqual([result.ok, result.reachable, result.authorized], [false, false, undefined]);
+      assert.strictEqual(result.error.attempts, 1);
+      assert.strictEqual(result.error.outbox, undefined);
+      assert.deepStrictEqual(fs.readdirSync(outbox), []);
+    } finally {
+      delete process.env.WEBHOOK_PUSH_OUTBOX;
+      fs.rmSync(outbox, { recursive: true, force: true });
+    }
+  });
+
+  test('Rate limits should leave the credentials unknown, not rejected', async () => {
+    const server = await startServer((req, body, res) => json(res, 429, { message: 'Too many requests' }));
+    try {
+      const result = await verifyPlatform('mattermost', {}, { key: `${server.url}/hooks/abc` });
+      assert.deepStrictEqual([result.ok, result.reachable, result.authorized], [false, true, undefined]);
+      assert.strictEqual(result.error.retryable, true);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('Verification should need the platform configured', async () => {
+    const saved = process.env.WEBHOOK_GOTIFY_URL;
+    delete process.env.WEBHOOK_GOTIFY_URL;
+    try {
+      await assert.rejects(verifyPlatform('gotify'), (error) => error instanceof ConfigError);
+    } finally {
+      if (saved !== undefined) {
+        process.env.WEBHOOK_GOTIFY_URL = saved;
+      }
+    }
+  });
+});
+
+// ============================================================================
+// Tests: Task Tracker
+// ============================================================================
+
+describe('Task Tracker', () => {
+  // Records what the fake Feishu/Slack/Telegram APIs receive
+  const recorder = (replies = []) => {
+    const calls = [];
+    const send = async (url, data, headers, request = {}) => {
+      calls.push({ url, data, headers, method: request.method });
+      const raw = replies[calls.length - 1] || {};
+      return { ok: true, raw, messageId: raw.ts };
+    };
+    return { calls, send };
+  };
+
+  test('Tasks should edit their message on platforms that support it', async () => {
+    const edits = [];
+    registerPlatform('notepad', {
+      config: [{ name: 'url', env: 'WEBHOOK_NOTEPAD_URL' }],
+      buildUrl: (config) => config.url,
+      format: (content) => ({ content }),
+      formatMessage: (message) => ({
+        title: message.title,
+        text: message.summary,
+        fields: message.fields.map((field) => `${field.name}: ${field.value}`),
+      }),
+      edit: async (payload, previous) => {
+        edits.push({ payload, previous });
+        return { ok: true, platform: 'notepad', messageId: previous ? previous.messageId : 'n1' };
+      },
+    });
+    process.env.WEBHOOK_NOTEPAD_URL = 'notepad://';
+    try {
+      const task = createTask('Deploy', { platform: 'notepad' });
+      task.start();
+      task.step('Build image', 40);
+      task.step('Migrate', 80);
+      const result = await task.complete('Live');
+
+      assert.strictEqual(result.messageId, 'n1');
+      assert.deepStrictEqual(edits.map((edit) => edit.payload.title),
+        ['Deploy - started', 'Deploy - in_progress', 'Deploy - in_progress', 'Deploy - completed']);
+      assert.strictEqual(edits[0].previous, undefined);
+      assert.ok(edits.slice(1).every((edit) => edit.previous.messageId === 'n1'));
+      assert.match(edits[2].payload.text, /^- ✓ Build image \(\d+ms\)\n- ⏳ Migrate$/);
+      assert.ok(edits[2].payload.fields.includes('Progress: ████████░░ 80%'));
+      assert.match(edits[3].payload.text, /^Live\n\n- ✓ Build image \(\d+ms\)\n- ✓ Migrate \(\d+ms\)$/);
+      assert.ok(edits[3].payload.fields.includes('Progress: ██████████ 100%'));
+
+      assert.strictEqual(task.status, 'completed');
+      assert.deepStrictEqual(task.steps.map((step) => step.percent), [40, 80]);
+      await assert.rejects(task.step('Late'), /Task "Deploy" has already completed/);
+    } finally {
+      delete process.env.WEBHOOK_NOTEPAD_URL;
+    }
+  });
+
+  test('Dry-run tasks should preview each update without sending', async () => {
+    // Telegram can edit, and api.telegram.org can't be reached from the tests
+    process.env.WEBHOOK_TELEGRAM_TOKEN = '123:secret-token';
+    process.env.WEBHOOK_TELEGRAM_CHAT_ID = '-100';
+    try {
+      const task = createTask('Deploy', { platform: 'telegram', dryRun: true });
+      const started = await task.start();
+      const result = await task.complete('Live');
+      for (const preview of [started, result]) {
+        assert.strictEqual(preview.dryRun, true);
+        assert.strictEqual(preview.messageId, undefined);
+      }
+      assert.match(result.request.url, /^https:\/\/api\.telegram\.org\/bot\*\*\*\/sendMessage/);
+      assert.match(result.request.payload.text, /Deploy - completed/);
+    } finally {
+      delete process.env.WEBHOOK_TELEGRAM_TOKEN;
+      delete process.env.WEBHOOK_TELEGRAM_CHAT_ID;
+    }
+  });
+
+  test('Progress layouts should be converted even when raw is set', async () => {
+    process.env.WEBHOOK_TELEGRAM_TOKEN = '123:secret-token';
+    process.env.WEBHOOK_TELEGRAM_CHAT_ID = '-100';
+    try {
+      const options = { platform: 'telegram', raw: true, dryRun: true };
+      const progress = await pushProgress('Build', 'failed', '**Tests** failed', options);
+      assert.match(progress.request.payload.text, /^<b>Build - failed<\/b>\n\n<b>Tests<\/b> failed\n\n<b>Status:<\/b>/);
+      const task = await createTask('Deploy', options).start();
+      assert.match(task.request.payload.text, /^<b>Deploy - started<\/b>/);
+    } finally {
+      delete process.env.WEBHOOK_TELEGRAM_TOKEN;
+      delete process.env.WEBHOOK_TELEGRAM_CHAT_ID;
+    }
+  });
+
+  test('Tasks should throttle new step messages elsewhere and always send the outcome', async () => {
+    const server = await startServer((req, body, res) => json(res, 200, { id: 'm1' }));
+    process.env.WEBHOOK_NTFY_SERVER = server.url;
+    process.env.WEBHOOK_NTFY_TOPIC = 'builds';
+    try {
+      const task = createTask('Build', { platform: 'ntfy', throttle: 60000 });
+      assert.strictEqual((await task.step('Compile')).throttled, undefined);
+      assert.strictEqual((await task.step('Test')).throttled, true);
+      await task.fail(new Error('3 tests failed'));
+
+      const sent = server.requests.map((request) => JSON.parse(request.body));
+      assert.deepStrictEqual(sent.map((body) => body.title), ['Build - in_progress', 'Build - failed']);
+      assert.match(sent[1].message, /3 tests failed/);
+      assert.match(sent[1].message, /✓ Compile \(\d+ms\)/);
+      assert.match(sent[1].message, /✗ Test \(\d+ms\)/);
+    } finally {
+      delete process.env.WEBHOOK_NTFY_SERVER;
+      delete process.env.WEBHOOK_NTFY_TOPIC;
+      await server.close();
+    }
+  });
+
+  test('Telegram should edit with editMessageText and accept unchanged edits', async () => {
+    const telegram = getAdapter('telegram');
+    const config = { key: 'bot-token', extra: '-100' };
+    const { calls, send } = recorder();
+    await telegram.edit({ text: 'Step 1' }, undefined, config, {}, send);
+    await telegram.edit({ text: 'Step 2' }, { messageId: 7 }, config, {}, send);
+    assert.deepStrictEqual(calls.map((call) => call.url), [
+      'https://api.telegram.org/botbot-token/sendMessage',
+      'https://api.telegram.org/botbot-token/editMessageText',
+    ]);
+    assert.deepStrictEqual(calls[1].data, { chat_id: '-100', message_id: 7, text: 'Step 2' });
+
+    const previous = { ok: true, messageId: 7 };
+    const unchanged = async () => {
+      throw new PlatformError('telegram', 400, 'Bad Request: message is not modified');
+    };
+    assert.strictEqual(await telegram.edit({ text: 'Step 2' }, previous, config, {}, unchanged), previous);
+  });
+
+  test('Slack and Feishu should edit through their APIs when configured', async () => {
+    const slack = getAdapter('slack');
+    assert.strictEqual(slack.editable({ key: 'https://hooks.slack.com/x' }), false);
+    const slackConfig = { key: 'https://hooks.slack.com/x', token: 'xoxb-1', channel: 'C1' };
+    let { calls, send } = recorder();
+    await slack.edit({ text: 'Deploy' }, undefined, slackConfig, {}, send);
+    await slack.edit({ text: 'Deploy' }, { messageId: '171.2', raw: { channel: 'C1' } }, slackConfig, {}, send);
+    assert.strictEqual(calls[0].url, 'https://slack.com/api/chat.postMessage');
+    assert.strictEqual(calls[0].headers.Authorization, 'Bearer xoxb-1');
+    assert.deepStrictEqual(calls[1].data, { channel: 'C1', ts: '171.2', text: 'Deploy' });
+
+    const feishu = getAdapter('feishu');
+    const feishuConfig = { key: 'hook', appId: 'cli_1', appSecret: 's', chatId: 'oc_1' };
+    ({ calls, send } = recorder([
+      { tenant_access_token: 't-1', expire: 7200 },
+      { data: { message_id: 'om_1' } },
+    ]));
+    const card = { msg_type: 'interactive', card: { elements: [] } };
+    const posted = await feishu.edit(card, undefined, feishuConfig, {}, send);
+    await feishu.edit(card, posted, feishuConfig, {}, send);
+    assert.strictEqual(posted.messageId, 'om_1');
+    assert.deepStrictEqual(calls.map((call) => call.url.replace('https://open.feishu.cn/open-apis/', '')), [
+      'auth/v3/tenant_access_token/internal',
+      'im/v1/messages?receive_id_type=chat_id',
+      'im/v1/messages/om_1',
+    ]);
+    assert.strictEqual(calls[2].method, 'PATCH');
+    assert.strictEqual(calls[2].headers.Authorization, 'Bearer t-1');
+    assert.deepStrictEqual(JSON.parse(calls[2].data.content), { elements: [], config: { update_multi: true } });
+  });
+});
+
+// ============================================================================
+// Tests: Module Exports
+// ============================================================================
+
+describe('Module Exports', () => {
+  test('Module should export all required functions', () => {
+    const module = require('./index');
+    assert.ok(module.push);
+    assert.ok(module.pushMessage);
+    assert.ok(module.pushProgress);
+    assert.ok(module.getConfig);
+    assert.ok(module.isConfigured);
+    assert.ok(module.getConfiguredPlatforms);
+  });
+
+  test('Module should export all required constants', () => {
+    const module = require('./index');
+    assert.ok(module.PLATFORMS);
+    assert.ok(module.ENV_KEYS);
+    assert.ok(module.STATUS_STYLES);
+    assert.ok(module.DEFAULT_PLATFORM);
+  });
+});
+
+// ============================================================================
+// Tests: CLI Arguments Parser (via require)
+// ============================================================================
+
+describe('CLI Module', () => {
+  test('CLI module should be loadable', () => {
+    // Just verify the file exists and has proper shebang
+    const fs = require('fs');
+    const content = fs.readFileSync('./cli.js', 'utf8');
+    assert.ok(content.startsWith('#!/usr/bin/env node'));
+  });
+});
+
+// ============================================================================
+// Tests: CLI Input
+// ============================================================================
+
+describe('CLI Input', () => {
+  test('Piped input should be the message when none is given', async () => {
+    await withProject({}, async ({ cwd }) => {
+      const result = runCli(cwd, ['--title', 'Changelog'], 'abc123 Fix login\ndef456 Add export\n');
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.sent[0].text, 'abc123 Fix login\ndef456 Add export');
+
+      // An explicit message wins over piped input, "-" reads it
+      assert.strictEqual(runCli(cwd, ['Hello'], 'ignored').sent[0].text, 'Hello');
+      assert.strictEqual(runCli(cwd, ['-'], 'From stdin').sent[0].text, 'From stdin');
+    });
+  });
+
+  test('--file, --details-file and --code should read and wrap content', async () => {
+    await withProject({}, async ({ cwd }) => {
+      fs.writeFileSync(path.join(cwd, 'summary.txt'), 'FAIL src/app.test.js\n```inner```\n');
+      let result = runCli(cwd, ['--file', 'summary.txt', '--code', 'text']);
+      assert.strictEqual(result.sent[0].text, '````text\nFAIL src/app.test.js\n```inner```\n````');
+
+      result = runCli(cwd, ['-t', 'Build', '-s', 'failed', '-d', '-', '--code'], '1 failing');
+      assert.match(result.sent[0].text, /^```\n1 failing\n```/);
+
+      result = runCli(cwd, ['-t', 'Build', '-s', 'failed', '--details-file', 'missing.txt']);
+      assert.strictEqual(result.status, 1);
+      assert.match(result.stderr, /Cannot read missing\.txt: ENOENT/);
+      assert.match(runCli(cwd, ['--file', 'summary.txt', 'Hello']).stderr, /Use either --file or an inline value/);
+    });
+  });
+});
+
+// ============================================================================
+// Tests: CLI Commands
+// ============================================================================
+
+// Adapters that fail the way a platform and the network do
+const FAILING_ADAPTERS = `module.exports = ({ registerPlatform, getAdapter, PlatformError, WebhookError }) => {
+  const adapter = (send) => ({
+    config: [{ name: 'key', env: 'WEBHOOK_RECORDER_KEY' }],
+    buildUrl: () => 'failing://',
+    format: (content) => ({ text: content }),
+    send,
+  });
+  registerPlatform('rejecter', adapter(async () => {
+    throw new PlatformError('rejecter', 93000, 'invalid webhook key');
+  }));
+  registerPlatform('offline', adapter(async () => {
+    throw new WebhookError('connect ECONNREFUSED', { code: 'ECONNREFUSED' });
+  }));
+  // A 503 judged by Slack's own interpreter
+  registerPlatform('overloaded', adapter(async () =>
+    getAdapter('slack').interpret({ statusCode: 503, headers: {}, body: { raw: 'service_unavailable' } })));
+};`;
+
+describe('CLI Commands', () => {
+  test('Subcommands and short forms should send the same notifications', async () => {
+    await withProject({}, async ({ cwd }) => {
+      let result = runCli(cwd, ['send', '--title=a=b', '--', '-100123', 'joined']);
+      assert.strictEqual(result.status, 0);
+      assert.deepStrictEqual(result.sent[0], { title: 'a=b', text: '-100123 joined' });
+
+      result = runCli(cwd, ['progress', 'Build', 'completed', 'All', 'passed']);
+      const short = runCli(cwd, ['-t', 'Build', '-s', 'completed', '-d', 'All passed']);
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.sent[0].title, 'Build - completed');
+      assert.strictEqual(result.sent[0].text.split('\n\n*')[0], short.sent[0].text.split('\n\n*')[0]);
+      assert.match(result.sent[0].text, /^All passed\n/);
+
+      // Negative numbers are values, not flags
+      result = runCli(cwd, ['-t', 'Sync', '-s', 'failed', '-d', '-100123']);
+      assert.match(result.sent[0].text, /-100123/);
+
+      assert.match(runCli(cwd, ['version']).stdout, /^v\d+\.\d+\.\d+/);
+      assert.strictEqual(runCli(cwd, ['--version']).stdout, runCli(cwd, ['version']).stdout);
+    });
+  });
+
+  test('--json should report each target and exit codes should tell failures apart', async () => {
+    await withProject({}, async ({ cwd }) => {
+      fs.writeFileSync(path.join(cwd, 'failing.js'), FAILING_ADAPTERS);
+      const adapters = ['--adapter', './recorder.js,./failing.js'];
+
+      let result = runCli(cwd, [...adapters, '-p', 'recorder,rejecter', '--json', 'Hello']);
+      assert.strictEqual(result.status, 5);
+      const output = JSON.parse(result.stdout);
+      assert.strictEqual(output.ok, false);
+      assert.deepStrictEqual(output.succeeded, ['recorder']);
+      assert.deepStrictEqual(output.results.recorder, { ok: true, status: 'sent' });
+      assert.strictEqual(output.results.rejecter.status, 'failed');
+      assert.strictEqual(output.results.rejecter.error.type, 'PlatformError');
+      assert.strictEqual(output.results.rejecter.error.platformCode, 93000);
+
+      // --allow-partial only fails when every target failed
+      result = runCli(cwd, [...adapters, '-p', 'recorder,rejecter', '--allow-partial', 'Hello']);
+      assert.strictEqual(result.status, 0);
+
+      // A single target's error is reported like a failed broadcast target
+      result = runCli(cwd, [...adapters, '-p', 'offline', '--json', 'Hello']);
+      assert.strictEqual(result.status, 4);
+      assert.deepStrictEqual(JSON.parse(result.stdout).failed, ['offline']);
+      assert.strictEqual(JSON.parse(result.stdout).results.offline.error.code, 'ECONNREFUSED');
+
+      // A platform error for a 5xx is a temporary failure, not a rejection
+      result = runCli(cwd, [...adapters, '-p', 'overloaded', '--attempts', '1', '--json', 'Hello']);
+      assert.strictEqual(result.status, 4);
+      const overloaded = JSON.parse(result.stdout).results.overloaded.error;
+      assert.deepStrictEqual([overloaded.type, overloaded.exitCode], ['PlatformError', 4]);
+
+      result = runCli(cwd, ['progress', 'Build']);
+      assert.strictEqual(result.status, 2);
+      assert.match(result.stderr, /--status \(-s\) is required/);
+      assert.strictEqual(runCli(cwd, ['--priority', 'high', 'Hello']).status, 2);
+      assert.strictEqual(runCli(cwd, ['-p', 'nowhere', 'Hello']).status, 2);
+
+      result = runCli(cwd, ['--config', 'missing.json', '--json', 'Hello']);
+      assert.strictEqual(result.status, 3);
+      assert.match(JSON.parse(result.stdout).results.recorder.error.message, /Cannot read config file/);
+      assert.deepStrictEqual(result.sent, []);
+    });
+  });
+
+  test('check and config should describe the configuration', async () => {
+    const project = {
+      './webhook-push.config.json': {
+        defaultChannel: 'ci',
+        channels: {
+          ci: { platform: 'recorder', key: 'ci-secret', title: 'CI' },
+          oncall: { platform: 'slack', key: '${WEBHOOK_PUSH_TEST_UNSET}' },
+        },
+        routes: [{ name: 'failures', status: 'failed', to: 'oncall' }],
+      },
+    };
+    await withProject(project, async ({ cwd }) => {
+      let result = runCli(cwd, ['config', '--json']);
+      assert.strictEqual(result.status, 3);
+      const config = JSON.parse(result.stdout);
+      assert.strictEqual(config.defaultChannel, 'ci');
+      const [ci, oncall] = config.channels;
+      assert.deepStrictEqual(ci.settings, ['key']);
+      assert.deepStrictEqual(ci.options, { title: 'CI' });
+      assert.match(oncall.error.message, /WEBHOOK_PUSH_TEST_UNSET is not set/);
+      assert.deepStrictEqual(config.routes[0].to, ['oncall']);
+      assert.ok(!result.stdout.includes('ci-secret'));
+
+      result = runCli(cwd, ['check', '--json']);
+      assert.strictEqual(result.status, 0);
+      const check = JSON.parse(result.stdout);
+      assert.ok(check.ready.includes('recorder'));
+      assert.deepStrictEqual(check.channels.map((channel) => channel.name).slice(0, 2), ['ci', 'oncall']);
+      assert.match(runCli(cwd, ['--check']).stdout, /Webhook Configuration Status/);
+    });
+  });
+
+  test('Channel options should apply unless the command line sets them', async () => {
+    const project = {
+      './webhook-push.config.json': {
+        channels: { ci: { platform: 'recorder', key: 'ci-secret', title: 'CI' } },
+      },
+    };
+    await withProject(project, async ({ cwd }) => {
+      let result = runCli(cwd, ['-c', 'ci', 'Hello']);
+      assert.strictEqual(result.status, 0);
+      assert.deepStrictEqual(result.sent[0], { title: 'CI', text: 'Hello' });
+
+      result = runCli(cwd, ['-c', 'ci', '--title', 'Nightly', 'Hello']);
+      assert.deepStrictEqual(result.sent[0], { title: 'Nightly', text: 'Hello' });
+    });
+  });
+
+  test('check --verify should report each channel and exit with the first failure', async () => {
+    await withProject({}, async ({ cwd }) => {
+      fs.writeFileSync(path.join(cwd, 'failing.js'), FAILING_ADAPTERS);
+      const result = runCli(cwd, ['--adapter', './recorder.js,./failing.js', 'check', '--verify', '--json']);
+      assert.strictEqual(result.status, 5);
+      const { verified } = JSON.parse(result.stdout);
+      assert.strictEqual(verified.recorder.ok, true);
+      assert.strictEqual(verified.recorder.method, 'message');
+      assert.deepStrictEqual([verified.rejecter.reachable, verified.rejecter.authorized], [true, false]);
+      assert.strictEqual(verified.offline.reachable, false);
+      assert.strictEqual(verified.offline.error.exitCode, 4);
+      // A 503 leaves the credentials unknown, so the platform stays ready
+      assert.deepStrictEqual([verified.overloaded.reachable, verified.overloaded.authorized], [true, undefined]);
+      assert.match(result.sent[0].text, /webhook-push test message/);
+      assert.deepStrictEqual(JSON.parse(result.stdout).ready, ['recorder', 'overloaded']);
+
+      const text = runCli(cwd, ['--adapter', './recorder.js,./failing.js', 'check', '--verify']).stdout;
+      assert.match(text, /Ready to use: recorder, overloaded\n/);
+      assert.match(text, /overloaded +not verified, try again later: /);
+      assert.match(text, /Configured, but failed verification: rejecter, offline/);
+    });
+  });
+
+  test('init should verify settings and save them without clobbering existing values', async () => {
+    await withProject({}, async ({ cwd }) => {
+      fs.writeFileSync(path.join(cwd, '.env'), 'WEBHOOK_RECORDER_KEY=old-key\nOTHER=1\n');
+
+      // Declining the replacement keeps the existing value
+      let result = runCli(cwd, ['init'], 'recorder\n.env\nnew-key\nn\n');
+      assert.strictEqual(result.status, 0);
+      assert.match(result.stdout, /test message sent/);
+      assert.match(result.stdout, /kept existing WEBHOOK_RECORDER_KEY/);
+      assert.strictEqual(fs.readFileSync(path.join(cwd, '.env'), 'utf8'), 'WEBHOOK_RECORDER_KEY=old-key\nOTHER=1\n');
+
+      result = runCli(cwd, ['init'], '99\nrecorder\n\nnew-key\ny\n');
+      assert.match(result.stdout, /Unknown platform: 99/);
+      assert.strictEqual(fs.readFileSync(path.join(cwd, '.env'), 'utf8'), 'WEBHOOK_RECORDER_KEY=new-key\nOTHER=1\n');
+
+      // Config files reference secrets kept in .env
+      result = runCli(cwd, ['init'], 'recorder\nwebhook-push.config.json\nci\nci-key\n');
+      assert.strictEqual(result.status, 0);
+      const config = JSON.parse(fs.readFileSync(path.join(cwd, 'webhook-push.config.json'), 'utf8'));
+      assert.deepStrictEqual(config, {
+        channels: { ci: { platform: 'recorder', key: '${WEBHOOK_RECORDER_KEY_CI}' } },
+        defaultChannel: 'ci',
+      });
+      assert.match(fs.readFileSync(path.join(cwd, '.env'), 'utf8'), /^WEBHOOK_RECORDER_KEY_CI=ci-key$/m);
+
+      // A variable holding another secret is left alone for a new one
+      result = runCli(cwd, ['init'], 'recorder\nwebhook-push.config.json\nci\nother-key\ny\n');
+      assert.strictEqual(result.status, 0);
+      const replaced = JSON.parse(fs.readFileSync(path.join(cwd, 'webhook-push.config.json'), 'utf8'));
+      assert.strictEqual(replaced.channels.ci.key, '${WEBHOOK_RECORDER_KEY_CI_2}');
+      const env = fs.readFileSync(path.join(cwd, '.env'), 'utf8');
+      assert.match(env, /^WEBHOOK_RECORDER_KEY_CI=ci-key$/m);
+      assert.match(env, /^WEBHOOK_RECORDER_KEY_CI_2=other-key$/m);
+
+      // Running out of answers cancels without writing
+      result = runCli(cwd, ['init'], 'recorder\n');
+      assert.strictEqual(result.status, 1);
+      assert.match(result.stderr, /Setup cancelled/);
+    });
+  });
+});
+
+// ============================================================================
+// Tests: Command Wrapper
+// ============================================================================
+
+describe('Command Wrapper', () => {
+  const script = (code) => [process.execPath, '-e', code];
+
+  test('run should notify start and completion and pass output through', async () => {
+    await withProject({}, async ({ cwd }) => {
+      const { status, stdout, sent } = runCli(cwd, ['run', '-t', 'Build', '--', ...script('console.log("ok 1\\nok 2")')]);
+      assert.strictEqual(status, 0);
+      assert.strictEqual(stdout, 'ok 1\nok 2\n');
+      assert.deepStrictEqual(sent.map((payload) => payload.title), ['Build - started', 'Build - completed']);
+      assert.match(sent[1].text, /exited with code 0/);
+      assert.match(sent[1].text, /\*\*Duration:\*\* \d+ms/);
+      assert.match(sent[1].text, /```\nok 1\nok 2\n```/);
+    });
+  });
+
+  test('run should report failures with the last lines and exit with the command\'s code', async () => {
+    await withProject({}, async ({ cwd }) => {
+      const code = 'for (let i = 1; i <= 5; i++) console.error("line " + i); process.exit(3)';
+      const { status, sent } = runCli(cwd, ['run', '--tail', '2', '--failures-only', '--', ...script(code)]);
+      assert.strictEqual(status, 3);
+      assert.strictEqual(sent.length, 1);
+      assert.match(sent[0].title, / - failed$/);
+      assert.match(sent[0].text, /exited with code 3\n\n```\nline 4\nline 5\n```/);
+    });
+  });
+
+  test('run should send heartbeats and skip successes with --failures-only', async () => {
+    await withProject({}, async ({ cwd }) => {
+      const wait = script('setTimeout(() => {}, 700)');
+      let result = runCli(cwd, ['run', '-t', 'Deploy', '--heartbeat', '200', '--', ...wait]);
+      const titles = result.sent.map((payload) => payload.title);
+      assert.strictEqual(titles[0], 'Deploy - started');
+      assert.ok(titles.filter((title) => title === 'Deploy - in_progress').length >= 2);
+      assert.strictEqual(titles[titles.length - 1], 'Deploy - completed');
+
+      result = runCli(cwd, ['run', '--failures-only', '--heartbeat', '200', '--', ...wait]);
+      assert.strictEqual(result.status, 0);
+      assert.deepStrictEqual(result.sent, []);
+    });
+  });
+
+  test('run should fail with 127 when the command cannot be started', async () => {
+    await withProject({}, async ({ cwd }) => {
+      const { status, sent } = runCli(cwd, ['run', '--failures-only', '--', 'webhook-push-no-such-command']);
+      assert.strictEqual(status, 127);
+      assert.match(sent[0].text, /Could not run `webhook-push-no-such-command`: spawn .* ENOENT/);
+    });
+  });
+
+  test('run should pass SIGTERM on, but not repeat a SIGINT the command already got', async () => {
+    if (process.platform === 'win32') {
+      return;
+    }
+    const { spawn } = require('child_process');
+    const code = `let count = 0;
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => { console.log(signal + ' #' + ++count); setTimeout(() => process.exit(0), 300); });
+      }
+      console.log('ready');
+      setTimeout(() => {}, 5000);`;
+    // Signals the CLI's process group, as Ctrl-C does, or just the CLI
+    const interrupt = async (signal, group) => {
+      let stdout = '';
+      await withProject({}, async ({ cwd }) => {
+        fs.writeFileSync(path.join(cwd, 'recorder.js'), RECORDER_ADAPTER);
+        const cli = spawn(process.execPath, [path.join(__dirname, 'cli.js'), '--adapter', './recorder.js',
+          '-p', 'recorder', 'run', '--failures-only', '--', ...script(code)], {
+          cwd, detached: true, env: { ...process.env, WEBHOOK_RECORDER_KEY: 'recorder-key' },
+        });
+        cli.stdout.on('data', (chunk) => {
+          stdout += chunk;
+          if (chunk.toString().includes('ready')) {
+            process.kill(group ? -cli.pid : cli.pid, signal);
+          }
+        });
+        await new Promise((resolve) => cli.on('close', resolve));
+      });
+      return stdout;
+    };
+
+    assert.strictEqual(await interrupt('SIGINT', true), 'ready\nSIGINT #1\n');
+    assert.strictEqual(await interrupt('SIGTERM', false), 'ready\nSIGTERM #1\n');
+  });
+});
+
+// ============================================================================
+// Summary
+// ============================================================================
+
+run().then(() => {
+  console.log('\n' + '='.repeat(50));
+  console.log(`Test Results: ${passedTests} passed, ${failedTests} failed`);
+  console.log('='.repeat(50));
+
+  if (failedTests > 0) {
+    process.exit(1);
+  }
+
+  console.log('\n✓ All tests passed!\n');
+  process.exit(0);
+});
 